@@ -0,0 +1,24 @@
+// Cloud Functions for the code snippet manager
+// Deploy with: firebase deploy --only functions
+import { initializeApp } from "firebase-admin/app";
+import { onDocumentWritten } from "firebase-functions/v2/firestore";
+
+import { updateSearchIndex } from "./searchIndex.js";
+import { updateSnippetCounts } from "./snippetCounts.js";
+
+initializeApp();
+
+/**
+ * Keeps the snippet counts and the search index up to date as snippets are
+ * created, edited and deleted, so clients never write them (see
+ * snippetCounts.js and searchIndex.js)
+ */
+export const onSnippetWritten = onDocumentWritten(
+  "snippets/{snippetId}",
+  async (event) => {
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+    await updateSnippetCounts(event.id, before, after);
+    await updateSearchIndex(event.params.snippetId, before, after);
+  }
+);
@@ -0,0 +1,73 @@
+// Search index kept by the server
+// Each snippet has an entry in searchIndex/{snippetId} with only what
+// search ranks and shows: its text fields and the start of its code. The
+// search page reads these instead of whole snippets. Clients can only
+// read them
+import { getFirestore } from "firebase-admin/firestore";
+
+import { getOwnerId } from "./snippetCounts.js";
+
+// Most characters of code kept in an entry, over all its files
+// Matches further into longer snippets aren't found
+export const MAX_SEARCH_CODE_LENGTH = 5000;
+
+/**
+ * Build a snippet's search index entry
+ * Snippets from before multi-file support only have code
+ *
+ * @param {Object} snippet - The snippet data
+ * @returns {Object} The entry
+ */
+export function buildSearchEntry(snippet) {
+  const entry = {
+    title: snippet.title || "",
+    description: snippet.description || "",
+    tags: snippet.tags || [],
+    framework: snippet.framework || null,
+    language: snippet.language || null,
+    // Read by the same rules as the snippet: public, or by its owner
+    isPublic: snippet.isPublic === true,
+    ownerId: getOwnerId(snippet),
+    createdAt: snippet.createdAt || null,
+  };
+
+  if (Array.isArray(snippet.files) && snippet.files.length > 0) {
+    let remaining = MAX_SEARCH_CODE_LENGTH;
+    entry.files = snippet.files.map((file) => {
+      const code = (file.code || "").slice(0, remaining);
+      remaining -= code.length;
+      return { filename: file.filename, language: file.language, code };
+    });
+  } else {
+    entry.code = (snippet.code || "").slice(0, MAX_SEARCH_CODE_LENGTH);
+  }
+  return entry;
+}
+
+/**
+ * Update a snippet's search index entry for one snippet write
+ * Entries are only written when what they hold changes, so counting
+ * views, ratings and bookmarks doesn't rewrite them; writing the same
+ * entry twice is harmless, so repeated events need no checks
+ *
+ * @param {string} snippetId - The snippet's ID
+ * @param {Object|null} before - The snippet before the write (null if new)
+ * @param {Object|null} after - The snippet after the write (null if deleted)
+ */
+export async function updateSearchIndex(snippetId, before, after) {
+  const entryRef = getFirestore().doc(`searchIndex/${snippetId}`);
+
+  if (!after) {
+    await entryRef.delete();
+    return;
+  }
+
+  const entry = buildSearchEntry(after);
+  if (
+    before &&
+    JSON.stringify(buildSearchEntry(before)) === JSON.stringify(entry)
+  ) {
+    return;
+  }
+  await entryRef.set(entry);
+}
@@ -0,0 +1,258 @@
+// Snippet counts kept by the server
+// Public snippets are counted in stats/snippets for everyone, and each
+// owner's snippets in users/{ownerId}/stats/snippets by visibility, per
+// language, framework and tag. Clients can only read them
+import { FieldValue, Timestamp, getFirestore } from "firebase-admin/firestore";
+
+// Kept in sync with VISIBILITIES in src/lib/snippetSchema.js
+const VISIBILITIES = ["public", "unlisted", "private"];
+
+// How long an event is remembered as counted (a TTL policy on
+// countedEvents.expireAt can then clear it away)
+const COUNTED_EVENT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// ============================================
+// SNIPPETS
+// ============================================
+
+/**
+ * Get a snippet's visibility
+ * Mirrors getVisibility in src/lib/firebase/snippets.js: snippets from
+ * before visibility existed only have isPublic
+ *
+ * @param {Object} snippet - The snippet data
+ * @returns {string} "public", "unlisted" or "private"
+ */
+function getVisibility(snippet) {
+  if (VISIBILITIES.includes(snippet.visibility)) {
+    return snippet.visibility;
+  }
+  return snippet.isPublic === false ? "private" : "public";
+}
+
+/**
+ * Get the user ID of a snippet's owner
+ * Snippets from before ownerId existed only have userId
+ *
+ * @param {Object} snippet - The snippet data
+ * @returns {string|null} The owner's user ID
+ */
+export function getOwnerId(snippet) {
+  return snippet.ownerId || snippet.userId || null;
+}
+
+// ============================================
+// COUNTING
+// ============================================
+
+/**
+ * Add one to a count in a map of counts (or subtract one)
+ *
+ * @param {Object} counts - Counts by name
+ * @param {string|null} name - The language, framework or tag (skipped if empty)
+ * @param {number} change - 1 or -1
+ */
+function addToCount(counts, name, change) {
+  if (name) {
+    counts[name] = (counts[name] || 0) + change;
+  }
+}
+
+/**
+ * Count snippets from scratch
+ *
+ * @param {Array<Object>} snippets - The snippets to count
+ * @returns {Object} total plus counts per language, framework and tag
+ */
+export function countSnippets(snippets) {
+  const counts = {
+    total: snippets.length,
+    languages: {},
+    frameworks: {},
+    tags: {},
+  };
+  snippets.forEach((snippet) => {
+    addToCount(counts.languages, snippet.language, 1);
+    addToCount(counts.frameworks, snippet.framework, 1);
+    (snippet.tags || []).forEach((tag) => addToCount(counts.tags, tag, 1));
+  });
+  return counts;
+}
+
+/**
+ * Count the public snippets among some snippets, for stats/snippets
+ *
+ * @param {Array<Object>} snippets - The snippets to count
+ * @returns {Object} total plus counts per language, framework and tag
+ */
+export function countPublicSnippets(snippets) {
+  return countSnippets(
+    snippets.filter((snippet) => getVisibility(snippet) === "public")
+  );
+}
+
+/**
+ * Count one owner's snippets by visibility, for users/{ownerId}/stats/snippets
+ *
+ * @param {Array<Object>} snippets - The owner's snippets
+ * @returns {Object} One set of counts (see countSnippets) per visibility
+ */
+export function countOwnerSnippets(snippets) {
+  const byVisibility = {};
+  VISIBILITIES.forEach((visibility) => {
+    byVisibility[visibility] = countSnippets(
+      snippets.filter((snippet) => getVisibility(snippet) === visibility)
+    );
+  });
+  return byVisibility;
+}
+
+/**
+ * Work out how a set of counts changes when one snippet becomes another
+ *
+ * @param {Object|null} before - The snippet before the write (null if new)
+ * @param {Object|null} after - The snippet after the write (null if deleted)
+ * @returns {Object|null} Increments for the total and for each changed
+ *   language, framework and tag, or null if nothing changes
+ */
+export function getCountChanges(before, after) {
+  const changes = { total: 0, languages: {}, frameworks: {}, tags: {} };
+
+  [
+    [before, -1],
+    [after, 1],
+  ].forEach(([snippet, change]) => {
+    if (!snippet) {
+      return;
+    }
+    changes.total += change;
+    addToCount(changes.languages, snippet.language, change);
+    addToCount(changes.frameworks, snippet.framework, change);
+    (snippet.tags || []).forEach((tag) =>
+      addToCount(changes.tags, tag, change)
+    );
+  });
+
+  // Only write the counts that actually change
+  let changed = changes.total !== 0;
+  const writes = changed ? { total: FieldValue.increment(changes.total) } : {};
+  ["languages", "frameworks", "tags"].forEach((group) => {
+    Object.keys(changes[group]).forEach((name) => {
+      if (changes[group][name] !== 0) {
+        writes[group] = writes[group] || {};
+        writes[group][name] = FieldValue.increment(changes[group][name]);
+        changed = true;
+      }
+    });
+  });
+  return changed ? writes : null;
+}
+
+/**
+ * Update the counts for one snippet write
+ * Called by the snippet trigger with the snippet before and after it.
+ * Triggers can deliver the same event more than once, so the event is
+ * marked counted in the same transaction as the counts, and skipped if it
+ * already was. A counts document that hasn't been counted yet (no
+ * countedAt) - it was never seeded by scripts/seed-snippet-counts.mjs, or
+ * was deleted to recount it - is counted from scratch instead, including
+ * the snippet just written
+ *
+ * @param {string} eventId - ID of the trigger event
+ * @param {Object|null} before - The snippet before the write (null if new)
+ * @param {Object|null} after - The snippet after the write (null if deleted)
+ */
+export async function updateSnippetCounts(eventId, before, after) {
+  const db = getFirestore();
+  const snippets = db.collection("snippets");
+
+  // The snippet as counted under one visibility, or null if it isn't
+  const counted = (snippet, visibility) =>
+    snippet && getVisibility(snippet) === visibility ? snippet : null;
+
+  // Each counts document to change, with its increments and how to count
+  // what it covers from scratch
+  const updates = [];
+
+  const publicChanges = getCountChanges(
+    counted(before, "public"),
+    counted(after, "public")
+  );
+  if (publicChanges) {
+    updates.push({
+      ref: db.doc("stats/snippets"),
+      changes: publicChanges,
+      countAll: async (transaction) => {
+        const snapshot = await transaction.get(
+          snippets.where("isPublic", "==", true)
+        );
+        return countPublicSnippets(snapshot.docs.map((doc) => doc.data()));
+      },
+    });
+  }
+
+  const ownerChanges = {};
+  VISIBILITIES.forEach((visibility) => {
+    const changes = getCountChanges(
+      counted(before, visibility),
+      counted(after, visibility)
+    );
+    if (changes) {
+      ownerChanges[visibility] = changes;
+    }
+  });
+
+  const ownerId = getOwnerId(after || before);
+  if (ownerId && Object.keys(ownerChanges).length > 0) {
+    updates.push({
+      ref: db.doc(`users/${ownerId}/stats/snippets`),
+      changes: ownerChanges,
+      countAll: async (transaction) => {
+        // Snippets from before ownerId existed are found by userId
+        const owned = {};
+        for (const field of ["ownerId", "userId"]) {
+          const snapshot = await transaction.get(
+            snippets.where(field, "==", ownerId)
+          );
+          snapshot.docs.forEach((doc) => {
+            if (getOwnerId(doc.data()) === ownerId) {
+              owned[doc.id] = doc.data();
+            }
+          });
+        }
+        return countOwnerSnippets(Object.values(owned));
+      },
+    });
+  }
+
+  if (updates.length === 0) {
+    return;
+  }
+
+  const eventRef = db.doc(`countedEvents/${eventId}`);
+  await db.runTransaction(async (transaction) => {
+    if ((await transaction.get(eventRef)).exists) {
+      return;
+    }
+
+    // Every read comes before the first write
+    const writes = [];
+    for (const { ref, changes, countAll } of updates) {
+      const countsDoc = await transaction.get(ref);
+      if (countsDoc.data()?.countedAt) {
+        writes.push(() => transaction.set(ref, changes, { merge: true }));
+      } else {
+        const counts = await countAll(transaction);
+        writes.push(() =>
+          transaction.set(ref, { ...counts, countedAt: Timestamp.now() })
+        );
+      }
+    }
+
+    writes.forEach((write) => write());
+    transaction.set(eventRef, {
+      countedAt: Timestamp.now(),
+      expireAt: Timestamp.fromMillis(Date.now() + COUNTED_EVENT_TTL_MS),
+    });
+  });
+}
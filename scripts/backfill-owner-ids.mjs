@@ -0,0 +1,68 @@
+// Gives snippets from before ownerId existed their owner's ID
+// Those snippets only have userId, so queries on ownerId (My Snippets,
+// profiles, lists of the user's own snippets, their counts and display
+// name changes) would leave them out. Run once per project with:
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json \
+//     npm run migrate:owner-ids -- <project-id>
+// Against the Firestore emulator, set FIRESTORE_EMULATOR_HOST instead
+import { initializeApp } from "firebase-admin/app";
+import { FieldPath, getFirestore } from "firebase-admin/firestore";
+
+// Snippets read and updated at a time (a batch holds at most 500 writes)
+const PAGE_SIZE = 500;
+
+const projectId = process.argv[2] || process.env.GCLOUD_PROJECT;
+if (!projectId) {
+  console.error("Usage: npm run migrate:owner-ids -- <project-id>");
+  process.exit(1);
+}
+
+const db = getFirestore(initializeApp({ projectId }));
+
+/**
+ * Walks every snippet in document ID order, one page at a time, and sets
+ * ownerId from userId where it is missing
+ *
+ * @returns {Promise<Object>} How many snippets were checked and updated
+ */
+async function backfillOwnerIds() {
+  let checked = 0;
+  let updated = 0;
+  let last = null;
+
+  for (;;) {
+    let page = db
+      .collection("snippets")
+      .orderBy(FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (last) {
+      page = page.startAfter(last);
+    }
+    const snapshot = await page.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    let changes = 0;
+    snapshot.docs.forEach((snippetDoc) => {
+      const { ownerId, userId } = snippetDoc.data();
+      if (!ownerId && userId) {
+        batch.update(snippetDoc.ref, { ownerId: userId });
+        changes++;
+      }
+    });
+    if (changes > 0) {
+      await batch.commit();
+    }
+
+    checked += snapshot.size;
+    updated += changes;
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return { checked, updated };
+}
+
+const { checked, updated } = await backfillOwnerIds();
+console.log(`Checked ${checked} snippets, gave ${updated} their ownerId`);
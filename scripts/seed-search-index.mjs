@@ -0,0 +1,66 @@
+// Writes the search index entry of every snippet
+// The onSnippetWritten Cloud Function keeps searchIndex up to date from
+// then on, but snippets written before it was deployed have no entry and
+// can't be found. Run once per project after deploying the function, with
+// the dependencies of functions/ installed, using:
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json \
+//     npm run seed:search-index -- <project-id>
+// Against the Firestore emulator, set FIRESTORE_EMULATOR_HOST instead
+import { initializeApp } from "firebase-admin/app";
+import { FieldPath, getFirestore } from "firebase-admin/firestore";
+
+import { buildSearchEntry } from "../functions/searchIndex.js";
+
+// Snippets read and entries written at a time (a batch holds at most 500
+// writes)
+const PAGE_SIZE = 500;
+
+const projectId = process.argv[2] || process.env.GCLOUD_PROJECT;
+if (!projectId) {
+  console.error("Usage: npm run seed:search-index -- <project-id>");
+  process.exit(1);
+}
+
+const db = getFirestore(initializeApp({ projectId }));
+
+/**
+ * Walks every snippet in document ID order, one page at a time, and
+ * writes its search index entry
+ *
+ * @returns {Promise<number>} How many entries were written
+ */
+async function seedSearchIndex() {
+  let written = 0;
+  let last = null;
+
+  for (;;) {
+    let page = db
+      .collection("snippets")
+      .orderBy(FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (last) {
+      page = page.startAfter(last);
+    }
+    const snapshot = await page.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach((snippetDoc) => {
+      batch.set(
+        db.doc(`searchIndex/${snippetDoc.id}`),
+        buildSearchEntry(snippetDoc.data())
+      );
+    });
+    await batch.commit();
+
+    written += snapshot.size;
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return written;
+}
+
+const written = await seedSearchIndex();
+console.log(`Wrote the search index entries of ${written} snippets`);
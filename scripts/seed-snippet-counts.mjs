@@ -0,0 +1,110 @@
+// Counts every snippet once, to seed the counts documents
+// The onSnippetWritten Cloud Function keeps stats/snippets and each
+// owner's users/{ownerId}/stats/snippets up to date from then on. Run once
+// per project after deploying the function (and again to recount), with
+// the dependencies of functions/ installed, using:
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json \
+//     npm run seed:snippet-counts -- <project-id>
+// Against the Firestore emulator, set FIRESTORE_EMULATOR_HOST instead
+import { initializeApp } from "firebase-admin/app";
+import { FieldPath, Timestamp, getFirestore } from "firebase-admin/firestore";
+
+import {
+  countOwnerSnippets,
+  countPublicSnippets,
+  getOwnerId,
+} from "../functions/snippetCounts.js";
+
+// Snippets read at a time, and counts documents written per batch
+const PAGE_SIZE = 500;
+
+// The fields the counts are made from (the code isn't needed)
+const COUNTED_FIELDS = [
+  "language",
+  "framework",
+  "tags",
+  "visibility",
+  "isPublic",
+  "ownerId",
+  "userId",
+];
+
+const projectId = process.argv[2] || process.env.GCLOUD_PROJECT;
+if (!projectId) {
+  console.error("Usage: npm run seed:snippet-counts -- <project-id>");
+  process.exit(1);
+}
+
+const db = getFirestore(initializeApp({ projectId }));
+
+/**
+ * Reads the counted fields of every snippet in document ID order, one
+ * page at a time
+ *
+ * @returns {Promise<Array<Object>>} The snippets
+ */
+async function readSnippets() {
+  const snippets = [];
+  let last = null;
+
+  for (;;) {
+    let page = db
+      .collection("snippets")
+      .select(...COUNTED_FIELDS)
+      .orderBy(FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (last) {
+      page = page.startAfter(last);
+    }
+    const snapshot = await page.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    snapshot.docs.forEach((snippetDoc) => snippets.push(snippetDoc.data()));
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return snippets;
+}
+
+/**
+ * Counts the snippets and writes the public counts and every owner's
+ * counts, marked counted so the Cloud Function only adds to them
+ *
+ * @returns {Promise<Object>} How many snippets and owners were counted
+ */
+async function seedSnippetCounts() {
+  const snippets = await readSnippets();
+
+  const byOwner = {};
+  snippets.forEach((snippet) => {
+    const ownerId = getOwnerId(snippet);
+    if (ownerId) {
+      byOwner[ownerId] = byOwner[ownerId] || [];
+      byOwner[ownerId].push(snippet);
+    }
+  });
+
+  const countedAt = Timestamp.now();
+  const writes = [
+    [db.doc("stats/snippets"), countPublicSnippets(snippets)],
+    ...Object.entries(byOwner).map(([ownerId, owned]) => [
+      db.doc(`users/${ownerId}/stats/snippets`),
+      countOwnerSnippets(owned),
+    ]),
+  ];
+
+  for (let start = 0; start < writes.length; start += PAGE_SIZE) {
+    const batch = db.batch();
+    writes
+      .slice(start, start + PAGE_SIZE)
+      .forEach(([ref, counts]) => batch.set(ref, { ...counts, countedAt }));
+    await batch.commit();
+  }
+
+  return { counted: snippets.length, owners: Object.keys(byOwner).length };
+}
+
+const { counted, owners } = await seedSnippetCounts();
+console.log(`Counted ${counted} snippets of ${owners} owners`);
@@ -0,0 +1,139 @@
+// ============================================
+// IMPORTS
+// ============================================
+
+// Our AI provider layer (Firebase Genkit with the configured model)
+import { generateOutput } from "@/src/lib/ai";
+
+// Import Next.js server response utility
+import { NextResponse } from "next/server";
+
+// The available actions and the shape of their result
+import { getCodeAction, CodeActionResultSchema } from "@/src/lib/codeActions";
+
+// Languages a snippet can be converted to, and file checks for the result
+import { LANGUAGE_NAMES } from "@/src/lib/languages";
+import { validateFiles } from "@/src/lib/snippetFiles";
+
+// Sign-in, rate limit and size checks shared by the AI routes
+import {
+  readAiRequest,
+  readRequestFiles,
+  checkGlobalLimit,
+  errorResponse,
+} from "@/src/lib/ai/requests";
+
+// The prompt template for each action
+import { buildCodeActionPrompt } from "@/src/lib/ai/prompts";
+
+// ============================================
+// API ROUTE: POST /api/code-action
+// ============================================
+
+/**
+ * POST Handler for AI Code Actions
+ *
+ * Runs one of CODE_ACTIONS (refactor, add doc comments, write tests, find
+ * bugs, convert to another language) on a snippet's files and returns the
+ * complete changed files with notes, for the client to show as a diff.
+ * Nothing is saved here; the owner decides whether to keep the result.
+ *
+ * Same sign-in, rate limits and size caps as /api/explain-code.
+ *
+ * @param {Request} request - The incoming HTTP request
+ * @returns {NextResponse} JSON { action, files, notes }, or JSON error
+ */
+export async function POST(request) {
+  try {
+    // ============================================
+    // STEP 1: AUTHENTICATE, RATE LIMIT AND PARSE THE REQUEST
+    // ============================================
+
+    // Expecting: { snippetId: "...", action: "convert", targetLanguage: "Python" }
+    // (or files/code instead of snippetId, as for /api/explain-code)
+    const aiRequest = await readAiRequest(request, "AI actions");
+    if (aiRequest instanceof Response) {
+      return aiRequest;
+    }
+    const { db, currentUser, input } = aiRequest;
+
+    // ============================================
+    // STEP 2: VALIDATE THE ACTION
+    // ============================================
+
+    const action = getCodeAction(input.action);
+    if (!action) {
+      return errorResponse("Unknown action", 400); // 400 = Bad Request
+    }
+    if (
+      action.needsTargetLanguage &&
+      !LANGUAGE_NAMES.includes(input.targetLanguage)
+    ) {
+      return errorResponse("Please choose a language to convert to", 400);
+    }
+
+    // ============================================
+    // STEP 3: READ AND VALIDATE THE CODE
+    // ============================================
+
+    const requestFiles = await readRequestFiles(db, currentUser, input);
+    if (requestFiles instanceof Response) {
+      return requestFiles;
+    }
+    const { files } = requestFiles;
+
+    // Everything past here spends AI quota
+    const limited = checkGlobalLimit();
+    if (limited) {
+      return limited;
+    }
+
+    // ============================================
+    // STEP 4: RUN THE ACTION ON THE AI MODEL VIA GENKIT
+    // ============================================
+
+    // The result is checked against the schema; a mismatch isn't thrown
+    const result = await generateOutput({
+      prompt: buildCodeActionPrompt(action.id, files, {
+        targetLanguage: input.targetLanguage,
+      }),
+      output: { schema: CodeActionResultSchema },
+      config: {
+        temperature: 0.2, // Stay close to the original code
+        maxOutputTokens: 8192, // Room for every file in full
+      },
+    });
+
+    // ============================================
+    // STEP 5: CHECK AND RETURN THE RESULT
+    // ============================================
+
+    // The files must be fit to save as a snippet
+    const filesError = result.success ? validateFiles(result.data.files) : null;
+    if (!result.success || filesError) {
+      console.error(
+        `Invalid ${action.id} result from model:`,
+        filesError || result.error
+      );
+      return errorResponse(
+        "The AI result was incomplete. Please try again.",
+        502 // 502 = Bad Gateway
+      );
+    }
+
+    return NextResponse.json({ action: action.id, ...result.data });
+  } catch (error) {
+    // ============================================
+    // ERROR HANDLING
+    // ============================================
+
+    // Log the error to the server console for debugging
+    console.error("Error running code action:", error);
+
+    // Return a generic error to the client; details stay in the server log
+    return NextResponse.json(
+      { error: "Failed to run the AI action. Please try again." },
+      { status: 500 } // 500 = Internal Server Error
+    );
+  }
+}
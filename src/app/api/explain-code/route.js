@@ -2,27 +2,26 @@
 // IMPORTS
 // ============================================
 
-// Import Firebase Genkit and Google AI plugin
-import { genkit } from 'genkit';
-import { googleAI, gemini20Flash } from '@genkit-ai/googleai';
+// Runs the model and streams the explanation as it is generated
+import { createMessageStream, streamExplanation } from "@/src/lib/ai/explain";
 
 // Import Next.js server response utility
 import { NextResponse } from "next/server";
 
-// ============================================
-// INITIALIZE GENKIT AI (PROFESSOR REQUIREMENT)
-// ============================================
+// Sign-in, rate limit and size checks shared by the AI routes
+import {
+  readAiRequest,
+  readRequestFiles,
+  checkGlobalLimit,
+  errorResponse,
+} from "@/src/lib/ai/requests";
 
-// Create Genkit AI instance with Google AI plugin and Gemini 2.0 Flash model
-// This uses Firebase Genkit framework as required by the course
-const ai = genkit({
-  plugins: [
-    googleAI({
-      apiKey: process.env.GEMINI_API_KEY, // Use your existing env variable
-    }),
-  ],
-  model: gemini20Flash, // Use Gemini 2.0 Flash as specified in tutorial
-});
+// Firestore cache of explanations
+import {
+  getExplanationKey,
+  getCachedExplanation,
+  saveExplanation,
+} from "@/src/lib/firebase/explanations";
 
 // ============================================
 // API ROUTE: POST /api/explain-code
@@ -31,81 +30,101 @@ const ai = genkit({
 /**
  * POST Handler for Code Explanation API
  * 
- * This function receives code from the client, sends it to Gemini AI via
- * Firebase Genkit, and returns an AI-generated explanation.
+ * This function receives a snippet's files from the client, sends them to
+ * the configured AI model via Firebase Genkit, and streams back a structured
+ * explanation (summary, key concepts, line annotations and improvements) as
+ * it is generated.
+ * 
+ * Explanations are cached in Firestore by a hash of the code, languages and
+ * prompt version, so repeat requests for unchanged code skip the model. The
+ * snippet's owner can ask for a fresh one with { regenerate: true }.
+ * 
+ * Only signed-in users may call it, within per-user and global rate limits
+ * and a cap on the size of the request and of the code.
  * 
  * @param {Request} request - The incoming HTTP request with code data
- * @returns {NextResponse} JSON response with explanation or error
+ * @returns {Response} Streamed NDJSON explanation, or JSON error
  */
 export async function POST(request) {
   try {
     // ============================================
-    // STEP 1: EXTRACT DATA FROM REQUEST
+    // STEP 1: AUTHENTICATE, RATE LIMIT AND PARSE THE REQUEST
     // ============================================
     
-    // Parse the JSON body from the request
-    // Expecting: { code: "...", language: "JavaScript" }
-    const { code, language } = await request.json();
+    // Expecting: { snippetId: "...", regenerate: false }
+    // or files without a saved snippet: { files: [{ filename, language, code }] }
+    // or, for a single file: { code: "...", language: "JavaScript" }
+    const aiRequest = await readAiRequest(request, "AI explanations");
+    if (aiRequest instanceof Response) {
+      return aiRequest;
+    }
+    const { db, currentUser, input } = aiRequest;
 
     // ============================================
-    // STEP 2: VALIDATE INPUT
+    // STEP 2: READ AND VALIDATE THE CODE
     // ============================================
     
-    // Check if code was provided
-    if (!code) {
-      // Return error response if code is missing
-      return NextResponse.json(
-        { error: "Code is required" },
-        { status: 400 } // 400 = Bad Request
-      );
+    // Explain a saved snippet as it is stored, not as the client sent it
+    const requestFiles = await readRequestFiles(db, currentUser, input);
+    if (requestFiles instanceof Response) {
+      return requestFiles;
     }
+    const { files, isOwner } = requestFiles;
 
     // ============================================
-    // STEP 3: CREATE AI PROMPT
+    // STEP 3: CHECK PERMISSIONS
     // ============================================
     
-    // Construct a detailed prompt that tells Gemini:
-    // - What role to play (helpful coding assistant)
-    // - What format we want (summary, concepts, improvements)
-    // - The code to analyze
-    const prompt = `
-You are a helpful coding assistant. Explain the following ${language || "code"} snippet in a clear and concise way.
-
-Provide:
-1. A brief summary of what the code does (2-3 sentences)
-2. Key concepts or techniques used
-3. Any potential improvements or considerations
-
-Code:
-\`\`\`${language || ""}
-${code}
-\`\`\`
-
-Keep the explanation beginner-friendly but technically accurate.
-`;
+    // Only the snippet's owner may replace its cached explanation
+    if (input.regenerate && !isOwner) {
+      return errorResponse("Only the owner can regenerate an explanation", 403); // 403 = Forbidden
+    }
 
     // ============================================
-    // STEP 4: SEND REQUEST TO GEMINI VIA GENKIT
+    // STEP 4: SERVE FROM CACHE
     // ============================================
     
-    // Use Genkit's generate method (much simpler than direct SDK)
-    const { text } = await ai.generate({
-      prompt: prompt,
-      config: {
-        temperature: 0.7,      // Balance between creativity and consistency
-        maxOutputTokens: 1000, // Limit response length (~750 words)
-      },
-    });
+    const cacheKey = getExplanationKey(files);
+    if (!input.regenerate) {
+      let cached = null;
+      try {
+        cached = await getCachedExplanation(db, cacheKey);
+      } catch (error) {
+        // A broken cache shouldn't stop us explaining the code
+        console.error("Error reading cached explanation:", error);
+      }
+
+      if (cached) {
+        return createMessageStream(async (send) => {
+          send({
+            type: "done",
+            explanation: cached.explanation,
+            cached: true,
+            generatedAt: cached.generatedAt.toISOString(),
+          });
+        });
+      }
+    }
+
+    // Everything past here spends AI quota
+    const limited = checkGlobalLimit();
+    if (limited) {
+      return limited;
+    }
 
     // ============================================
-    // STEP 5: RETURN SUCCESS RESPONSE
+    // STEP 5: STREAM THE EXPLANATION FROM THE AI MODEL VIA GENKIT
     // ============================================
     
-    // Send back the explanation to the client
-    return NextResponse.json({ 
-      explanation: text,  // The AI-generated explanation text from Genkit
-      success: true       // Flag indicating successful processing
-    });
+    // Cache it once it's complete (written by the server, which is why
+    // only explanations from the model ever reach the cache)
+    return streamExplanation(files, (explanation) =>
+      saveExplanation(
+        cacheKey,
+        explanation,
+        input.snippetId ? String(input.snippetId) : null
+      )
+    );
 
   } catch (error) {
     // ============================================
@@ -115,12 +134,9 @@ Keep the explanation beginner-friendly but technically accurate.
     // Log the error to the server console for debugging
     console.error("Error explaining code:", error);
     
-    // Return error response to the client
+    // Return a generic error to the client; details stay in the server log
     return NextResponse.json(
-      { 
-        error: "Failed to explain code. Please try again.",
-        details: error.message  // Include error details for debugging
-      },
+      { error: "Failed to explain code. Please try again." },
       { status: 500 } // 500 = Internal Server Error
     );
   }
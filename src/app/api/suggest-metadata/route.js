@@ -0,0 +1,124 @@
+// ============================================
+// IMPORTS
+// ============================================
+
+// Our AI provider layer (Firebase Genkit with the configured model)
+import { generateOutput } from "@/src/lib/ai";
+
+// Import Next.js server response utility
+import { NextResponse } from "next/server";
+
+// The shape of a suggestion and tag clean-up
+import {
+  MetadataSuggestionSchema,
+  normalizeTags,
+} from "@/src/lib/metadataSuggestion";
+
+// Sign-in, rate limit and size checks shared by the AI routes
+import {
+  readAiRequest,
+  readRequestFiles,
+  checkGlobalLimit,
+  errorResponse,
+} from "@/src/lib/ai/requests";
+
+// The prompt template for metadata suggestions
+import { buildMetadataPrompt } from "@/src/lib/ai/prompts";
+
+// ============================================
+// API ROUTE: POST /api/suggest-metadata
+// ============================================
+
+/**
+ * POST Handler for AI Metadata Suggestions
+ *
+ * Reads the files pasted into the add snippet form and suggests a title,
+ * description, the language of each file, a framework and tags. Nothing
+ * is saved; the user picks which suggestions to use.
+ *
+ * Same sign-in, rate limits and size caps as /api/explain-code.
+ *
+ * @param {Request} request - The incoming HTTP request
+ * @returns {NextResponse} JSON suggestion, or JSON error
+ */
+export async function POST(request) {
+  try {
+    // ============================================
+    // STEP 1: AUTHENTICATE, RATE LIMIT AND PARSE THE REQUEST
+    // ============================================
+
+    // Expecting: { files: [{ filename, language, code }] }
+    const aiRequest = await readAiRequest(request, "AI suggestions");
+    if (aiRequest instanceof Response) {
+      return aiRequest;
+    }
+    const { db, currentUser, input } = aiRequest;
+
+    // ============================================
+    // STEP 2: READ AND VALIDATE THE CODE
+    // ============================================
+
+    const requestFiles = await readRequestFiles(db, currentUser, input);
+    if (requestFiles instanceof Response) {
+      return requestFiles;
+    }
+    const { files } = requestFiles;
+
+    // Everything past here spends AI quota
+    const limited = checkGlobalLimit();
+    if (limited) {
+      return limited;
+    }
+
+    // ============================================
+    // STEP 3: ASK THE AI MODEL VIA GENKIT
+    // ============================================
+
+    // The suggestion is checked against the schema; a mismatch isn't thrown
+    const result = await generateOutput({
+      prompt: buildMetadataPrompt(files),
+      output: { schema: MetadataSuggestionSchema },
+      config: {
+        temperature: 0.3, // Mostly describe, don't invent
+        maxOutputTokens: 1000, // Short fields only
+      },
+    });
+
+    // ============================================
+    // STEP 4: CHECK AND RETURN THE SUGGESTION
+    // ============================================
+
+    if (!result.success) {
+      console.error("Invalid metadata suggestion from model:", result.error);
+      return errorResponse(
+        "The AI suggestion was incomplete. Please try again.",
+        502 // 502 = Bad Gateway
+      );
+    }
+
+    // One language per file, keeping the user's where the model gave none
+    const suggestion = result.data;
+    return NextResponse.json({
+      title: suggestion.title.trim(),
+      description: suggestion.description.trim(),
+      languages: files.map(
+        (file, index) => suggestion.languages[index] || file.language
+      ),
+      framework: suggestion.framework.trim(),
+      tags: normalizeTags(suggestion.tags),
+    });
+  } catch (error) {
+    // ============================================
+    // ERROR HANDLING
+    // ============================================
+
+    // Log the error to the server console for debugging
+    console.error("Error suggesting metadata:", error);
+
+    // Return a generic error to the client; details stay in the server log
+    return NextResponse.json(
+      { error: "Failed to suggest metadata. Please try again." },
+      { status: 500 } // 500 = Internal Server Error
+    );
+  }
+}
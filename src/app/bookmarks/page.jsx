@@ -0,0 +1,19 @@
+// ============================================
+// BOOKMARKS PAGE
+// ============================================
+// The snippets the signed-in user has bookmarked
+// Route: /bookmarks
+
+import BookmarksList from "@/src/components/BookmarksList";
+
+/**
+ * Bookmarks Page
+ * Lists the user's bookmarked snippets, most recently bookmarked first
+ */
+export default function BookmarksPage() {
+  return (
+    <div className="page-wrapper-offwhite">
+      <BookmarksList />
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+// ============================================
+// COLLECTION DETAIL PAGE
+// ============================================
+// Shows the snippets in one collection, in the owner's chosen order
+// Route: /collections/[id]
+
+import CollectionDetail from "@/src/components/CollectionDetail";
+
+/**
+ * Collection Detail Page
+ * Dynamic route: /collections/[id]
+ *
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - The collection ID from the URL
+ */
+export default async function CollectionPage({ params }) {
+  // Extract the collection ID from the URL
+  const { id } = await params;
+
+  return (
+    <div className="page-wrapper-offwhite">
+      {/* Pass the collection ID to the detail component */}
+      <CollectionDetail collectionId={id} />
+    </div>
+  );
+}
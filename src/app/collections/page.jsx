@@ -0,0 +1,20 @@
+// ============================================
+// COLLECTIONS PAGE
+// ============================================
+// Lists the user's collections and public collections from everyone
+// Route: /collections
+
+import CollectionsList from "@/src/components/CollectionsList";
+
+/**
+ * Collections Page
+ * Shows the user's own collections (with a form to create one)
+ * and public collections shared by other users
+ */
+export default function CollectionsPage() {
+  return (
+    <div className="page-wrapper-offwhite">
+      <CollectionsList />
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+// ============================================
+// IMPORT SNIPPETS PAGE
+// ============================================
+// Imports many snippets at once from files made by other tools
+// Route: /import
+
+import SnippetImport from "@/src/components/SnippetImport";
+
+/**
+ * Import Snippets Page
+ * Reads the chosen files, previews the snippets found and saves them
+ */
+export default function ImportPage() {
+  return (
+    <div className="page-wrapper-offwhite">
+      <SnippetImport />
+    </div>
+  );
+}
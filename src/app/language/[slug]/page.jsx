@@ -0,0 +1,56 @@
+// ============================================
+// LANGUAGE DETAIL PAGE
+// ============================================
+// Shows all snippets for a specific language
+// Level 2 of the 3-level structure
+// Route: /language/[slug]
+// The first page of snippets is read on the server so the page arrives
+// fully rendered; further pages load in the browser
+
+import { notFound, redirect } from "next/navigation";
+
+import LanguageSnippets from "@/src/components/LanguageSnippets";
+import { getLanguage, getLanguageBySlug } from "@/src/lib/languages";
+import { getSnippetsPageForPage } from "@/src/lib/firebase/serverSnippets";
+
+/**
+ * Language Detail Page
+ * Dynamic route: /language/[slug], e.g. /language/cpp
+ * 
+ * Older links used the language name (e.g. /language/C%2B%2B) and are
+ * redirected to the slug. Languages outside the registry (on older
+ * snippets) are still listed by their name, and are a 404 once they have
+ * no snippets left
+ * 
+ * @param {Object} params - Route parameters
+ * @param {string} params.slug - The language slug from the URL (may be URL-encoded)
+ */
+export default async function LanguagePage({ params }) {
+  // Extract the slug from the URL
+  const { slug } = await params;
+  
+  // Decode URL-encoded characters (e.g., C%2B%2B becomes C++)
+  const decoded = decodeURIComponent(slug);
+
+  const language = getLanguageBySlug(decoded);
+  if (!language) {
+    // A name or alias of a supported language: use its stable URL
+    const named = getLanguage(decoded);
+    if (named) {
+      redirect(`/language/${named.slug}`);
+    }
+  }
+
+  // Snippets are stored with the language's display name
+  const languageName = language ? language.name : decoded;
+  const firstPage = await getSnippetsPageForPage({ language: languageName });
+  if (!language && firstPage.snippets.length === 0) {
+    notFound();
+  }
+
+  return (
+    <div className="page-wrapper-offwhite">
+      <LanguageSnippets languageName={languageName} initialPage={firstPage} />
+    </div>
+  );
+}
@@ -5,11 +5,38 @@ import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp";
 // Without this line, during the build process, next.js will treat this route as static and build a static HTML file for it
 export const dynamic = "force-dynamic";
 
-export const metadata = {
-  title: "Code Snippet Manager",
-  description:
-    "A code snippet manager built with Next.js and Firebase.",
-};
+/**
+ * The site's public URL, from the SITE_URL environment variable
+ * Link previews need absolute URLs for their images. Request headers
+ * can't be trusted to name the site, so it is configured instead
+ *
+ * @returns {URL|undefined} The URL, or undefined if unset or invalid
+ *   (Next.js then falls back to localhost)
+ */
+function getSiteUrl() {
+  if (!process.env.SITE_URL) {
+    return undefined;
+  }
+  try {
+    return new URL(process.env.SITE_URL);
+  } catch {
+    console.error(`SITE_URL is not a valid URL: ${process.env.SITE_URL}`);
+    return undefined;
+  }
+}
+
+export function generateMetadata() {
+  return {
+    metadataBase: getSiteUrl(),
+    // Pages set their own title, e.g. "Quick Sort | Code Snippet Manager"
+    title: {
+      default: "Code Snippet Manager",
+      template: "%s | Code Snippet Manager",
+    },
+    description:
+      "A code snippet manager built with Next.js and Firebase.",
+  };
+}
 
 export default async function RootLayout({ children }) {
   const { currentUser } = await getAuthenticatedAppForUser();
@@ -0,0 +1,19 @@
+// ============================================
+// MY SNIPPETS PAGE
+// ============================================
+// The signed-in user's dashboard of their own snippets
+// Route: /me
+
+import MyDashboard from "@/src/components/MyDashboard";
+
+/**
+ * My Snippets Page
+ * Lists the user's snippets with filters, stats and bulk actions
+ */
+export default function MyPage() {
+  return (
+    <div className="page-wrapper-offwhite">
+      <MyDashboard />
+    </div>
+  );
+}
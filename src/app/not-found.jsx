@@ -0,0 +1,25 @@
+// ============================================
+// NOT FOUND PAGE
+// ============================================
+// Shown with a 404 status for unknown routes, and for snippets and
+// languages that don't exist (or that the user can't see)
+
+import Link from "next/link";
+
+/**
+ * Not Found Page
+ */
+export default function NotFound() {
+  return (
+    <div className="page-wrapper-gray">
+      <div className="snippet-error-container">
+        <div className="snippet-error-box">
+          <p className="snippet-error-text">Page not found</p>
+          <Link href="/" className="snippet-error-link">
+            ← Back to Home
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
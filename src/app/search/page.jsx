@@ -0,0 +1,34 @@
+// ============================================
+// SEARCH PAGE
+// ============================================
+// Full-text search across all snippets
+// Route: /search?q=...&language=...&framework=...&tag=...
+
+import SearchResults from "@/src/components/SearchResults";
+
+/**
+ * Search Page
+ * Reads the query and selected facets from the URL
+ *
+ * @param {Object} searchParams - URL query parameters
+ * @param {string} searchParams.q - The search text
+ * @param {string} searchParams.language - Selected language facet (optional)
+ * @param {string} searchParams.framework - Selected framework facet (optional)
+ * @param {string} searchParams.tag - Selected tag facet (optional)
+ */
+export default async function SearchPage({ searchParams }) {
+  // Extract the query and facets from the URL
+  const {
+    q = "",
+    language = "",
+    framework = "",
+    tag = "",
+  } = await searchParams;
+
+  return (
+    <div className="page-wrapper-offwhite">
+      {/* Pass the query and facets to the results component */}
+      <SearchResults queryText={q} facets={{ language, framework, tag }} />
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+// ============================================
+// SHARED SNIPPET PAGE
+// ============================================
+// Displays an unlisted snippet to anyone holding its share link
+// Route: /share/[token]
+
+import SharedSnippet from "@/src/components/SharedSnippet";
+
+/**
+ * Shared Snippet Page
+ * Dynamic route: /share/[token]
+ *
+ * @param {Object} params - Route parameters
+ * @param {string} params.token - The secret share token from the URL
+ */
+export default async function SharePage({ params }) {
+  // Extract the share token from the URL
+  const { token } = await params;
+
+  return (
+    <div className="page-wrapper-gray">
+      {/* Pass the share token to the component */}
+      <SharedSnippet token={token} />
+    </div>
+  );
+}
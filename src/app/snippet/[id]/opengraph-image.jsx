@@ -0,0 +1,224 @@
+// ============================================
+// SNIPPET PREVIEW IMAGE
+// ============================================
+// The Open Graph image shown when a snippet's link is shared
+// Shows: title, language, author and the first lines of code, highlighted
+// Route: /snippet/[id]/opengraph-image (linked from the page's metadata)
+
+import { ImageResponse } from "next/og";
+
+// The same highlighter and theme as CodeDisplay
+import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
+import { vscDarkPlus } from "react-syntax-highlighter/dist/esm/styles/prism";
+
+import { getSnippetForPage } from "@/src/lib/firebase/serverSnippets";
+import { getPrismLanguage } from "@/src/lib/languages";
+import { getSnippetFiles } from "@/src/lib/snippetFiles";
+
+export const alt = "Code snippet preview";
+export const size = { width: 1200, height: 630 };
+export const contentType = "image/png";
+
+// Lines of code that fit in the image, characters per line and of the title
+const MAX_LINES = 10;
+const MAX_LINE_LENGTH = 72;
+const MAX_TITLE_LENGTH = 40;
+
+// Images are only cached briefly, so edits, and snippets made private,
+// drop out of new previews soon after
+const CACHE_CONTROL = "public, max-age=60";
+
+// ============================================
+// CODE RENDERING
+// ============================================
+
+/**
+ * Cuts text down to a length, ending it with … if it was longer
+ *
+ * @param {string} text - The text to cut
+ * @param {number} length - The most characters to keep
+ * @returns {string} The text, at most length characters long
+ */
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+/**
+ * Cuts code down to what fits in the image
+ *
+ * @param {string} code - The code to preview
+ * @returns {string} Its first lines, each cut to MAX_LINE_LENGTH
+ */
+function getPreviewCode(code = "") {
+  return code
+    .replace(/\t/g, "  ")
+    .split("\n")
+    .slice(0, MAX_LINES)
+    .map((line) => truncate(line, MAX_LINE_LENGTH))
+    .join("\n");
+}
+
+/**
+ * Collects the text of a highlighted node with the color of each piece
+ *
+ * @param {Object} node - A node of the highlighter's syntax tree
+ * @param {string} color - The color inherited from its parents
+ * @param {Object} stylesheet - The theme, by token class
+ * @param {Array<Object>} tokens - Where { text, color } pieces are added
+ */
+function collectTokens(node, color, stylesheet, tokens) {
+  if (node.type === "text") {
+    tokens.push({ text: node.value, color });
+    return;
+  }
+
+  const classNames = node.properties?.className || [];
+  const nodeColor = classNames.reduce(
+    (current, className) => stylesheet[className]?.color || current,
+    color
+  );
+  (node.children || []).forEach((child) =>
+    collectTokens(child, nodeColor, stylesheet, tokens)
+  );
+}
+
+/**
+ * Renders highlighted lines as flex rows of colored text, the only layout
+ * the image renderer supports
+ */
+function renderLines({ rows, stylesheet }) {
+  return rows.map((row, index) => {
+    const tokens = [];
+    collectTokens(row, undefined, stylesheet, tokens);
+
+    return (
+      <div key={index} style={{ display: "flex", whiteSpace: "pre" }}>
+        {tokens.map((token, tokenIndex) => (
+          <span key={tokenIndex} style={{ color: token.color }}>
+            {token.text}
+          </span>
+        ))}
+      </div>
+    );
+  });
+}
+
+/**
+ * Column of lines for the highlighter's <pre> and <code> elements
+ */
+function CodeColumn({ children }) {
+  return (
+    <div style={{ display: "flex", flexDirection: "column" }}>{children}</div>
+  );
+}
+
+// ============================================
+// IMAGE
+// ============================================
+
+/**
+ * Snippet Preview Image
+ * Only public snippets are drawn. The image is read as whoever requests
+ * it and may be cached by anyone in between, so private snippets - even
+ * when their owner requests them - and missing ones get the site's card
+ *
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - The snippet ID from the URL
+ */
+export default async function Image({ params }) {
+  const { id } = await params;
+  const snippet = await getSnippetForPage(id);
+
+  if (!snippet?.isPublic) {
+    return new ImageResponse(
+      (
+        <div
+          style={{
+            display: "flex",
+            flexDirection: "column",
+            justifyContent: "center",
+            alignItems: "center",
+            width: "100%",
+            height: "100%",
+            backgroundColor: "#1e1e1e",
+            color: "#ffffff",
+          }}
+        >
+          <div style={{ fontSize: 72 }}>Code Snippet Manager</div>
+          <div style={{ marginTop: 24, fontSize: 32, color: "#9ca3af" }}>
+            Save, share and explain code snippets
+          </div>
+        </div>
+      ),
+      { ...size, headers: { "Cache-Control": CACHE_CONTROL } }
+    );
+  }
+
+  // The main file is the one shown first on the snippet's page
+  const [mainFile] = getSnippetFiles(snippet);
+  const language = mainFile.language || snippet.language;
+
+  return new ImageResponse(
+    (
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          width: "100%",
+          height: "100%",
+          padding: 56,
+          backgroundColor: "#111827",
+          color: "#ffffff",
+        }}
+      >
+        {/* Title, language and author */}
+        <div style={{ fontSize: 52, lineHeight: 1.2 }}>
+          {truncate(snippet.title || "Untitled snippet", MAX_TITLE_LENGTH)}
+        </div>
+        <div
+          style={{
+            display: "flex",
+            marginTop: 20,
+            fontSize: 28,
+            color: "#9ca3af",
+          }}
+        >
+          <span style={{ color: "#60a5fa" }}>{language}</span>
+          {snippet.author && <span>&nbsp;· by {snippet.author}</span>}
+        </div>
+
+        {/* First lines of code */}
+        <div
+          style={{
+            display: "flex",
+            flexGrow: 1,
+            minHeight: 0,
+            marginTop: 32,
+            padding: "24px 32px",
+            overflow: "hidden",
+            borderRadius: 12,
+            backgroundColor: "#1e1e1e",
+            color: "#d4d4d4",
+            fontSize: 24,
+            lineHeight: 1.4,
+          }}
+        >
+          <SyntaxHighlighter
+            language={getPrismLanguage(language)}
+            style={vscDarkPlus}
+            renderer={renderLines}
+            PreTag={CodeColumn}
+            CodeTag={CodeColumn}
+          >
+            {getPreviewCode(mainFile.code)}
+          </SyntaxHighlighter>
+        </div>
+
+        <div style={{ marginTop: 24, fontSize: 24, color: "#6b7280" }}>
+          Code Snippet Manager
+        </div>
+      </div>
+    ),
+    { ...size, headers: { "Cache-Control": CACHE_CONTROL } }
+  );
+}
@@ -4,8 +4,63 @@
 // Displays a single code snippet with full details
 // Shows: title, description, code, tags, author, date
 // Features: Explain Code button, Edit button, Delete button
+// The snippet is read on the server so the page arrives fully rendered;
+// the detail component then keeps it up to date in the browser
+// Its metadata gives links to it a title, description and preview image
+// (see opengraph-image.jsx)
+
+import { notFound } from "next/navigation";
 
 import SnippetDetail from "@/src/components/SnippetDetail";
+import { getSnippetForPage } from "@/src/lib/firebase/serverSnippets";
+
+// Longest description shown in link previews
+const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Metadata for the snippet's page and link previews
+ * The snippet is read as the user making the request, so previews made
+ * without signing in (chat apps, social sites) only see public snippets
+ *
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - The snippet ID from the URL
+ */
+export async function generateMetadata({ params }) {
+  const { id } = await params;
+  const snippet = await getSnippetForPage(id);
+  if (!snippet) {
+    return { title: "Snippet not found" };
+  }
+
+  const language = snippet.language || "Code";
+  const summary =
+    snippet.description ||
+    `${language} snippet${snippet.author ? ` by ${snippet.author}` : ""}`;
+  const description =
+    summary.length > MAX_DESCRIPTION_LENGTH
+      ? `${summary.slice(0, MAX_DESCRIPTION_LENGTH - 1).trimEnd()}…`
+      : summary;
+
+  return {
+    title: snippet.title,
+    description,
+    openGraph: {
+      type: "article",
+      siteName: "Code Snippet Manager",
+      title: snippet.title,
+      description,
+      authors: snippet.author ? [snippet.author] : undefined,
+      tags: [language, ...(snippet.tags || [])],
+    },
+    twitter: {
+      card: "summary_large_image",
+      title: snippet.title,
+      description,
+    },
+    // Only the owner can open a private snippet, and it shouldn't be indexed
+    robots: snippet.isPublic ? undefined : { index: false, follow: false },
+  };
+}
 
 /**
  * Snippet Detail Page
@@ -18,10 +73,16 @@ export default async function SnippetPage({ params }) {
   // Extract the snippet ID from the URL
   const { id } = await params;
 
+  // Missing snippets, and private snippets of other users, are a 404
+  const snippet = await getSnippetForPage(id);
+  if (!snippet) {
+    notFound();
+  }
+
   return (
     <div className="page-wrapper-gray">
-      {/* Pass the snippet ID to the detail component */}
-      <SnippetDetail snippetId={id} />
+      {/* Pass the snippet to the detail component */}
+      <SnippetDetail snippetId={id} initialSnippet={snippet} />
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,25 @@
+// ============================================
+// AUTHOR PAGE
+// ============================================
+// Shows a user's profile, stats, public snippets and public collections
+// Route: /u/[uid]
+
+import AuthorProfile from "@/src/components/AuthorProfile";
+
+/**
+ * Author Page
+ * Dynamic route: /u/[uid]
+ *
+ * @param {Object} params - Route parameters
+ * @param {string} params.uid - The author's user ID from the URL
+ */
+export default async function AuthorPage({ params }) {
+  // Extract the user ID from the URL
+  const { uid } = await params;
+
+  return (
+    <div className="page-wrapper-offwhite">
+      <AuthorProfile userId={uid} />
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for state and side effects
+import { useEffect, useState } from "react";
+
+// Next.js Link component for navigation
+import Link from "next/link";
+
+// Our Firebase functions for collections
+import {
+  getUserCollections,
+  addSnippetToCollection,
+  removeSnippetFromCollection,
+} from "@/src/lib/firebase/collections";
+
+// ============================================
+// ADD TO COLLECTION COMPONENT
+// ============================================
+
+/**
+ * AddToCollection Component
+ * Button with a dropdown of the user's collections, where each one can
+ * be ticked to add the snippet or unticked to remove it
+ *
+ * @param {Object} props
+ * @param {string} props.snippetId - The snippet to add or remove
+ * @param {Object} props.user - The signed-in Firebase user
+ */
+export default function AddToCollection({ snippetId, user }) {
+  // Whether the dropdown is open
+  const [open, setOpen] = useState(false);
+
+  // The user's collections
+  const [collections, setCollections] = useState([]);
+
+  // ID of the collection currently being updated
+  const [savingId, setSavingId] = useState(null);
+
+  // Only load collections once the dropdown has been opened
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+    return getUserCollections(user.uid, setCollections);
+  }, [open, user.uid]);
+
+  /**
+   * Adds the snippet to a collection, or removes it if it's already there
+   */
+  const handleToggle = async (collection) => {
+    setSavingId(collection.id);
+    try {
+      if (collection.snippetIds?.includes(snippetId)) {
+        await removeSnippetFromCollection(collection.id, snippetId);
+      } else {
+        await addSnippetToCollection(collection.id, snippetId);
+      }
+    } catch (error) {
+      console.error("Error updating collection:", error);
+      alert("Failed to update collection. Please try again.");
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <div className="add-to-collection">
+      <button
+        onClick={() => setOpen(!open)}
+        className="add-to-collection-button"
+        aria-expanded={open}
+      >
+        📁 Add to Collection
+      </button>
+
+      {open && (
+        <div className="add-to-collection-menu">
+          {collections.length === 0 ? (
+            <p className="add-to-collection-empty">No collections yet.</p>
+          ) : (
+            <ul>
+              {collections.map((collection) => (
+                <li key={collection.id}>
+                  <label className="add-to-collection-item">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(
+                        collection.snippetIds?.includes(snippetId)
+                      )}
+                      disabled={savingId === collection.id}
+                      onChange={() => handleToggle(collection)}
+                    />
+                    {collection.name}
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+          <Link href="/collections" className="add-to-collection-link">
+            Manage collections →
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hook for state
+import { useState } from "react";
+
+// The actions the AI can take on a snippet
+import { CODE_ACTIONS } from "@/src/lib/codeActions";
+
+// Languages a snippet can be converted to
+import { LANGUAGE_NAMES } from "@/src/lib/languages";
+
+// ============================================
+// AI ACTIONS MENU COMPONENT
+// ============================================
+
+/**
+ * AiActionsMenu Component
+ * Button with a dropdown of AI actions (refactor, add doc comments, write
+ * tests, find bugs, convert to another language). Picking one runs it on
+ * the snippet and hands the result to onResult
+ *
+ * @param {Object} props
+ * @param {Object} props.snippet - The snippet to run the action on
+ * @param {Function} props.onResult - Called with { action, files, notes }
+ */
+export default function AiActionsMenu({ snippet, onResult }) {
+  // Whether the dropdown is open
+  const [open, setOpen] = useState(false);
+
+  // ID of the action currently running
+  const [runningId, setRunningId] = useState(null);
+
+  // Language to convert to (anything but the snippet's own)
+  const [targetLanguage, setTargetLanguage] = useState(
+    LANGUAGE_NAMES.find((language) => language !== snippet.language)
+  );
+
+  /**
+   * Runs an action on the snippet through our API
+   */
+  const handleRun = async (action) => {
+    setRunningId(action.id);
+    setOpen(false);
+
+    try {
+      // The API reads the snippet's files itself
+      const response = await fetch("/api/code-action", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          snippetId: snippet.id,
+          action: action.id,
+          targetLanguage: action.needsTargetLanguage
+            ? targetLanguage
+            : undefined,
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to run the AI action");
+      }
+      onResult(data);
+    } catch (error) {
+      console.error("Error running AI action:", error);
+      alert(error.message || "Failed to run the AI action. Please try again.");
+    } finally {
+      setRunningId(null);
+    }
+  };
+
+  const running = CODE_ACTIONS.find((action) => action.id === runningId);
+
+  return (
+    <div className="ai-actions">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={Boolean(running)}
+        className="ai-actions-button"
+        aria-expanded={open}
+      >
+        {running ? `${running.label}...` : "✨ AI Actions"}
+      </button>
+
+      {open && (
+        <ul className="ai-actions-menu">
+          {CODE_ACTIONS.map((action) => (
+            <li key={action.id} className="ai-actions-item">
+              <button
+                onClick={() => handleRun(action)}
+                className="ai-actions-item-button"
+              >
+                <span className="ai-actions-item-label">{action.label}</span>
+                <span className="ai-actions-item-description">
+                  {action.description}
+                </span>
+              </button>
+
+              {/* Target language for conversions */}
+              {action.needsTargetLanguage && (
+                <select
+                  value={targetLanguage}
+                  onChange={(e) => setTargetLanguage(e.target.value)}
+                  className="ai-actions-language"
+                  aria-label="Language to convert to"
+                >
+                  {LANGUAGE_NAMES.map((language) => (
+                    <option key={language} value={language}>
+                      {language}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// Renders the markdown in the model's answer
+import ReactMarkdown from "react-markdown";
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Checks whether two annotations point at the same lines
+ * (partial explanations are new objects on every update)
+ */
+function isSameLines(a, b) {
+  return (
+    Boolean(a && b) &&
+    a.filename === b.filename &&
+    a.startLine === b.startLine &&
+    a.endLine === b.endLine
+  );
+}
+
+// ============================================
+// AI EXPLANATION COMPONENT
+// ============================================
+
+/**
+ * AiExplanation Component
+ * Shows a structured AI explanation: a summary, key concepts, notes on
+ * line ranges and suggested improvements. While the explanation is still
+ * streaming any field may be missing or cut short, so each section only
+ * appears once it has content
+ *
+ * @param {Object} props
+ * @param {Object} props.explanation - The explanation so far
+ * @param {boolean} props.streaming - Whether more of the explanation is coming
+ * @param {Object} props.source - Where the finished explanation came from: { cached, generatedAt }
+ * @param {Object} props.selected - The annotation whose lines are highlighted
+ * @param {Function} props.onSelectLines - Called with an annotation when its lines are clicked
+ * @param {Function} props.onRegenerate - Asks for a fresh explanation (owner only, optional)
+ */
+export default function AiExplanation({
+  explanation,
+  streaming,
+  source,
+  selected,
+  onSelectLines,
+  onRegenerate,
+}) {
+  const keyConcepts = (explanation.keyConcepts || []).filter(
+    (concept) => concept?.name
+  );
+  const annotations = (explanation.annotations || []).filter(
+    (annotation) => annotation?.startLine && annotation?.note
+  );
+  const improvements = (explanation.improvements || []).filter(Boolean);
+
+  return (
+    <div className="ai-explanation-box">
+      <div className="ai-explanation-content">
+        {/* Robot/AI Icon */}
+        <span className="ai-icon">🤖</span>
+        <div className="ai-text-container">
+          <h3 className="ai-explanation-title">
+            AI Explanation
+            {streaming && (
+              <span className="ai-explanation-streaming"> writing…</span>
+            )}
+          </h3>
+
+          {/* Cache info and Regenerate button */}
+          {source && (
+            <div className="ai-explanation-source">
+              <span>
+                {source.cached ? "Cached explanation from" : "Generated"}{" "}
+                {new Date(source.generatedAt).toLocaleString()}
+              </span>
+              {onRegenerate && (
+                <button
+                  onClick={onRegenerate}
+                  disabled={streaming}
+                  className="ai-regenerate-button"
+                >
+                  🔄 Regenerate
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Summary */}
+          {explanation.summary && (
+            <div className="ai-explanation-text">
+              <ReactMarkdown>{explanation.summary}</ReactMarkdown>
+            </div>
+          )}
+
+          {/* Key Concepts */}
+          {keyConcepts.length > 0 && (
+            <section className="ai-explanation-section">
+              <h4 className="ai-explanation-heading">Key concepts</h4>
+              <ul className="ai-explanation-list">
+                {keyConcepts.map((concept, index) => (
+                  <li key={index}>
+                    <strong>{concept.name}</strong>
+                    {concept.description && (
+                      <ReactMarkdown>{concept.description}</ReactMarkdown>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {/* Line Annotations - click to highlight the lines */}
+          {annotations.length > 0 && (
+            <section className="ai-explanation-section">
+              <h4 className="ai-explanation-heading">Line by line</h4>
+              <ul className="ai-explanation-list">
+                {annotations.map((annotation, index) => {
+                  const lines = {
+                    ...annotation,
+                    endLine: annotation.endLine || annotation.startLine,
+                  };
+                  const isSelected = isSameLines(selected, lines);
+                  return (
+                    <li key={index} className="ai-annotation">
+                      <button
+                        onClick={() => onSelectLines(isSelected ? null : lines)}
+                        className={`ai-line-reference ${
+                          isSelected ? "ai-line-reference-active" : ""
+                        }`}
+                      >
+                        {annotation.filename && `${annotation.filename} `}
+                        {lines.endLine > lines.startLine
+                          ? `lines ${lines.startLine}–${lines.endLine}`
+                          : `line ${lines.startLine}`}
+                      </button>
+                      <ReactMarkdown>{annotation.note}</ReactMarkdown>
+                    </li>
+                  );
+                })}
+              </ul>
+            </section>
+          )}
+
+          {/* Suggested Improvements */}
+          {improvements.length > 0 && (
+            <section className="ai-explanation-section">
+              <h4 className="ai-explanation-heading">Suggested improvements</h4>
+              <ul className="ai-explanation-list">
+                {improvements.map((improvement, index) => (
+                  <li key={index}>
+                    <ReactMarkdown>{improvement}</ReactMarkdown>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
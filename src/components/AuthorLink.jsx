@@ -0,0 +1,31 @@
+"use client";
+
+// Next.js Link component for client-side navigation
+import Link from "next/link";
+
+// URL of a user's author page
+import { getProfilePath } from "@/src/lib/firebase/users";
+
+/**
+ * AuthorLink Component
+ * An author's name, linking to their author page when we know who they are
+ *
+ * @param {Object} props
+ * @param {string|null} props.userId - The author's user ID
+ * @param {string} props.name - The name to show
+ * @param {string} props.className - Optional extra class
+ */
+export default function AuthorLink({ userId, name, className = "" }) {
+  if (!userId) {
+    return <span className={className}>{name}</span>;
+  }
+
+  return (
+    <Link
+      href={getProfilePath(userId)}
+      className={`author-link ${className}`.trim()}
+    >
+      {name}
+    </Link>
+  );
+}
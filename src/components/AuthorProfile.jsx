@@ -0,0 +1,394 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for state and side effects
+import { useEffect, useState } from "react";
+
+// Next.js Link component for navigation
+import Link from "next/link";
+
+// Firebase auth to check whether this is the user's own page
+import { useAuthState } from "react-firebase-hooks/auth";
+import { auth } from "@/src/lib/firebase/clientApp";
+
+// Our Firebase functions for profiles, snippets and collections
+import { getUserProfile, updateUserProfile } from "@/src/lib/firebase/users";
+import { getPublicSnippetsByOwner } from "@/src/lib/firebase/snippets";
+import { getPublicUserCollections } from "@/src/lib/firebase/collections";
+import {
+  MAX_BIO_LENGTH,
+  ProfileValidationError,
+} from "@/src/lib/profileSchema";
+
+// Language icons and page links for the stats
+import { getLanguageIcon, getLanguagePath } from "@/src/lib/languages";
+
+// Cards for the author's snippets and collections
+import SnippetCard from "@/src/components/SnippetCard";
+import CollectionCard from "@/src/components/CollectionCard";
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Most languages listed in the stats
+const MAX_TOP_LANGUAGES = 5;
+
+/**
+ * Totals across an author's public snippets
+ *
+ * @param {Array<Object>} snippets - The snippets
+ * @returns {Object} forks, ratings, average rating and top languages
+ */
+function getAuthorStats(snippets) {
+  const languageCounts = {};
+  let forks = 0;
+  let ratings = 0;
+  let ratingSum = 0;
+
+  snippets.forEach((snippet) => {
+    forks += snippet.forkCount || 0;
+    ratings += snippet.numRatings || 0;
+    ratingSum += snippet.sumRating || 0;
+    languageCounts[snippet.language] =
+      (languageCounts[snippet.language] || 0) + 1;
+  });
+
+  const topLanguages = Object.keys(languageCounts)
+    .map((name) => ({ name, count: languageCounts[name] }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_TOP_LANGUAGES);
+
+  return {
+    forks,
+    ratings,
+    averageRating: ratings > 0 ? ratingSum / ratings : null,
+    topLanguages,
+  };
+}
+
+// ============================================
+// PROFILE FORM
+// ============================================
+
+/**
+ * Form for the author to change their display name and bio
+ *
+ * @param {Object} props
+ * @param {Object} props.profile - The current profile
+ * @param {Function} props.onSaved - Called with the saved fields
+ * @param {Function} props.onCancel - Closes the form
+ */
+function ProfileForm({ profile, onSaved, onCancel }) {
+  const [displayName, setDisplayName] = useState(profile.displayName);
+  const [bio, setBio] = useState(profile.bio || "");
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrors({});
+    setSaving(true);
+
+    try {
+      onSaved(await updateUserProfile(profile.id, { displayName, bio }));
+    } catch (error) {
+      console.error("Error updating profile:", error);
+      setErrors(
+        error instanceof ProfileValidationError
+          ? error.errors
+          : { form: "Failed to save your profile. Please try again." }
+      );
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="author-profile-form" noValidate>
+      {errors.form && <div className="error-message">{errors.form}</div>}
+
+      <div className="form-group">
+        <label className="form-label">Display name</label>
+        <input
+          type="text"
+          value={displayName}
+          onChange={(e) => setDisplayName(e.target.value)}
+          className={
+            errors.displayName ? "form-input form-input-invalid" : "form-input"
+          }
+        />
+        {errors.displayName && (
+          <p className="form-field-error" role="alert">
+            {errors.displayName}
+          </p>
+        )}
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Bio</label>
+        <textarea
+          value={bio}
+          onChange={(e) => setBio(e.target.value)}
+          rows={3}
+          placeholder="A line or two about you and what you code"
+          className={
+            errors.bio ? "form-textarea form-input-invalid" : "form-textarea"
+          }
+        />
+        {errors.bio ? (
+          <p className="form-field-error" role="alert">
+            {errors.bio}
+          </p>
+        ) : (
+          <p className="form-helper-text">
+            {bio.length}/{MAX_BIO_LENGTH}
+          </p>
+        )}
+      </div>
+
+      <div className="form-buttons">
+        <button type="submit" disabled={saving} className="form-button-primary">
+          {saving ? "Saving..." : "Save Profile"}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="form-button-secondary"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// ============================================
+// AUTHOR PROFILE COMPONENT
+// ============================================
+
+/**
+ * AuthorProfile Component
+ * An author's page: their profile, stats, public snippets and public
+ * collections. Authors can edit their display name and bio here
+ *
+ * @param {Object} props
+ * @param {string} props.userId - The author's user ID
+ */
+export default function AuthorProfile({ userId }) {
+  // Get current authenticated user
+  const [user] = useAuthState(auth);
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const [profile, setProfile] = useState(null);
+  const [snippets, setSnippets] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(false);
+
+  // ============================================
+  // FETCH AUTHOR DATA
+  // ============================================
+
+  useEffect(() => {
+    /**
+     * Loads the profile, public snippets and public collections
+     */
+    async function fetchAuthor() {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const authorProfile = await getUserProfile(userId);
+        const authorSnippets = await getPublicSnippetsByOwner(userId);
+        const authorCollections = await getPublicUserCollections(userId);
+
+        // Authors from before profiles existed are known by their snippets
+        if (!authorProfile && authorSnippets.length === 0) {
+          setError("Author not found");
+          return;
+        }
+
+        setProfile(
+          authorProfile || {
+            id: userId,
+            displayName: authorSnippets[0].author,
+          }
+        );
+        setSnippets(authorSnippets);
+        setCollections(authorCollections);
+      } catch (err) {
+        console.error("Error fetching author:", err);
+        setError("Failed to load this author");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchAuthor();
+  }, [userId]);
+
+  // ============================================
+  // RENDER: LOADING STATE
+  // ============================================
+
+  if (loading) {
+    return (
+      <div className="loading-state">
+        <div className="loading-text">Loading author...</div>
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER: ERROR STATE
+  // ============================================
+
+  if (error) {
+    return (
+      <div className="snippet-error-container">
+        <div className="snippet-error-box">
+          <p className="snippet-error-text">{error}</p>
+          <Link href="/" className="snippet-error-link">
+            ← Back to Home
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER: AUTHOR PAGE
+  // ============================================
+
+  const isOwnProfile = user?.uid === userId && Boolean(profile.handle);
+  const stats = getAuthorStats(snippets);
+
+  return (
+    <div className="language-snippets-container">
+      <Link href="/" className="back-link">
+        ← Back to All Languages
+      </Link>
+
+      {/* Profile Header */}
+      <div className="author-profile">
+        <img
+          className="author-avatar"
+          src={profile.photoURL || "/profile.svg"}
+          alt=""
+        />
+        <div className="author-profile-details">
+          <h1 className="author-name">{profile.displayName}</h1>
+          {profile.handle && <p className="author-handle">@{profile.handle}</p>}
+          {profile.bio && <p className="author-bio">{profile.bio}</p>}
+          {profile.createdAt && (
+            <p className="author-joined">
+              Joined {profile.createdAt.toDate().toLocaleDateString()}
+            </p>
+          )}
+          {isOwnProfile && !editing && (
+            <button
+              type="button"
+              onClick={() => setEditing(true)}
+              className="author-edit-button"
+            >
+              ✏️ Edit Profile
+            </button>
+          )}
+        </div>
+      </div>
+
+      {editing && (
+        <ProfileForm
+          profile={profile}
+          onSaved={(saved) => {
+            setProfile((prev) => ({ ...prev, ...saved }));
+            // The author's name is shown on each of their cards too
+            setSnippets((prev) =>
+              prev.map((snippet) => ({ ...snippet, author: saved.displayName }))
+            );
+            setEditing(false);
+          }}
+          onCancel={() => setEditing(false)}
+        />
+      )}
+
+      {/* Stats */}
+      <div className="author-stats">
+        <div className="author-stat">
+          <span className="author-stat-value">{snippets.length}</span>
+          <span className="author-stat-label">
+            {snippets.length === 1 ? "snippet" : "snippets"}
+          </span>
+        </div>
+        <div className="author-stat">
+          <span className="author-stat-value">{collections.length}</span>
+          <span className="author-stat-label">
+            {collections.length === 1 ? "collection" : "collections"}
+          </span>
+        </div>
+        <div className="author-stat">
+          <span className="author-stat-value">{stats.forks}</span>
+          <span className="author-stat-label">
+            {stats.forks === 1 ? "fork" : "forks"}
+          </span>
+        </div>
+        <div className="author-stat">
+          <span className="author-stat-value">
+            {stats.averageRating === null
+              ? "—"
+              : `★ ${stats.averageRating.toFixed(1)}`}
+          </span>
+          <span className="author-stat-label">
+            {stats.ratings} {stats.ratings === 1 ? "rating" : "ratings"}
+          </span>
+        </div>
+      </div>
+
+      {stats.topLanguages.length > 0 && (
+        <div className="author-languages">
+          {stats.topLanguages.map((language) => (
+            <Link
+              key={language.name}
+              href={getLanguagePath(language.name)}
+              className="author-language"
+            >
+              {getLanguageIcon(language.name)} {language.name} ·{" "}
+              {language.count}
+            </Link>
+          ))}
+        </div>
+      )}
+
+      {/* Public Snippets */}
+      <h2 className="author-section-title">Snippets</h2>
+      {snippets.length === 0 ? (
+        <p className="author-empty">No public snippets yet.</p>
+      ) : (
+        <div className="snippets-grid">
+          {snippets.map((snippet) => (
+            <SnippetCard key={snippet.id} snippet={snippet} />
+          ))}
+        </div>
+      )}
+
+      {/* Public Collections */}
+      <h2 className="author-section-title">Collections</h2>
+      {collections.length === 0 ? (
+        <p className="author-empty">No public collections yet.</p>
+      ) : (
+        <div className="snippets-grid">
+          {collections.map((collection) => (
+            <CollectionCard key={collection.id} collection={collection} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
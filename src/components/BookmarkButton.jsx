@@ -0,0 +1,105 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for state and side effects
+import { useEffect, useState } from "react";
+
+// Firebase auth to get current user
+import { useAuthState } from "react-firebase-hooks/auth";
+import { auth } from "@/src/lib/firebase/clientApp";
+
+// Our Firebase functions for bookmarks
+import { toggleBookmark, watchBookmark } from "@/src/lib/firebase/bookmarks";
+
+// ============================================
+// BOOKMARK BUTTON COMPONENT
+// ============================================
+
+/**
+ * BookmarkButton Component
+ * Star that saves a snippet to the user's bookmarks, with the number of
+ * people who bookmarked it. Signed-out visitors only see the number
+ *
+ * @param {Object} props
+ * @param {Object} props.snippet - The snippet, with its ID and bookmarkCount
+ * @param {string} [props.className] - Extra class for where it's shown
+ * @param {Function} [props.onChange] - Called with true or false after a
+ *   toggle
+ */
+export default function BookmarkButton({ snippet, className = "", onChange }) {
+  // Get current authenticated user
+  const [user] = useAuthState(auth);
+
+  const [bookmarked, setBookmarked] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  // The count shown is the stored one, plus the user's own toggles until
+  // the snippet passed in is updated (a live snippet then already has
+  // them, along with everyone else's)
+  const storedCount = snippet.bookmarkCount || 0;
+  const [toggles, setToggles] = useState({ storedCount, change: 0 });
+  const count = Math.max(
+    storedCount + (toggles.storedCount === storedCount ? toggles.change : 0),
+    0
+  );
+
+  // Keep the star in sync with bookmarks made elsewhere
+  useEffect(() => {
+    if (!user) {
+      setBookmarked(false);
+      return;
+    }
+    return watchBookmark(user.uid, snippet.id, setBookmarked);
+  }, [user, snippet.id]);
+
+  /**
+   * Adds or removes the bookmark
+   */
+  const handleToggle = async () => {
+    setSaving(true);
+    const countBefore = storedCount;
+    try {
+      const nowBookmarked = await toggleBookmark(snippet.id, user.uid);
+      setToggles((prev) => ({
+        storedCount: countBefore,
+        change:
+          (prev.storedCount === countBefore ? prev.change : 0) +
+          (nowBookmarked ? 1 : -1),
+      }));
+      onChange?.(nowBookmarked);
+    } catch (error) {
+      console.error("Error updating bookmark:", error);
+      alert("Failed to update bookmark. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!user) {
+    return (
+      <span className={`bookmark-count ${className}`} title="Bookmarks">
+        ☆ {count}
+      </span>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleToggle}
+      disabled={saving}
+      className={
+        bookmarked
+          ? `bookmark-button bookmark-button-active ${className}`
+          : `bookmark-button ${className}`
+      }
+      aria-pressed={bookmarked}
+      title={bookmarked ? "Remove bookmark" : "Bookmark this snippet"}
+    >
+      {bookmarked ? "★" : "☆"} {count}
+    </button>
+  );
+}
@@ -0,0 +1,141 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for state and side effects
+import { useEffect, useState } from "react";
+
+// Next.js Link component for navigation
+import Link from "next/link";
+
+// Firebase auth to get current user
+import { useAuthState } from "react-firebase-hooks/auth";
+import { auth } from "@/src/lib/firebase/clientApp";
+
+// Our Firebase function for the user's bookmarks
+import { getBookmarkedSnippets } from "@/src/lib/firebase/bookmarks";
+
+// Cards for the bookmarked snippets
+import SnippetCard from "@/src/components/SnippetCard";
+
+// ============================================
+// BOOKMARKS LIST COMPONENT
+// ============================================
+
+/**
+ * BookmarksList Component
+ * The snippets the signed-in user has bookmarked, most recent first
+ */
+export default function BookmarksList() {
+  // Get current authenticated user
+  const [user, loadingUser] = useAuthState(auth);
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const [snippets, setSnippets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // ============================================
+  // FETCH BOOKMARKS
+  // ============================================
+
+  useEffect(() => {
+    if (!user) {
+      setSnippets([]);
+      return;
+    }
+
+    /**
+     * Loads the bookmarked snippets
+     */
+    async function fetchBookmarks() {
+      setLoading(true);
+      setError(null);
+
+      try {
+        setSnippets(await getBookmarkedSnippets(user.uid));
+      } catch (err) {
+        console.error("Error fetching bookmarks:", err);
+        setError("Failed to load your bookmarks");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchBookmarks();
+  }, [user]);
+
+  // ============================================
+  // RENDER: LOADING STATE
+  // ============================================
+
+  if (loadingUser || (user && loading)) {
+    return (
+      <div className="loading-state">
+        <div className="loading-text">Loading bookmarks...</div>
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER: NOT AUTHENTICATED STATE
+  // ============================================
+
+  if (!user) {
+    return (
+      <div className="not-authenticated-warning">
+        <div className="warning-box">
+          <p className="warning-title">Please sign in to see your bookmarks</p>
+          <p className="warning-text">
+            Bookmark snippets with the ☆ star to find them here later.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER: BOOKMARKS
+  // ============================================
+
+  return (
+    <div className="language-snippets-container">
+      <Link href="/" className="back-link">
+        ← Back to All Languages
+      </Link>
+
+      <h1 className="author-section-title">My Bookmarks</h1>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {snippets.length === 0 ? (
+        <p className="author-empty">
+          You haven&apos;t bookmarked any snippets yet. Use the ☆ star on a
+          snippet to save it here.
+        </p>
+      ) : (
+        <div className="snippets-grid">
+          {snippets.map((snippet) => (
+            <SnippetCard
+              key={snippet.id}
+              snippet={snippet}
+              onBookmarkChange={(bookmarked) => {
+                // Removing a bookmark takes the snippet off this page
+                if (!bookmarked) {
+                  setSnippets((prev) =>
+                    prev.filter((item) => item.id !== snippet.id)
+                  );
+                }
+              }}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
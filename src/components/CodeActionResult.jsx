@@ -0,0 +1,175 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hook for state
+import { useState } from "react";
+
+// Next.js navigation
+import { useRouter } from "next/navigation";
+
+// Renders the markdown in the model's notes
+import ReactMarkdown from "react-markdown";
+
+// Line diff between the original and changed files
+import DiffView from "@/src/components/DiffView";
+
+// The action that produced the result
+import { getCodeAction } from "@/src/lib/codeActions";
+
+// Reads the snippet's files and keeps code/language in step with them
+import { getSnippetFiles, withMainFile } from "@/src/lib/snippetFiles";
+
+// Our Firebase helpers for saving the result
+import {
+  addSnippet,
+  updateSnippet,
+  getVisibility,
+} from "@/src/lib/firebase/snippets";
+import { getDisplayName } from "@/src/lib/firebase/users";
+import { SnippetValidationError } from "@/src/lib/snippetSchema";
+
+// ============================================
+// CODE ACTION RESULT COMPONENT
+// ============================================
+
+/**
+ * CodeActionResult Component
+ * Shows the result of an AI action as a diff of each file against the
+ * original, with the model's notes. The snippet's owner can apply the
+ * result as a new version or save it as a new snippet
+ *
+ * Files are paired by position, so renamed files (e.g. after converting
+ * to another language) are diffed against the file they replace
+ *
+ * @param {Object} props
+ * @param {Object} props.snippet - The original snippet
+ * @param {Object} props.result - The action's result: { action, files, notes }
+ * @param {Object} props.user - The signed-in Firebase user
+ * @param {boolean} props.isOwner - Whether the user owns the snippet
+ * @param {Function} props.onApplied - Called with the updated fields after "Apply as new version"
+ * @param {Function} props.onClose - Hides the result
+ */
+export default function CodeActionResult({
+  snippet,
+  result,
+  user,
+  isOwner,
+  onApplied,
+  onClose,
+}) {
+  const router = useRouter();
+
+  // Which save is in progress: "apply", "save" or null
+  const [saving, setSaving] = useState(null);
+
+  const action = getCodeAction(result.action);
+  const originalFiles = getSnippetFiles(snippet);
+  const fileCount = Math.max(originalFiles.length, result.files.length);
+
+  /**
+   * Replaces the snippet's files with the result, recording a new revision
+   */
+  const handleApply = async () => {
+    setSaving("apply");
+    try {
+      const updated = withMainFile({ files: result.files });
+      await updateSnippet(snippet.id, updated);
+      onApplied(updated);
+    } catch (error) {
+      console.error("Error applying AI result:", error);
+      alert(
+        error instanceof SnippetValidationError
+          ? error.message
+          : "Failed to apply the changes. Please try again."
+      );
+      setSaving(null);
+    }
+  };
+
+  /**
+   * Saves the result as a new snippet and opens it
+   */
+  const handleSaveAsNew = async () => {
+    setSaving("save");
+    try {
+      // Copies of public snippets stay public, anything else starts private
+      const newId = await addSnippet({
+        title: `${snippet.title} (${action.titleSuffix})`,
+        description: snippet.description || "",
+        framework: snippet.framework || "",
+        tags: snippet.tags || [],
+        files: result.files,
+        visibility: getVisibility(snippet) === "public" ? "public" : "private",
+        author: getDisplayName(user),
+        ownerId: user.uid,
+      });
+      router.push(`/snippet/${newId}`);
+    } catch (error) {
+      console.error("Error saving AI result:", error);
+      alert(
+        error instanceof SnippetValidationError
+          ? error.message
+          : "Failed to save the new snippet. Please try again."
+      );
+      setSaving(null);
+    }
+  };
+
+  return (
+    <div className="code-action-result">
+      <div className="code-action-header">
+        <h2 className="code-action-title">{action.label}</h2>
+        <button onClick={onClose} className="code-action-close">
+          ✕ Discard
+        </button>
+      </div>
+
+      {/* What the model changed or found */}
+      <div className="ai-explanation-text">
+        <ReactMarkdown>{result.notes}</ReactMarkdown>
+      </div>
+
+      {/* Each file against the one it replaces */}
+      {Array.from({ length: fileCount }, (_, index) => {
+        const original = originalFiles[index];
+        const changed = result.files[index];
+        return (
+          <div key={index} className="code-action-file">
+            <p className="code-filename-label">
+              {changed?.filename || original.filename}
+            </p>
+            <DiffView
+              oldText={original?.code || ""}
+              newText={changed?.code || ""}
+              oldLabel={original?.filename || "(new file)"}
+              newLabel={changed?.filename || "(removed)"}
+            />
+          </div>
+        );
+      })}
+
+      {/* Keep the result - owner only */}
+      {isOwner && (
+        <div className="code-action-buttons">
+          <button
+            onClick={handleApply}
+            disabled={Boolean(saving)}
+            className="code-action-apply"
+          >
+            {saving === "apply" ? "Applying..." : "Apply as new version"}
+          </button>
+          <button
+            onClick={handleSaveAsNew}
+            disabled={Boolean(saving)}
+            className="code-action-save"
+          >
+            {saving === "save" ? "Saving..." : "Save as new snippet"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
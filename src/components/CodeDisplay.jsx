@@ -12,9 +12,12 @@ import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
 // This is imported from the ESM (ES Module) path for better Next.js compatibility
 import { vscDarkPlus } from "react-syntax-highlighter/dist/esm/styles/prism";
 
-// React hook for managing component state
-// We'll use this to track if the copy button was clicked
-import { useState } from "react";
+// Maps language names (e.g. "C++") to Prism grammars (e.g. "cpp")
+import { getPrismLanguage } from "@/src/lib/languages";
+
+// React hooks for managing component state and scrolling
+// We'll use state to track if the copy button was clicked
+import { useEffect, useRef, useState } from "react";
 
 /**
  * CodeDisplay Component
@@ -22,12 +25,52 @@ import { useState } from "react";
  * 
  * @param {string} code - The code string to display
  * @param {string} language - Programming language for syntax highlighting (default: "javascript")
+ * @param {string} filename - Name of the file being shown (optional)
+ * @param {string} copyLabel - Text of the copy button (default: "Copy Code")
+ * @param {Object} highlightLines - Lines to highlight, { startLine, endLine } (optional)
  */
-export default function CodeDisplay({ code, language = "javascript" }) {
+export default function CodeDisplay({
+  code,
+  language = "javascript",
+  filename,
+  copyLabel = "Copy Code",
+  highlightLines,
+}) {
   // State to track if code was copied (for button feedback)
   // Initially false, becomes true when copy button is clicked
   const [copied, setCopied] = useState(false);
 
+  // Wrapper element, used to scroll highlighted lines into view
+  const wrapperRef = useRef(null);
+
+  const startLine = highlightLines?.startLine;
+  const endLine = highlightLines?.endLine;
+
+  // Bring the highlighted lines into view when they change
+  useEffect(() => {
+    if (!startLine) {
+      return;
+    }
+    wrapperRef.current
+      ?.querySelector('[data-highlighted="true"]')
+      ?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  }, [startLine, endLine]);
+
+  /**
+   * Extra props for each line, marking the highlighted ones
+   */
+  const getLineProps = (lineNumber) => {
+    const highlighted =
+      Boolean(startLine) && lineNumber >= startLine && lineNumber <= endLine;
+    return {
+      "data-highlighted": highlighted,
+      style: {
+        display: "block",
+        backgroundColor: highlighted ? "rgba(250, 204, 21, 0.2)" : undefined,
+      },
+    };
+  };
+
   /**
    * Copies code to clipboard and shows feedback
    */
@@ -40,7 +83,7 @@ export default function CodeDisplay({ code, language = "javascript" }) {
       // Update state to show "Copied!" feedback
       setCopied(true);
       
-      // Reset button text back to "Copy Code" after 2 seconds (2000ms)
+      // Reset button text back to the copy label after 2 seconds (2000ms)
       setTimeout(() => setCopied(false), 2000);
     } catch (err) {
       // If clipboard API fails (rare), log the error
@@ -49,11 +92,12 @@ export default function CodeDisplay({ code, language = "javascript" }) {
   };
 
   return (
-    <div className="code-display-wrapper">
+    <div className="code-display-wrapper" ref={wrapperRef}>
       {/* Header with language label and copy button */}
       <div className="code-display-header">
         {/* Language label - shows what programming language this is */}
         <span className="code-language-label">
+          {filename && <span className="code-filename-label">{filename}</span>}
           {language}
         </span>
         
@@ -67,14 +111,14 @@ export default function CodeDisplay({ code, language = "javascript" }) {
           }`}
           aria-label="Copy code to clipboard"
         >
-          {/* Show checkmark when copied, otherwise show "Copy Code" */}
-          {copied ? "✓ Copied!" : "Copy Code"}
+          {/* Show checkmark when copied, otherwise show the copy label */}
+          {copied ? "✓ Copied!" : copyLabel}
         </button>
       </div>
       
       {/* Syntax-highlighted code block */}
       <SyntaxHighlighter
-        language={language.toLowerCase()}  // Ensure lowercase for library compatibility
+        language={getPrismLanguage(language)} // Prism grammar for the language
         style={vscDarkPlus}                // VS Code Dark+ theme
         customStyle={{
           borderRadius: "8px",             // Rounded corners
@@ -86,6 +130,7 @@ export default function CodeDisplay({ code, language = "javascript" }) {
         }}
         showLineNumbers={true}             // Show line numbers on the left
         wrapLines={true}                   // Wrap long lines instead of horizontal scroll
+        lineProps={getLineProps}           // Highlight the selected lines
         lineNumberStyle={{
           minWidth: "3em",                 // Minimum space for line numbers
           paddingRight: "1em",             // Space between line numbers and code
@@ -0,0 +1,41 @@
+"use client";
+
+// Next.js Link component for navigation
+import Link from "next/link";
+
+// ============================================
+// COLLECTION CARD
+// ============================================
+
+/**
+ * Card linking to a single collection
+ *
+ * @param {Object} collection - The collection to show
+ * @param {boolean} showOwner - Whether to show who owns the collection
+ */
+export default function CollectionCard({ collection, showOwner }) {
+  const count = collection.snippetIds?.length || 0;
+
+  return (
+    <Link href={`/collections/${collection.id}`} className="snippet-card-link">
+      <div className="snippet-card">
+        <h2 className="snippet-card-title">📁 {collection.name}</h2>
+        {collection.description && (
+          <p className="snippet-description">{collection.description}</p>
+        )}
+        <div className="snippet-footer">
+          <span>
+            {count} {count === 1 ? "snippet" : "snippets"}
+          </span>
+          <span>
+            {showOwner
+              ? `By ${collection.ownerName}`
+              : collection.isPublic
+                ? "Public"
+                : "🔒 Private"}
+          </span>
+        </div>
+      </div>
+    </Link>
+  );
+}
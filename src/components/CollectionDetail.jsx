@@ -0,0 +1,432 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for state and side effects
+import { useEffect, useState } from "react";
+
+// Next.js navigation and routing
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+
+// Firebase auth to check current user
+import { useAuthState } from "react-firebase-hooks/auth";
+import { auth } from "@/src/lib/firebase/clientApp";
+
+// Our Firebase functions for collections
+import {
+  getCollection,
+  getCollectionSnippets,
+  updateCollection,
+  deleteCollection,
+  removeSnippetFromCollection,
+  reorderCollectionSnippets,
+} from "@/src/lib/firebase/collections";
+
+// ============================================
+// COLLECTION DETAIL COMPONENT
+// ============================================
+
+/**
+ * CollectionDetail Component
+ * Shows the snippets of a collection in order. The owner can rename the
+ * collection, change its visibility, remove snippets and drag them into
+ * a new order
+ *
+ * @param {Object} props
+ * @param {string} props.collectionId - The Firestore document ID of the collection
+ */
+export default function CollectionDetail({ collectionId }) {
+  // Get current authenticated user
+  const [user, authLoading] = useAuthState(auth);
+
+  // Next.js router for navigation after deleting
+  const router = useRouter();
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  // The collection and its snippets (in collection order)
+  const [collection, setCollection] = useState(null);
+  const [snippets, setSnippets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Edit form state
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+  const [isPublic, setIsPublic] = useState(false);
+
+  // Index of the snippet being dragged
+  const [dragIndex, setDragIndex] = useState(null);
+
+  // ============================================
+  // SUBSCRIBE TO COLLECTION
+  // ============================================
+
+  useEffect(() => {
+    // Private collections can only be read once we know who the user is
+    if (authLoading) {
+      return;
+    }
+
+    return getCollection(
+      collectionId,
+      (loaded) => {
+        setCollection(loaded);
+        if (!loaded) {
+          setError("Collection not found");
+          setLoading(false);
+        }
+      },
+      (err) => {
+        // Other users' private collections look the same as missing ones
+        if (err.code !== "permission-denied") {
+          console.error("Error fetching collection:", err);
+        }
+        setError("Collection not found");
+        setLoading(false);
+      }
+    );
+  }, [collectionId, authLoading, user?.uid]);
+
+  // Reload the snippets whenever the collection's list of IDs changes
+  const collectionLoaded = Boolean(collection);
+  const snippetIdsKey = collection?.snippetIds?.join(",") || "";
+  useEffect(() => {
+    if (!collectionLoaded) {
+      return;
+    }
+
+    // Ignore results of a load that was replaced by a newer one
+    let cancelled = false;
+    const snippetIds = snippetIdsKey ? snippetIdsKey.split(",") : [];
+
+    getCollectionSnippets(snippetIds)
+      .then((loaded) => {
+        if (!cancelled) {
+          setSnippets(loaded);
+        }
+      })
+      .catch((err) => {
+        console.error("Error fetching collection snippets:", err);
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [collectionLoaded, snippetIdsKey]);
+
+  const isOwner = user && collection && collection.userId === user.uid;
+
+  // ============================================
+  // EDIT HANDLERS
+  // ============================================
+
+  /**
+   * Opens the edit form pre-filled with the current values
+   */
+  const startEditing = () => {
+    setName(collection.name);
+    setDescription(collection.description || "");
+    setIsPublic(Boolean(collection.isPublic));
+    setEditing(true);
+  };
+
+  /**
+   * Saves the edited name, description and visibility
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      return;
+    }
+
+    try {
+      await updateCollection(collectionId, {
+        name: name.trim(),
+        description: description.trim(),
+        isPublic,
+      });
+      setEditing(false);
+    } catch (err) {
+      console.error("Error updating collection:", err);
+      alert("Failed to update collection. Please try again.");
+    }
+  };
+
+  /**
+   * Deletes the collection after confirmation (snippets are kept)
+   */
+  const handleDelete = async () => {
+    if (
+      !confirm(
+        `Delete the collection "${collection.name}"? The snippets in it will not be deleted.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await deleteCollection(collectionId);
+      router.push("/collections");
+    } catch (err) {
+      console.error("Error deleting collection:", err);
+      alert("Failed to delete collection. Please try again.");
+    }
+  };
+
+  /**
+   * Removes one snippet from the collection
+   */
+  const handleRemove = async (snippetId) => {
+    try {
+      await removeSnippetFromCollection(collectionId, snippetId);
+    } catch (err) {
+      console.error("Error removing snippet from collection:", err);
+      alert("Failed to remove snippet. Please try again.");
+    }
+  };
+
+  // ============================================
+  // REORDER HANDLERS
+  // ============================================
+
+  /**
+   * Moves a snippet from one position to another and saves the new order
+   */
+  const moveSnippet = async (fromIndex, toIndex) => {
+    if (toIndex < 0 || toIndex >= snippets.length || fromIndex === toIndex) {
+      return;
+    }
+
+    // Reorder locally first so the list doesn't jump while saving
+    const reordered = [...snippets];
+    const [moved] = reordered.splice(fromIndex, 1);
+    reordered.splice(toIndex, 0, moved);
+    setSnippets(reordered);
+
+    // Keep IDs of snippets we couldn't load at the end instead of losing them
+    const visibleIds = reordered.map((snippet) => snippet.id);
+    const hiddenIds = (collection.snippetIds || []).filter(
+      (id) => !visibleIds.includes(id)
+    );
+
+    try {
+      await reorderCollectionSnippets(collectionId, [
+        ...visibleIds,
+        ...hiddenIds,
+      ]);
+    } catch (err) {
+      console.error("Error reordering collection:", err);
+      alert("Failed to save the new order. Please try again.");
+    }
+  };
+
+  // ============================================
+  // RENDER: LOADING STATE
+  // ============================================
+
+  if (loading) {
+    return (
+      <div className="snippets-loading">
+        <div className="snippets-loading-text">Loading collection...</div>
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER: ERROR STATE
+  // ============================================
+
+  if (error || !collection) {
+    return (
+      <div className="snippet-error-container">
+        <div className="snippet-error-box">
+          <p className="snippet-error-text">
+            {error || "Collection not found"}
+          </p>
+          <Link href="/collections" className="snippet-error-link">
+            ← Back to Collections
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER: COLLECTION
+  // ============================================
+
+  return (
+    <div className="language-snippets-container">
+      <div className="collections-header">
+        <Link href="/collections" className="back-link">
+          ← Back to Collections
+        </Link>
+
+        {editing ? (
+          // Edit form for the owner
+          <form onSubmit={handleSave} className="collection-form">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={100}
+              className="form-input"
+              required
+            />
+            <input
+              type="text"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="Description (optional)"
+              className="form-input"
+            />
+            <label className="collection-form-checkbox">
+              <input
+                type="checkbox"
+                checked={isPublic}
+                onChange={(e) => setIsPublic(e.target.checked)}
+                className="form-checkbox"
+              />
+              Public
+            </label>
+            <button type="submit" className="add-snippet-button-small">
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditing(false)}
+              className="search-clear-button"
+            >
+              Cancel
+            </button>
+          </form>
+        ) : (
+          <>
+            <h1 className="collections-title">📁 {collection.name}</h1>
+            {collection.description && (
+              <p className="collections-description">
+                {collection.description}
+              </p>
+            )}
+            <p className="language-snippet-count">
+              {snippets.length} {snippets.length === 1 ? "snippet" : "snippets"}
+              {" • "}
+              {collection.isPublic ? "Public" : "🔒 Private"}
+              {" • "}By {collection.ownerName}
+            </p>
+
+            {/* Owner actions */}
+            {isOwner && (
+              <div className="collection-actions">
+                <button onClick={startEditing} className="edit-button-link">
+                  ✏️ Edit
+                </button>
+                <button onClick={handleDelete} className="delete-button">
+                  🗑️ Delete
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Snippets in collection order */}
+      {snippets.length === 0 ? (
+        <div className="language-empty-state">
+          <p className="language-empty-title">This collection is empty</p>
+          <p className="language-empty-description">
+            Use &quot;Add to collection&quot; on any snippet to add it here.
+          </p>
+        </div>
+      ) : (
+        <>
+          {isOwner && (
+            <p className="collections-empty-text">
+              Drag snippets to change their order.
+            </p>
+          )}
+          <ol className="collection-snippet-list">
+            {snippets.map((snippet, index) => (
+              <li
+                key={snippet.id}
+                draggable={isOwner}
+                onDragStart={() => setDragIndex(index)}
+                onDragOver={(e) => {
+                  // Allow dropping on this item
+                  if (isOwner) {
+                    e.preventDefault();
+                  }
+                }}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  moveSnippet(dragIndex, index);
+                  setDragIndex(null);
+                }}
+                onDragEnd={() => setDragIndex(null)}
+                className={`collection-snippet-item ${
+                  dragIndex === index ? "collection-snippet-dragging" : ""
+                } ${isOwner ? "collection-snippet-draggable" : ""}`}
+              >
+                {isOwner && (
+                  <span className="collection-drag-handle" aria-hidden="true">
+                    ⋮⋮
+                  </span>
+                )}
+                <Link
+                  href={`/snippet/${snippet.id}`}
+                  className="collection-snippet-link"
+                >
+                  <span className="collection-snippet-title">
+                    {snippet.title}
+                  </span>
+                  <span className="tag-framework">{snippet.language}</span>
+                </Link>
+
+                {/* Keyboard-friendly reorder and remove buttons */}
+                {isOwner && (
+                  <div className="collection-snippet-buttons">
+                    <button
+                      onClick={() => moveSnippet(index, index - 1)}
+                      disabled={index === 0}
+                      aria-label="Move up"
+                      className="collection-move-button"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => moveSnippet(index, index + 1)}
+                      disabled={index === snippets.length - 1}
+                      aria-label="Move down"
+                      className="collection-move-button"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      onClick={() => handleRemove(snippet.id)}
+                      aria-label="Remove from collection"
+                      className="collection-move-button"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+}
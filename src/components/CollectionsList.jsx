@@ -0,0 +1,187 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for state and side effects
+import { useEffect, useState } from "react";
+
+// Next.js Link component for navigation
+import Link from "next/link";
+
+// Firebase auth to get current user
+import { useAuthState } from "react-firebase-hooks/auth";
+import { auth } from "@/src/lib/firebase/clientApp";
+
+// Our Firebase functions for collections
+import {
+  getUserCollections,
+  getPublicCollections,
+  createCollection,
+} from "@/src/lib/firebase/collections";
+
+// Card linking to a single collection
+import CollectionCard from "@/src/components/CollectionCard";
+
+// ============================================
+// COLLECTIONS LIST COMPONENT
+// ============================================
+
+/**
+ * CollectionsList Component
+ * Shows the user's own collections, a form to create a new one,
+ * and public collections from other users
+ */
+export default function CollectionsList() {
+  // Get current authenticated user
+  const [user] = useAuthState(auth);
+
+  // The user's collections and public collections
+  const [myCollections, setMyCollections] = useState([]);
+  const [publicCollections, setPublicCollections] = useState([]);
+
+  // New collection form state
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+  const [isPublic, setIsPublic] = useState(false);
+  const [creating, setCreating] = useState(false);
+
+  // ============================================
+  // SUBSCRIBE TO COLLECTIONS
+  // ============================================
+
+  useEffect(() => {
+    if (!user) {
+      setMyCollections([]);
+      return;
+    }
+    return getUserCollections(user.uid, setMyCollections);
+  }, [user]);
+
+  useEffect(() => {
+    return getPublicCollections(setPublicCollections);
+  }, []);
+
+  // Public collections owned by someone else
+  const othersCollections = publicCollections.filter(
+    (collection) => collection.userId !== user?.uid
+  );
+
+  // ============================================
+  // CREATE HANDLER
+  // ============================================
+
+  /**
+   * Creates a new empty collection from the form
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      return;
+    }
+
+    setCreating(true);
+    try {
+      await createCollection(user, { name, description, isPublic });
+      setName("");
+      setDescription("");
+      setIsPublic(false);
+    } catch (error) {
+      console.error("Error creating collection:", error);
+      alert("Failed to create collection. Please try again.");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  // ============================================
+  // RENDER
+  // ============================================
+
+  return (
+    <div className="language-snippets-container">
+      <div className="collections-header">
+        <Link href="/" className="back-link">
+          ← Back to All Languages
+        </Link>
+        <h1 className="collections-title">Collections</h1>
+      </div>
+
+      {/* My Collections */}
+      {user && (
+        <section className="collections-section">
+          <h2 className="collections-section-title">My Collections</h2>
+
+          {/* New Collection Form */}
+          <form onSubmit={handleCreate} className="collection-form">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="New collection name, e.g. Our React hooks"
+              maxLength={100}
+              className="form-input"
+              required
+            />
+            <input
+              type="text"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="Description (optional)"
+              className="form-input"
+            />
+            <label className="collection-form-checkbox">
+              <input
+                type="checkbox"
+                checked={isPublic}
+                onChange={(e) => setIsPublic(e.target.checked)}
+                className="form-checkbox"
+              />
+              Public
+            </label>
+            <button
+              type="submit"
+              disabled={creating}
+              className="add-snippet-button-small"
+            >
+              {creating ? "Creating..." : "+ Create"}
+            </button>
+          </form>
+
+          {myCollections.length === 0 ? (
+            <p className="collections-empty-text">
+              You don&apos;t have any collections yet.
+            </p>
+          ) : (
+            <div className="snippets-grid">
+              {myCollections.map((collection) => (
+                <CollectionCard key={collection.id} collection={collection} />
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+
+      {/* Public Collections */}
+      <section className="collections-section">
+        <h2 className="collections-section-title">Public Collections</h2>
+        {othersCollections.length === 0 ? (
+          <p className="collections-empty-text">
+            No public collections from other users yet.
+          </p>
+        ) : (
+          <div className="snippets-grid">
+            {othersCollections.map((collection) => (
+              <CollectionCard
+                key={collection.id}
+                collection={collection}
+                showOwner
+              />
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// Line diff helpers
+import { diffLines, toSideBySide, getDiffStats } from "@/src/lib/diff";
+
+// ============================================
+// DIFF VIEW COMPONENT
+// ============================================
+
+/**
+ * DiffView Component
+ * Shows the line differences between two versions of some code,
+ * either side by side or as a single unified list
+ *
+ * @param {Object} props
+ * @param {string} props.oldText - The original code
+ * @param {string} props.newText - The changed code
+ * @param {string} props.oldLabel - Heading for the original (default: "Before")
+ * @param {string} props.newLabel - Heading for the change (default: "After")
+ * @param {string} props.mode - "split" for side by side, "unified" for one column
+ */
+export default function DiffView({
+  oldText,
+  newText,
+  oldLabel = "Before",
+  newLabel = "After",
+  mode = "split",
+}) {
+  const { lines: diff, tooLarge } = diffLines(oldText, newText);
+  const stats = getDiffStats(diff);
+
+  // Nothing changed
+  if (stats.added === 0 && stats.removed === 0) {
+    return <p className="diff-empty">No changes to the code.</p>;
+  }
+
+  return (
+    <div className="diff-view">
+      {/* Summary of changed lines */}
+      <div className="diff-stats">
+        <span className="diff-stats-added">+{stats.added}</span>
+        <span className="diff-stats-removed">−{stats.removed}</span>
+      </div>
+
+      {tooLarge && (
+        <p className="diff-too-large">
+          This change is too large to compare line by line, so every changed
+          line is shown as removed and added.
+        </p>
+      )}
+
+      {mode === "split" ? (
+        // Side by side: original on the left, change on the right
+        <table className="diff-table">
+          <thead>
+            <tr>
+              <th colSpan={2}>{oldLabel}</th>
+              <th colSpan={2}>{newLabel}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {toSideBySide(diff).map((row, index) => (
+              <tr key={index}>
+                <td className="diff-line-number">{row.left?.oldLineNumber}</td>
+                <td
+                  className={`diff-line diff-line-${row.left ? row.left.type : "empty"}`}
+                >
+                  {row.left?.text}
+                </td>
+                <td className="diff-line-number">{row.right?.newLineNumber}</td>
+                <td
+                  className={`diff-line diff-line-${row.right ? row.right.type : "empty"}`}
+                >
+                  {row.right?.text}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        // Unified: one column with removed and added lines marked
+        <table className="diff-table">
+          <tbody>
+            {diff.map((line, index) => (
+              <tr key={index}>
+                <td className="diff-line-number">{line.oldLineNumber}</td>
+                <td className="diff-line-number">{line.newLineNumber}</td>
+                <td className={`diff-line diff-line-${line.type}`}>
+                  {line.type === "added"
+                    ? "+ "
+                    : line.type === "removed"
+                      ? "− "
+                      : "  "}
+                  {line.text}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,232 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for the selected tab and paste tracking
+import { useRef, useState } from "react";
+
+// Helpers for multi-file snippets
+import {
+  MAX_FILES,
+  createEmptyFile,
+  getDefaultFilename,
+} from "@/src/lib/snippetFiles";
+
+// The supported languages
+import { LANGUAGE_NAMES } from "@/src/lib/languages";
+
+// Guesses the language of the code being edited
+import { detectFileLanguage } from "@/src/lib/languageDetection";
+
+// Filled dots for each detection confidence level
+const CONFIDENCE_DOTS = { low: 1, medium: 2, high: 3 };
+
+// ============================================
+// FILE TABS EDITOR COMPONENT
+// ============================================
+
+/**
+ * FileTabsEditor Component
+ * Edits the files of a snippet as tabs. Each file has its own filename,
+ * language and code; the first tab is the snippet's main file
+ *
+ * The language detected from the code is shown under the language field,
+ * and is picked automatically when code is pasted into an empty file
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.files - The files being edited
+ * @param {Function} props.onChange - Called with the new list of files
+ */
+export default function FileTabsEditor({ files, onChange }) {
+  // Index of the tab being edited
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  // Stay on a valid tab if files were removed from outside
+  const active = Math.min(activeIndex, files.length - 1);
+  const file = files[active];
+
+  // Set while code is being pasted into an empty file
+  const pastingIntoEmpty = useRef(false);
+
+  // What the active file's code looks like
+  const detection = detectFileLanguage(file, active);
+
+  /**
+   * Changes one field of the active file
+   */
+  const updateFile = (field, value) => {
+    const updated = files.map((current, index) => {
+      if (index !== active) {
+        return current;
+      }
+
+      const changed = { ...current, [field]: value };
+
+      // Code pasted into an empty file picks its language when we're sure
+      if (field === "code" && pastingIntoEmpty.current) {
+        pastingIntoEmpty.current = false;
+        const pasted = detectFileLanguage(changed, index);
+        if (pasted.level === "high") {
+          changed.language = pasted.language;
+        }
+      }
+
+      // Keep the extension in step while the filename is still the default
+      if (
+        changed.language !== current.language &&
+        current.filename === getDefaultFilename(current.language, index)
+      ) {
+        changed.filename = getDefaultFilename(changed.language, index);
+      }
+      return changed;
+    });
+    onChange(updated);
+  };
+
+  /**
+   * Adds an empty file after the last tab and opens it
+   */
+  const addFile = () => {
+    onChange([...files, createEmptyFile(file.language, files.length)]);
+    setActiveIndex(files.length);
+  };
+
+  /**
+   * Removes the active file after confirmation
+   */
+  const removeFile = () => {
+    if (file.code.trim() && !confirm(`Remove "${file.filename}"?`)) {
+      return;
+    }
+    onChange(files.filter((_, index) => index !== active));
+    setActiveIndex(Math.max(0, active - 1));
+  };
+
+  return (
+    <div className="file-tabs-editor">
+      {/* Tabs */}
+      <div className="file-tabs" role="tablist">
+        {files.map((current, index) => (
+          <button
+            key={index}
+            type="button"
+            role="tab"
+            aria-selected={index === active}
+            onClick={() => setActiveIndex(index)}
+            className={`file-tab ${index === active ? "file-tab-active" : ""}`}
+          >
+            {current.filename || "untitled"}
+          </button>
+        ))}
+        {files.length < MAX_FILES && (
+          <button type="button" onClick={addFile} className="file-tab-add">
+            + Add file
+          </button>
+        )}
+      </div>
+
+      {/* Active File */}
+      <div className="file-tab-panel">
+        <div className="form-grid-2">
+          {/* Filename Field */}
+          <div>
+            <label className="form-label">
+              Filename <span className="required-star">*</span>
+            </label>
+            <input
+              type="text"
+              value={file.filename}
+              onChange={(e) => updateFile("filename", e.target.value)}
+              placeholder="e.g., Button.jsx"
+              className="form-input"
+              required
+            />
+          </div>
+
+          {/* Language Field */}
+          <div>
+            <label className="form-label">
+              Language <span className="required-star">*</span>
+            </label>
+            <select
+              value={file.language}
+              onChange={(e) => updateFile("language", e.target.value)}
+              className="form-select"
+              required
+            >
+              {LANGUAGE_NAMES.map((language) => (
+                <option key={language} value={language}>
+                  {language}
+                </option>
+              ))}
+            </select>
+
+            {/* Detected language and how sure we are */}
+            {detection.language && (
+              <p
+                className={`language-detection language-detection-${detection.level}`}
+              >
+                <span
+                  className="language-detection-dots"
+                  title={`${detection.level} confidence`}
+                >
+                  {"●".repeat(CONFIDENCE_DOTS[detection.level])}
+                  {"○".repeat(3 - CONFIDENCE_DOTS[detection.level])}
+                </span>
+                {detection.language === file.language ? (
+                  `Matches the code (${detection.level} confidence)`
+                ) : (
+                  <>
+                    Looks like {detection.language} ({detection.level}{" "}
+                    confidence)
+                    <button
+                      type="button"
+                      onClick={() => updateFile("language", detection.language)}
+                      className="language-detection-use"
+                    >
+                      Use {detection.language}
+                    </button>
+                  </>
+                )}
+              </p>
+            )}
+          </div>
+        </div>
+
+        {/* Code Field */}
+        <div className="form-group">
+          <label className="form-label">
+            Code <span className="required-star">*</span>
+          </label>
+          <textarea
+            value={file.code}
+            onChange={(e) => updateFile("code", e.target.value)}
+            onPaste={() => {
+              pastingIntoEmpty.current = !file.code.trim();
+            }}
+            placeholder="Paste your code here..."
+            rows={12}
+            className="form-textarea form-textarea-code"
+          />
+        </div>
+
+        {/* Remove File - the snippet always keeps at least one */}
+        {files.length > 1 && (
+          <button
+            type="button"
+            onClick={removeFile}
+            className="file-tab-remove"
+          >
+            🗑️ Remove {file.filename || "file"}
+          </button>
+        )}
+      </div>
+
+      <p className="form-helper-text">
+        The first file is the main file and sets the snippet&apos;s language
+      </p>
+    </div>
+  );
+}
@@ -1,10 +1,12 @@
 // Mark this as a client component (runs in browser, not server)
 "use client";
 
-// Import React and useEffect hook for side effects
-import React, { useEffect } from "react";
+// Import React, useEffect hook for side effects and useState for the search box
+import React, { useEffect, useState } from "react";
 // Import Next.js Link component for client-side navigation
 import Link from "next/link";
+// Import Next.js router for navigating to search results
+import { useRouter } from "next/navigation";
 // Import authentication functions
 import {
   signInWithGoogle,   // Function to sign in with Google
@@ -13,6 +15,11 @@ import {
 } from "@/src/lib/firebase/auth.js";
 // Import cookies management functions
 import { setCookie, deleteCookie } from "cookies-next";
+// Import the function that creates the user's profile on first sign-in
+import {
+  ensureUserProfile,
+  getProfilePath,
+} from "@/src/lib/firebase/users.js";
 
 // Custom hook to manage user session and sync auth state with cookies
 function useUserSession(initialUser) {
@@ -25,6 +32,10 @@ function useUserSession(initialUser) {
         const idToken = await user.getIdToken();
         // Store token in cookie for server-side access
         await setCookie("__session", idToken);
+        // Create their profile if this is their first sign-in
+        ensureUserProfile(user).catch((error) =>
+          console.error("Error creating user profile", error)
+        );
       } else {
         // User is signed out, delete the cookie
         await deleteCookie("__session");
@@ -46,6 +57,22 @@ function useUserSession(initialUser) {
 export default function Header({ initialUser }) { 
   // Current user using our custom hook
   const user = useUserSession(initialUser);
+  // Next.js router for navigating to the search page
+  const router = useRouter();
+  // Text typed into the search box
+  const [searchText, setSearchText] = useState("");
+
+  // Handle search form submit
+  const handleSearch = (event) => {
+    // Prevent the browser from reloading the page
+    event.preventDefault();
+    // Ignore empty searches
+    if (!searchText.trim()) {
+      return;
+    }
+    // Go to the search results page
+    router.push(`/search?q=${encodeURIComponent(searchText.trim())}`);
+  };
 
   // Handle sign-out button click
   const handleSignOut = (event) => {
@@ -76,6 +103,17 @@ export default function Header({ initialUser }) {
           Code Snippet Manager
         </span>
       </Link> 
+      {/* Global search box */}
+      <form onSubmit={handleSearch} className="header-search" role="search">
+        <input
+          type="search"
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+          placeholder="Search snippets..."
+          className="header-search-input"
+          aria-label="Search snippets"
+        />
+      </form>
       {user ? (
         // User signed-in, show profile menu
         <> 
@@ -98,6 +136,26 @@ export default function Header({ initialUser }) {
                 {/* Display user's name in menu */}
                 <li>{user.displayName}</li> 
 
+                {/* Link to the user's public author page */}
+                <li>
+                  <Link href={getProfilePath(user.uid)}>My Profile</Link>
+                </li>
+
+                {/* Link to the user's snippet dashboard */}
+                <li>
+                  <Link href="/me">My Snippets</Link>
+                </li>
+
+                {/* Link to the snippets the user bookmarked */}
+                <li>
+                  <Link href="/bookmarks">My Bookmarks</Link>
+                </li>
+
+                {/* Link to the user's collections */}
+                <li>
+                  <Link href="/collections">My Collections</Link>
+                </li>
+
                 {/* Sign out button */}
                 <li> 
                   <a href="#" onClick={handleSignOut}> 
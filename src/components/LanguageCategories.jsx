@@ -6,10 +6,10 @@
 
 import { useEffect, useState } from "react";
 import Link from "next/link";
-import { collection, getDocs } from "firebase/firestore";
-import { db } from "@/src/lib/firebase/clientApp";
+import { getSnippetCounts } from "@/src/lib/firebase/snippets";
 import { useAuthState } from "react-firebase-hooks/auth";
 import { auth } from "@/src/lib/firebase/clientApp";
+import { getLanguageIcon, getLanguagePath } from "@/src/lib/languages";
 
 // ============================================
 // LANGUAGE CATEGORIES HOME PAGE
@@ -21,7 +21,7 @@ import { auth } from "@/src/lib/firebase/clientApp";
  * Each card shows language name and snippet count
  */
 export default function LanguageCategories() {
-  const [user] = useAuthState(auth);
+  const [user, authLoading] = useAuthState(auth);
   const [languages, setLanguages] = useState([]);
   const [loading, setLoading] = useState(true);
 
@@ -30,20 +30,16 @@ export default function LanguageCategories() {
   // ============================================
 
   useEffect(() => {
+    // Wait until we know whether the user is signed in
+    if (authLoading) {
+      return;
+    }
+
     async function fetchLanguageCounts() {
       try {
-        const snippetsRef = collection(db, "snippets");
-        const snapshot = await getDocs(snippetsRef);
-        
-        // Count snippets per language
-        const languageCounts = {};
-        
-        snapshot.docs.forEach((doc) => {
-          const data = doc.data();
-          if (data.language) {
-            languageCounts[data.language] = (languageCounts[data.language] || 0) + 1;
-          }
-        });
+        // Public snippets and the user's own snippets, from the
+        // maintained counts rather than every snippet
+        const { languages: languageCounts } = await getSnippetCounts(user?.uid);
         
         // Convert to array and sort by name
         const languageArray = Object.entries(languageCounts)
@@ -59,32 +55,7 @@ export default function LanguageCategories() {
     }
 
     fetchLanguageCounts();
-  }, []);
-
-  // ============================================
-  // LANGUAGE ICON MAPPING
-  // ============================================
-
-  const getLanguageIcon = (language) => {
-    const icons = {
-      javascript: "📜",
-      typescript: "📘",
-      python: "🐍",
-      java: "☕",
-      csharp: "#️⃣",
-      php: "🐘",
-      ruby: "💎",
-      go: "🐹",
-      rust: "🦀",
-      swift: "🦅",
-      kotlin: "🎯",
-      html: "🌐",
-      css: "🎨",
-      sql: "🗄️",
-      bash: "💻",
-    };
-    return icons[language.toLowerCase()] || "📄";
-  };
+  }, [authLoading, user?.uid]);
 
   // ============================================
   // RENDER: LOADING STATE
@@ -146,7 +117,7 @@ export default function LanguageCategories() {
             {languages.map((language) => (
               <Link
                 key={language.name}
-                href={`/language/${language.name}`}
+                href={getLanguagePath(language.name)}
                 className="language-card-link"
               >
                 <div className="language-card">
@@ -5,17 +5,26 @@
 // ============================================
 
 // React hooks for managing component state and side effects
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 // Next.js Link component for client-side navigation between pages
 import Link from "next/link";
-// Firebase Firestore functions for database operations
-import { collection, query, where, onSnapshot } from "firebase/firestore";
-// Firebase database instance for Firestore operations
-import { db } from "@/src/lib/firebase/clientApp";
+// Pages of snippets the user may see, sorted by Firestore (the first one
+// live), and the maintained snippet counts
+import {
+  getSnippets,
+  getSnippetCounts,
+  watchSnippets,
+} from "@/src/lib/firebase/snippets";
+// Page size, and restoring the timestamps of snippets rendered on the server
+import { SNIPPETS_PAGE_SIZE, fromPlainData } from "@/src/lib/snippetQueries";
 // React hook for managing Firebase authentication state
 import { useAuthState } from "react-firebase-hooks/auth";
 // Firebase authentication instance
 import { auth } from "@/src/lib/firebase/clientApp";
+// Emoji icon for each supported language
+import { getLanguageIcon } from "@/src/lib/languages";
+// Card for each snippet in the grid
+import SnippetCard from "@/src/components/SnippetCard";
 
 // ============================================
 // LANGUAGE SNIPPETS COMPONENT
@@ -28,137 +37,152 @@ import { auth } from "@/src/lib/firebase/clientApp";
  * 
  * @param {Object} props
  * @param {string} props.languageName - The programming language to filter by
+ * @param {Object} [props.initialPage] - The first page, newest first, as
+ *   read on the server: plain snippets, the ID of the last one and whether
+ *   there are more
  */
-export default function LanguageSnippets({ languageName }) {
+export default function LanguageSnippets({ languageName, initialPage }) {
   // Get current authenticated user from Firebase auth state
-  const [user] = useAuthState(auth);
-  // State to store array of snippets fetched from Firestore
-  const [snippets, setSnippets] = useState([]);
-  // State to track if data is currently being loaded
-  const [loading, setLoading] = useState(true);
-  // State to store current sorting option (newest, oldest, titleAZ, titleZA)
+  const [user, authLoading] = useAuthState(auth);
+  // The first page, kept up to date by a listener: its snippets, the
+  // cursor to continue from and whether there are more
+  const [firstPage, setFirstPage] = useState(() =>
+    initialPage
+      ? {
+          snippets: fromPlainData(initialPage.snippets),
+          cursor: initialPage.cursor,
+          hasMore: initialPage.hasMore,
+        }
+      : { snippets: [], cursor: null, hasMore: false }
+  );
+  // How many snippets of this language the user can see in total
+  const [total, setTotal] = useState(null);
+  // State to track if the first page is currently being loaded
+  const [loading, setLoading] = useState(!initialPage);
+  // State to track if a further page is being loaded
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Error message if the snippets can't be loaded
+  const [error, setError] = useState(null);
+  // Bumped to listen again after an error
+  const [retries, setRetries] = useState(0);
+  // State to store current sorting option (a key of SNIPPET_SORTS)
   const [sortBy, setSortBy] = useState("newest"); // Default sort option
+  // Pages after the first, read once each from the end of the page before,
+  // for the list they were loaded in (a new language, sort or user starts
+  // again from the first page)
+  const listKey = `${languageName}|${sortBy}|${user?.uid || ""}`;
+  const [laterPages, setLaterPages] = useState(null);
+  const morePages = laterPages?.listKey === listKey ? laterPages : null;
+  // The snippets loaded so far; one that moved up into the first page
+  // since a later page was read is only shown once
+  const snippets = morePages
+    ? [
+        ...firstPage.snippets,
+        ...morePages.snippets.filter(
+          (snippet) => !firstPage.snippets.some(({ id }) => id === snippet.id)
+        ),
+      ]
+    : firstPage.snippets;
+  const hasMore = morePages ? morePages.hasMore : firstPage.hasMore;
+  // Marker below the grid that loads the next page when scrolled into view
+  const sentinelRef = useRef(null);
 
   // ============================================
-  // FETCH SNIPPETS FOR THIS LANGUAGE
+  // LISTEN TO THE FIRST PAGE FOR THIS LANGUAGE
   // ============================================
 
   useEffect(() => {
-    // Build query for this specific language (no orderBy - we'll sort client-side)
-    // Get reference to the snippets collection in Firestore
-    const snippetsRef = collection(db, "snippets");
-    // Create a query that filters snippets by the specified language
-    const q = query(
-      snippetsRef,
-      where("language", "==", languageName)
-    );
+    // Wait until we know whether the user is signed in
+    if (authLoading) {
+      return;
+    }
+    setError(null);
 
-    // Set up real-time listener
-    // Subscribe to changes in the query results
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      // Transform Firestore documents into plain JavaScript objects
-      const snippetData = snapshot.docs.map((doc) => ({
-        id: doc.id, // Include the document ID
-        ...doc.data(), // Spread all document fields
-      }));
-      // Update snippets state with the fetched data
-      setSnippets(snippetData);
-      // Mark loading as complete
-      setLoading(false);
-    });
+    // Keeps the first page up to date as snippets are added, edited, rated
+    // or deleted, starting from the page rendered on the server. Only public
+    // snippets and the user's own snippets are included
+    return watchSnippets(
+      { language: languageName, userId: user?.uid },
+      { sortBy },
+      (page) => {
+        setFirstPage(page);
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching snippets:", err);
+        setError("Failed to load snippets. Please try again.");
+        setLoading(false);
+      }
+    );
+  }, [languageName, sortBy, authLoading, user?.uid, retries]); // Re-run effect when languageName, the sort or the signed-in user change
 
-    // Cleanup listener on unmount
-    // Return cleanup function to unsubscribe when component unmounts
-    return () => unsubscribe();
-  }, [languageName]); // Re-run effect when languageName changes
+  // Fetch the total from the maintained counts, not by loading every snippet
+  useEffect(() => {
+    if (authLoading) {
+      return;
+    }
+    getSnippetCounts(user?.uid)
+      .then((counts) => setTotal(counts.languages[languageName] || 0))
+      .catch((error) => console.error("Error fetching snippet count:", error));
+  }, [languageName, authLoading, user?.uid]);
 
   // ============================================
-  // SORT SNIPPETS
+  // LOAD MORE
   // ============================================
 
-  const getSortedSnippets = () => {
-    // Create a copy of the snippets array to avoid mutating the original
-    const sorted = [...snippets];
+  /**
+   * Reads the next page in the same sort order, starting after the last
+   * snippet loaded, so each snippet is only read once
+   */
+  const loadMore = async () => {
+    if (loadingMore || !hasMore || error) {
+      return;
+    }
+    setLoadingMore(true);
 
-    // Sort based on the selected sort option
-    switch (sortBy) {
-      case "newest":
-        // Sort by creation date, newest first (descending order)
-        return sorted.sort((a, b) => {
-          // Convert Firestore timestamp to JavaScript Date, fallback to epoch if null
-          const dateA = a.createdAt?.toDate() || new Date(0);
-          // Convert Firestore timestamp to JavaScript Date, fallback to epoch if null
-          const dateB = b.createdAt?.toDate() || new Date(0);
-          // Return difference for descending sort (newest first)
-          return dateB - dateA; // Descending
-        });
-      
-      case "oldest":
-        // Sort by creation date, oldest first (ascending order)
-        return sorted.sort((a, b) => {
-          // Convert Firestore timestamp to JavaScript Date, fallback to epoch if null
-          const dateA = a.createdAt?.toDate() || new Date(0);
-          // Convert Firestore timestamp to JavaScript Date, fallback to epoch if null
-          const dateB = b.createdAt?.toDate() || new Date(0);
-          // Return difference for ascending sort (oldest first)
-          return dateA - dateB; // Ascending
-        });
-      
-      case "titleAZ":
-        // Sort by title alphabetically A-Z
-        return sorted.sort((a, b) => 
-          // Use localeCompare for proper string comparison, fallback to empty string if null
-          (a.title || "").localeCompare(b.title || "")
-        );
-      
-      case "titleZA":
-        // Sort by title alphabetically Z-A
-        return sorted.sort((a, b) => 
-          // Use localeCompare for proper string comparison, fallback to empty string if null
-          (b.title || "").localeCompare(a.title || "")
-        );
-      
-      default:
-        // Return unsorted array if no valid sort option
-        return sorted;
+    const key = listKey;
+    try {
+      const page = await getSnippets(
+        { language: languageName, userId: user?.uid },
+        { sortBy, after: morePages ? morePages.cursor : firstPage.cursor }
+      );
+      setLaterPages((prev) => ({
+        listKey: key,
+        snippets: [
+          ...(prev?.listKey === key ? prev.snippets : []),
+          ...page.snippets,
+        ],
+        cursor: page.cursor,
+        hasMore: page.hasMore,
+      }));
+    } catch (err) {
+      console.error("Error fetching more snippets:", err);
+      setError("Failed to load more snippets. Please try again.");
+    } finally {
+      setLoadingMore(false);
     }
   };
 
-  // Call the sorting function and store the result
-  const sortedSnippets = getSortedSnippets();
-
-  // ============================================
-  // LANGUAGE ICON MAPPING
-  // ============================================
-
-  const getLanguageIcon = (language) => {
-    // Object mapping language names to emoji icons
-    const icons = {
-      javascript: "📜",
-      typescript: "📘",
-      python: "🐍",
-      java: "☕",
-      csharp: "#️⃣",
-      php: "🐘",
-      ruby: "💎",
-      go: "🐹",
-      rust: "🦀",
-      swift: "🦅",
-      kotlin: "🎯",
-      html: "🌐",
-      css: "🎨",
-      sql: "🗄️",
-      bash: "💻",
-    };
-    // Return the icon for the language, or default document icon if not found
-    return icons[language.toLowerCase()] || "📄";
-  };
+  // Load the next page when the marker below the grid scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore) {
+      return;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMore();
+      }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  });
 
   // ============================================
   // RENDER: LOADING STATE
   // ============================================
 
-  if (loading) {
+  if (loading && snippets.length === 0) {
     return (
       <div className="snippets-loading">
         <div className="snippets-loading-text">Loading snippets...</div>
@@ -205,7 +229,7 @@ export default function LanguageSnippets({ languageName }) {
           
           <p className="language-snippet-count" style={{ margin: 0 }}>
             {/* Display snippet count with proper pluralization */}
-            {snippets.length} {snippets.length === 1 ? "snippet" : "snippets"}
+            {total ?? snippets.length} {(total ?? snippets.length) === 1 ? "snippet" : "snippets"}
           </p>
 
           {/* Sort Dropdown */}
@@ -230,6 +254,8 @@ export default function LanguageSnippets({ languageName }) {
             <option value="oldest">Oldest First</option>
             <option value="titleAZ">Title A-Z</option>
             <option value="titleZA">Title Z-A</option>
+            <option value="topRated">Top Rated</option>
+            <option value="mostReviewed">Most Reviewed</option>
           </select>
 
           {/* Add Snippet Button */}
@@ -245,83 +271,57 @@ export default function LanguageSnippets({ languageName }) {
         </div>
       </div>
 
-      {/* Snippets Grid */}
-      {sortedSnippets.length === 0 ? (
-        <div className="language-empty-state">
-          <p className="language-empty-title">
-            No {languageName} snippets yet
-          </p>
-          <p className="language-empty-description">
-            Be the first to add a {languageName} code snippet!
-          </p>
-          {user && (
-            <Link href="/add-snippet" className="add-snippet-button-small">
-              Add {languageName} Snippet
-            </Link>
-          )}
+      {/* Error Message */}
+      {error && (
+        <div className="error-message">
+          {error}{" "}
+          <button
+            onClick={() => setRetries((count) => count + 1)}
+            className="load-more-button"
+          >
+            Try again
+          </button>
         </div>
+      )}
+
+      {/* Snippets Grid */}
+      {snippets.length === 0 ? (
+        !error && (
+          <div className="language-empty-state">
+            <p className="language-empty-title">
+              No {languageName} snippets yet
+            </p>
+            <p className="language-empty-description">
+              Be the first to add a {languageName} code snippet!
+            </p>
+            {user && (
+              <Link href="/add-snippet" className="add-snippet-button-small">
+                Add {languageName} Snippet
+              </Link>
+            )}
+          </div>
+        )
       ) : (
         <div className="snippets-grid">
-          {/* Map through sorted snippets to create snippet cards */}
-          {sortedSnippets.map((snippet) => (
-            <Link
-              key={snippet.id}
-              href={`/snippet/${snippet.id}`}
-              className="snippet-card-link"
-            >
-              <div className="snippet-card">
-                {/* Snippet Title */}
-                <h2 className="snippet-card-title">
-                  {snippet.title}
-                </h2>
-
-                {/* Snippet Description */}
-                <p className="snippet-description">
-                  {snippet.description}
-                </p>
-
-                {/* Tags/Badges */}
-                <div className="snippet-tags">
-                  {/* Show framework badge if framework exists */}
-                  {snippet.framework && (
-                    <span className="tag-framework">
-                      {snippet.framework}
-                    </span>
-                  )}
-                  {/* Map through first 3 tags to display them */}
-                  {snippet.tags && snippet.tags.slice(0, 3).map((tag, index) => (
-                    <span key={index} className="tag-regular">
-                      #{tag}
-                    </span>
-                  ))}
-                  {/* Show "+X more" if there are more than 3 tags */}
-                  {snippet.tags && snippet.tags.length > 3 && (
-                    <span className="tag-regular">
-                      +{snippet.tags.length - 3} more
-                    </span>
-                  )}
-                </div>
-
-                {/* Footer with Author and Date */}
-                <div className="snippet-footer">
-                  <span>By {snippet.author}</span>
-                  <span>
-                    {/* Convert Firestore timestamp to localized date string */}
-                    {snippet.createdAt?.toDate().toLocaleDateString()}
-                  </span>
-                </div>
-
-                {/* View Details Indicator */}
-                <div className="view-code-arrow">
-                  <span className="view-code-text">
-                    View Code →
-                  </span>
-                </div>
-              </div>
-            </Link>
+          {/* Map through the loaded snippets (already sorted) to create snippet cards */}
+          {snippets.map((snippet) => (
+            <SnippetCard key={snippet.id} snippet={snippet} />
           ))}
         </div>
       )}
+
+      {/* Next Page - loads by itself on scroll, or with the button */}
+      {hasMore && (
+        <div ref={sentinelRef} className="load-more-container">
+          <button
+            onClick={loadMore}
+            disabled={loadingMore}
+            className="load-more-button"
+          >
+            {loadingMore ? "Loading..." : "Load more"}
+          </button>
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,112 @@
+"use client";
+
+// ============================================
+// FIELDS
+// ============================================
+
+// The suggested fields, in the order they are shown
+const FIELDS = [
+  { name: "title", label: "Title" },
+  { name: "description", label: "Description" },
+  { name: "languages", label: "Language" },
+  { name: "framework", label: "Framework" },
+  { name: "tags", label: "Tags" },
+];
+
+// ============================================
+// METADATA SUGGESTIONS COMPONENT
+// ============================================
+
+/**
+ * MetadataSuggestions Component
+ * Lists the AI's suggested title, description, languages, framework and
+ * tags for a new snippet. Each one can be used on its own (and edited
+ * afterwards in the form) or all at once
+ *
+ * @param {Object} props
+ * @param {Object} props.suggestion - The suggestion from /api/suggest-metadata
+ * @param {Object} props.current - The form's current values, in the same
+ *   shape as the suggestion (tags as an array, languages per file)
+ * @param {Array<string>} props.filenames - Names of the files, for the languages
+ * @param {Function} props.onUse - Called with the names of the fields to use
+ * @param {Function} props.onDismiss - Hides the suggestions
+ */
+export default function MetadataSuggestions({
+  suggestion,
+  current,
+  filenames,
+  onUse,
+  onDismiss,
+}) {
+  /**
+   * Formats a suggested value for display
+   */
+  const formatValue = (name) => {
+    const value = suggestion[name];
+    if (name === "tags") {
+      return value.map((tag) => `#${tag}`).join(" ");
+    }
+    if (name === "languages") {
+      return value.length === 1
+        ? value[0]
+        : value
+            .map((language, index) => `${filenames[index]}: ${language}`)
+            .join(", ");
+    }
+    return value;
+  };
+
+  // Fields with something to suggest, and which of them the form already uses
+  const fields = FIELDS.filter(({ name }) => suggestion[name]?.length > 0);
+  const isUsed = (name) =>
+    JSON.stringify(current[name]) === JSON.stringify(suggestion[name]);
+  const unused = fields.filter(({ name }) => !isUsed(name));
+
+  return (
+    <div className="metadata-suggestions">
+      <div className="metadata-suggestions-header">
+        <p className="metadata-suggestions-title">✨ Suggestions</p>
+        <div className="metadata-suggestions-actions">
+          {unused.length > 0 && (
+            <button
+              type="button"
+              onClick={() => onUse(unused.map(({ name }) => name))}
+              className="metadata-suggestion-use-all"
+            >
+              Use all
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onDismiss}
+            className="metadata-suggestion-dismiss"
+          >
+            Dismiss
+          </button>
+        </div>
+      </div>
+
+      <ul className="metadata-suggestion-list">
+        {fields.map(({ name, label }) => (
+          <li key={name} className="metadata-suggestion">
+            <span className="metadata-suggestion-label">{label}</span>
+            <span className="metadata-suggestion-value">
+              {formatValue(name)}
+            </span>
+            {isUsed(name) ? (
+              <span className="metadata-suggestion-used">✓ Used</span>
+            ) : (
+              <button
+                type="button"
+                onClick={() => onUse([name])}
+                className="metadata-suggestion-use"
+              >
+                Use
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
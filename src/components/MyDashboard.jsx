@@ -0,0 +1,576 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for state and side effects
+import { useEffect, useState } from "react";
+
+// Next.js Link component for navigation
+import Link from "next/link";
+
+// Firebase auth to get current user
+import { useAuthState } from "react-firebase-hooks/auth";
+import { auth } from "@/src/lib/firebase/clientApp";
+
+// Our Firebase functions for the user's snippets and collections
+import {
+  addTagsToSnippets,
+  deleteSnippets,
+  getOwnSnippets,
+  getVisibility,
+  setSnippetsVisibility,
+} from "@/src/lib/firebase/snippets";
+import {
+  getUserCollections,
+  moveSnippetsToCollection,
+} from "@/src/lib/firebase/collections";
+import { isValidTag, parseTags, VISIBILITIES } from "@/src/lib/snippetSchema";
+
+// Language icons for the stats and the list
+import { getLanguageIcon } from "@/src/lib/languages";
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Most-viewed snippets listed in the stats
+const MAX_MOST_VIEWED = 5;
+
+// Labels for each visibility
+const VISIBILITY_LABELS = {
+  public: "Public",
+  unlisted: "🔗 Unlisted",
+  private: "🔒 Private",
+};
+
+/**
+ * Counts of the user's snippets by visibility and by language, and their
+ * most-viewed snippets
+ *
+ * @param {Array<Object>} snippets - The user's snippets
+ * @returns {Object} visibilityCounts, languages (most used first) and
+ *   mostViewed
+ */
+function getDashboardStats(snippets) {
+  const visibilityCounts = { public: 0, unlisted: 0, private: 0 };
+  const languageCounts = {};
+
+  snippets.forEach((snippet) => {
+    visibilityCounts[getVisibility(snippet)]++;
+    languageCounts[snippet.language] =
+      (languageCounts[snippet.language] || 0) + 1;
+  });
+
+  const languages = Object.keys(languageCounts)
+    .map((name) => ({ name, count: languageCounts[name] }))
+    .sort((a, b) => b.count - a.count);
+
+  const mostViewed = snippets
+    .filter((snippet) => snippet.viewCount > 0)
+    .sort((a, b) => b.viewCount - a.viewCount)
+    .slice(0, MAX_MOST_VIEWED);
+
+  return { visibilityCounts, languages, mostViewed };
+}
+
+/**
+ * Describes the outcome of a bulk action
+ *
+ * @param {string} action - What was done, e.g. "Deleted"
+ * @param {Object} result - succeeded and failed, as from the data layer
+ * @returns {string} The message to show
+ */
+function describeResult(action, { succeeded, failed }) {
+  const message = `${action} ${succeeded} ${
+    succeeded === 1 ? "snippet" : "snippets"
+  }.`;
+  if (failed.length === 0) {
+    return message;
+  }
+  const titles = failed.map(({ snippet }) => `"${snippet.title}"`).join(", ");
+  return `${message} Failed: ${titles} (${failed[0].message})`;
+}
+
+// ============================================
+// MY DASHBOARD COMPONENT
+// ============================================
+
+/**
+ * MyDashboard Component
+ * Lists all of the signed-in user's snippets with filters, stats and
+ * actions that apply to several snippets at once
+ */
+export default function MyDashboard() {
+  // Get current authenticated user
+  const [user, loadingUser] = useAuthState(auth);
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  // The user's snippets and collections
+  const [snippets, setSnippets] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Filters
+  const [languageFilter, setLanguageFilter] = useState("");
+  const [visibilityFilter, setVisibilityFilter] = useState("");
+
+  // IDs of the selected snippets
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  // Bulk action inputs and progress
+  const [bulkVisibility, setBulkVisibility] = useState("public");
+  const [bulkTags, setBulkTags] = useState("");
+  const [targetCollectionId, setTargetCollectionId] = useState("");
+  const [working, setWorking] = useState(false);
+  const [result, setResult] = useState(null);
+
+  // ============================================
+  // SUBSCRIBE TO SNIPPETS AND COLLECTIONS
+  // ============================================
+
+  useEffect(() => {
+    if (!user) {
+      setSnippets([]);
+      return;
+    }
+    setLoading(true);
+    return getOwnSnippets(user.uid, (ownSnippets) => {
+      setSnippets(ownSnippets);
+      setLoading(false);
+    });
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) {
+      setCollections([]);
+      return;
+    }
+    return getUserCollections(user.uid, setCollections);
+  }, [user]);
+
+  // Forget selected snippets once they're deleted
+  useEffect(() => {
+    setSelectedIds((prev) =>
+      prev.filter((id) => snippets.some((snippet) => snippet.id === id))
+    );
+  }, [snippets]);
+
+  // ============================================
+  // FILTERING AND SELECTION
+  // ============================================
+
+  const filteredSnippets = snippets.filter(
+    (snippet) =>
+      (!languageFilter || snippet.language === languageFilter) &&
+      (!visibilityFilter || getVisibility(snippet) === visibilityFilter)
+  );
+
+  // Only visible rows take part in bulk actions
+  const selectedSnippets = filteredSnippets.filter((snippet) =>
+    selectedIds.includes(snippet.id)
+  );
+  const allSelected =
+    filteredSnippets.length > 0 &&
+    selectedSnippets.length === filteredSnippets.length;
+
+  /**
+   * Selects or unselects one snippet
+   */
+  const toggleSelected = (snippetId) => {
+    setSelectedIds((prev) =>
+      prev.includes(snippetId)
+        ? prev.filter((id) => id !== snippetId)
+        : [...prev, snippetId]
+    );
+  };
+
+  /**
+   * Selects every listed snippet, or none if they are all selected
+   */
+  const toggleAll = () => {
+    setSelectedIds(
+      allSelected ? [] : filteredSnippets.map((snippet) => snippet.id)
+    );
+  };
+
+  // ============================================
+  // BULK ACTION HANDLERS
+  // ============================================
+
+  /**
+   * Runs a bulk action on the selected snippets and shows how it went
+   *
+   * @param {string} action - What is done, for the result message
+   * @param {Function} run - Async function returning succeeded and failed
+   */
+  const runBulkAction = async (action, run) => {
+    setWorking(true);
+    setResult(null);
+    try {
+      const outcome = await run();
+      setResult({
+        message: describeResult(action, outcome),
+        isError: outcome.failed.length > 0,
+      });
+    } catch (error) {
+      console.error(`Error running "${action}":`, error);
+      setResult({ message: `Failed: ${error.message}`, isError: true });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSetVisibility = () =>
+    runBulkAction("Updated", () =>
+      setSnippetsVisibility(selectedSnippets, bulkVisibility)
+    );
+
+  const handleAddTags = () => {
+    const tags = parseTags(bulkTags);
+    const invalid = tags.find((tag) => !isValidTag(tag));
+    if (tags.length === 0 || invalid) {
+      setResult({
+        message: invalid
+          ? `"${invalid}" isn't a valid tag`
+          : "Enter the tags to add, separated by commas",
+        isError: true,
+      });
+      return;
+    }
+    runBulkAction("Tagged", async () => {
+      const outcome = await addTagsToSnippets(selectedSnippets, tags);
+      setBulkTags("");
+      return outcome;
+    });
+  };
+
+  const handleMove = () =>
+    runBulkAction("Moved", async () => {
+      await moveSnippetsToCollection(
+        user.uid,
+        selectedSnippets.map((snippet) => snippet.id),
+        targetCollectionId
+      );
+      return { succeeded: selectedSnippets.length, failed: [] };
+    });
+
+  const handleDelete = () => {
+    const count = selectedSnippets.length;
+    if (
+      !confirm(
+        `Delete ${count} ${count === 1 ? "snippet" : "snippets"}? This can't be undone.`
+      )
+    ) {
+      return;
+    }
+    runBulkAction("Deleted", () => deleteSnippets(selectedSnippets));
+  };
+
+  // ============================================
+  // RENDER: LOADING STATE
+  // ============================================
+
+  if (loadingUser || (user && loading)) {
+    return (
+      <div className="loading-state">
+        <div className="loading-text">Loading your snippets...</div>
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER: NOT AUTHENTICATED STATE
+  // ============================================
+
+  if (!user) {
+    return (
+      <div className="not-authenticated-warning">
+        <div className="warning-box">
+          <p className="warning-title">Please sign in to see your snippets</p>
+          <p className="warning-text">
+            Your dashboard lists every snippet you&apos;ve written.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER: DASHBOARD
+  // ============================================
+
+  const stats = getDashboardStats(snippets);
+  const nothingSelected = selectedSnippets.length === 0 || working;
+
+  return (
+    <div className="language-snippets-container">
+      <div className="dashboard-header">
+        <h1 className="author-section-title">My Snippets</h1>
+        <div className="dashboard-header-actions">
+          <Link href="/import" className="form-button-secondary">
+            Import
+          </Link>
+          <Link href="/add-snippet" className="form-button-primary">
+            + Add Snippet
+          </Link>
+        </div>
+      </div>
+
+      {/* Stats */}
+      <div className="author-stats">
+        <div className="author-stat">
+          <span className="author-stat-value">{snippets.length}</span>
+          <span className="author-stat-label">
+            {snippets.length === 1 ? "snippet" : "snippets"}
+          </span>
+        </div>
+        {VISIBILITIES.map((visibility) => (
+          <button
+            key={visibility}
+            type="button"
+            onClick={() =>
+              setVisibilityFilter(
+                visibilityFilter === visibility ? "" : visibility
+              )
+            }
+            className={
+              visibilityFilter === visibility
+                ? "author-stat dashboard-stat-active"
+                : "author-stat"
+            }
+          >
+            <span className="author-stat-value">
+              {stats.visibilityCounts[visibility]}
+            </span>
+            <span className="author-stat-label">
+              {VISIBILITY_LABELS[visibility]}
+            </span>
+          </button>
+        ))}
+      </div>
+
+      {stats.languages.length > 0 && (
+        <div className="author-languages">
+          {stats.languages.map((language) => (
+            <button
+              key={language.name}
+              type="button"
+              onClick={() =>
+                setLanguageFilter(
+                  languageFilter === language.name ? "" : language.name
+                )
+              }
+              className={
+                languageFilter === language.name
+                  ? "author-language dashboard-language-active"
+                  : "author-language"
+              }
+            >
+              {getLanguageIcon(language.name)} {language.name} ·{" "}
+              {language.count}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {stats.mostViewed.length > 0 && (
+        <div className="dashboard-most-viewed">
+          <h2 className="dashboard-subtitle">Most viewed</h2>
+          <ol>
+            {stats.mostViewed.map((snippet) => (
+              <li key={snippet.id}>
+                <Link href={`/snippet/${snippet.id}`}>{snippet.title}</Link>{" "}
+                <span className="dashboard-views">
+                  {snippet.viewCount}{" "}
+                  {snippet.viewCount === 1 ? "view" : "views"}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {snippets.length === 0 ? (
+        <p className="author-empty">
+          You haven&apos;t written any snippets yet.
+        </p>
+      ) : (
+        <>
+          {/* Filters */}
+          <div className="dashboard-filters">
+            <select
+              value={languageFilter}
+              onChange={(e) => setLanguageFilter(e.target.value)}
+              className="form-select"
+            >
+              <option value="">All languages</option>
+              {stats.languages.map((language) => (
+                <option key={language.name} value={language.name}>
+                  {language.name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={visibilityFilter}
+              onChange={(e) => setVisibilityFilter(e.target.value)}
+              className="form-select"
+            >
+              <option value="">Any visibility</option>
+              {VISIBILITIES.map((visibility) => (
+                <option key={visibility} value={visibility}>
+                  {VISIBILITY_LABELS[visibility]}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Bulk Actions */}
+          <div className="dashboard-bulk-actions">
+            <span className="dashboard-selected-count">
+              {selectedSnippets.length} selected
+            </span>
+
+            <div className="dashboard-bulk-action">
+              <select
+                value={bulkVisibility}
+                onChange={(e) => setBulkVisibility(e.target.value)}
+                className="form-select"
+              >
+                {VISIBILITIES.map((visibility) => (
+                  <option key={visibility} value={visibility}>
+                    {VISIBILITY_LABELS[visibility]}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={handleSetVisibility}
+                disabled={nothingSelected}
+                className="form-button-secondary"
+              >
+                Set visibility
+              </button>
+            </div>
+
+            <div className="dashboard-bulk-action">
+              <input
+                type="text"
+                value={bulkTags}
+                onChange={(e) => setBulkTags(e.target.value)}
+                placeholder="tag-one, tag-two"
+                className="form-input"
+              />
+              <button
+                type="button"
+                onClick={handleAddTags}
+                disabled={nothingSelected}
+                className="form-button-secondary"
+              >
+                Add tags
+              </button>
+            </div>
+
+            {collections.length > 0 && (
+              <div className="dashboard-bulk-action">
+                <select
+                  value={targetCollectionId}
+                  onChange={(e) => setTargetCollectionId(e.target.value)}
+                  className="form-select"
+                >
+                  <option value="">Choose a collection</option>
+                  {collections.map((collection) => (
+                    <option key={collection.id} value={collection.id}>
+                      {collection.name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={handleMove}
+                  disabled={nothingSelected || !targetCollectionId}
+                  className="form-button-secondary"
+                >
+                  Move
+                </button>
+              </div>
+            )}
+
+            <button
+              type="button"
+              onClick={handleDelete}
+              disabled={nothingSelected}
+              className="dashboard-delete-button"
+            >
+              Delete
+            </button>
+          </div>
+
+          {result && (
+            <div
+              className={result.isError ? "error-message" : "dashboard-result"}
+            >
+              {result.message}
+            </div>
+          )}
+
+          {/* Snippet List */}
+          <table className="dashboard-table">
+            <thead>
+              <tr>
+                <th>
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={toggleAll}
+                    aria-label="Select all listed snippets"
+                  />
+                </th>
+                <th>Title</th>
+                <th>Language</th>
+                <th>Visibility</th>
+                <th>Views</th>
+                <th>Created</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredSnippets.map((snippet) => (
+                <tr key={snippet.id}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(snippet.id)}
+                      onChange={() => toggleSelected(snippet.id)}
+                      aria-label={`Select ${snippet.title}`}
+                    />
+                  </td>
+                  <td>
+                    <Link href={`/snippet/${snippet.id}`}>{snippet.title}</Link>
+                    {snippet.tags?.length > 0 && (
+                      <span className="dashboard-tags">
+                        {snippet.tags.map((tag) => `#${tag}`).join(" ")}
+                      </span>
+                    )}
+                  </td>
+                  <td>
+                    {getLanguageIcon(snippet.language)} {snippet.language}
+                  </td>
+                  <td>{VISIBILITY_LABELS[getVisibility(snippet)]}</td>
+                  <td>{snippet.viewCount || 0}</td>
+                  <td>{snippet.createdAt?.toDate().toLocaleDateString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {filteredSnippets.length === 0 && (
+            <p className="author-empty">No snippets match these filters.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,312 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for state and side effects
+import { useEffect, useState } from "react";
+
+// Next.js navigation and routing
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+
+// Firebase auth to include the user's own private snippets
+import { useAuthState } from "react-firebase-hooks/auth";
+import { auth } from "@/src/lib/firebase/clientApp";
+
+// Our Firebase search function
+import {
+  MAX_SEARCH_CANDIDATES,
+  searchSnippets,
+} from "@/src/lib/firebase/snippets";
+
+// Search helpers for facets and highlighting
+import {
+  getQueryTerms,
+  filterByFacets,
+  getFacetCounts,
+  highlightText,
+  getSnippetMatchingLines,
+} from "@/src/lib/search";
+
+// ============================================
+// HIGHLIGHT HELPER
+// ============================================
+
+/**
+ * Renders text with query matches wrapped in <mark>
+ *
+ * @param {string} text - Text to display
+ * @param {Array<string>} terms - Query terms to highlight
+ */
+function Highlight({ text, terms }) {
+  return (
+    <>
+      {highlightText(text, terms).map((segment, index) =>
+        segment.match ? (
+          <mark key={index} className="search-highlight">
+            {segment.text}
+          </mark>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </>
+  );
+}
+
+// ============================================
+// SEARCH RESULTS COMPONENT
+// ============================================
+
+/**
+ * SearchResults Component
+ * Runs a full-text search and shows ranked, highlighted results with
+ * language, framework and tag facets that can be combined
+ *
+ * @param {Object} props
+ * @param {string} props.queryText - The search text from the URL
+ * @param {Object} props.facets - Selected language, framework and tag from the URL
+ */
+export default function SearchResults({ queryText, facets }) {
+  // Next.js router for updating the URL when facets change
+  const router = useRouter();
+
+  // Get current authenticated user
+  const [user, authLoading] = useAuthState(auth);
+
+  // All snippets matching the query, best first (before facets are applied)
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Whether only the newest snippets were searched
+  const [limited, setLimited] = useState(false);
+  const [error, setError] = useState(null);
+
+  // ============================================
+  // RUN SEARCH
+  // ============================================
+
+  useEffect(() => {
+    // Wait until we know whether the user is signed in
+    if (authLoading) {
+      return;
+    }
+
+    // Nothing to search for
+    if (!queryText.trim()) {
+      setResults([]);
+      setLimited(false);
+      setLoading(false);
+      return;
+    }
+
+    // Ignore results of a search that was replaced by a newer one
+    let cancelled = false;
+
+    async function runSearch() {
+      setLoading(true);
+      setError(null);
+      try {
+        const search = await searchSnippets(queryText, user?.uid);
+        if (!cancelled) {
+          setResults(search.results);
+          setLimited(search.limited);
+        }
+      } catch (err) {
+        console.error("Error searching snippets:", err);
+        if (!cancelled) {
+          setError("Search failed. Please try again.");
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    }
+
+    runSearch();
+    return () => {
+      cancelled = true;
+    };
+  }, [queryText, authLoading, user?.uid]);
+
+  // ============================================
+  // FACETS
+  // ============================================
+
+  const terms = getQueryTerms(queryText);
+  const facetCounts = getFacetCounts(results);
+  const filteredResults = filterByFacets(results, facets);
+  const hasFacets = facets.language || facets.framework || facets.tag;
+
+  /**
+   * Updates one facet in the URL, keeping the query and other facets
+   */
+  const setFacet = (name, value) => {
+    const params = new URLSearchParams({ q: queryText, ...facets });
+    params.set(name, value);
+
+    // Drop empty facets so URLs stay short
+    ["language", "framework", "tag"].forEach((facet) => {
+      if (!params.get(facet)) {
+        params.delete(facet);
+      }
+    });
+
+    router.push(`/search?${params.toString()}`);
+  };
+
+  /**
+   * Removes all facets, keeping the query
+   */
+  const clearFacets = () => {
+    router.push(`/search?${new URLSearchParams({ q: queryText }).toString()}`);
+  };
+
+  /**
+   * Renders a facet dropdown with the number of results for each value
+   */
+  const renderFacet = (name, label, options) => (
+    <select
+      value={facets[name]}
+      onChange={(e) => setFacet(name, e.target.value)}
+      className="search-facet-select"
+      aria-label={`Filter by ${label.toLowerCase()}`}
+    >
+      <option value="">All {label}</option>
+      {/* Keep the selected value visible even if it has no results */}
+      {facets[name] &&
+        !options.some((option) => option.value === facets[name]) && (
+          <option value={facets[name]}>{facets[name]} (0)</option>
+        )}
+      {options.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.value} ({option.count})
+        </option>
+      ))}
+    </select>
+  );
+
+  // ============================================
+  // RENDER
+  // ============================================
+
+  return (
+    <div className="search-container">
+      {/* Header */}
+      <div className="search-header">
+        <Link href="/" className="back-link">
+          ← Back to All Languages
+        </Link>
+        <h1 className="search-title">
+          {queryText.trim() ? `Results for "${queryText}"` : "Search snippets"}
+        </h1>
+      </div>
+
+      {/* Facets */}
+      {results.length > 0 && (
+        <div className="search-facets">
+          {renderFacet("language", "Languages", facetCounts.languages)}
+          {renderFacet("framework", "Frameworks", facetCounts.frameworks)}
+          {renderFacet("tag", "Tags", facetCounts.tags)}
+          {hasFacets && (
+            <button onClick={clearFacets} className="search-clear-button">
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Search Limit */}
+      {!loading && !error && limited && (
+        <p className="search-limit-notice">
+          Only the newest {MAX_SEARCH_CANDIDATES} snippets were searched, so
+          older matches may be missing. Browse by language to find older
+          snippets.
+        </p>
+      )}
+
+      {/* Results */}
+      {loading ? (
+        <div className="snippets-loading">
+          <div className="snippets-loading-text">Searching...</div>
+        </div>
+      ) : error ? (
+        <div className="error-message">{error}</div>
+      ) : !queryText.trim() ? (
+        <p className="search-empty-text">
+          Type in the search box to find snippets by title, description, tags or
+          code.
+        </p>
+      ) : filteredResults.length === 0 ? (
+        <p className="search-empty-text">No snippets match your search.</p>
+      ) : (
+        <>
+          <p className="search-count">
+            {filteredResults.length}{" "}
+            {filteredResults.length === 1 ? "result" : "results"}
+          </p>
+          <ul className="search-results-list">
+            {filteredResults.map((snippet) => (
+              <li key={snippet.id}>
+                <Link
+                  href={`/snippet/${snippet.id}`}
+                  className="search-result-link"
+                >
+                  <div className="search-result-card">
+                    {/* Title */}
+                    <h2 className="snippet-card-title">
+                      <Highlight text={snippet.title} terms={terms} />
+                    </h2>
+
+                    {/* Description */}
+                    {snippet.description && (
+                      <p className="snippet-description">
+                        <Highlight text={snippet.description} terms={terms} />
+                      </p>
+                    )}
+
+                    {/* Matching lines of code */}
+                    {getSnippetMatchingLines(snippet, terms).map((line) => (
+                      <div
+                        key={`${line.filename}:${line.lineNumber}`}
+                        className="search-code-line"
+                      >
+                        <span className="search-code-line-number">
+                          {snippet.files?.length > 1
+                            ? `${line.filename}:${line.lineNumber}`
+                            : line.lineNumber}
+                        </span>
+                        <code>
+                          <Highlight text={line.text} terms={terms} />
+                        </code>
+                      </div>
+                    ))}
+
+                    {/* Language, framework and tags */}
+                    <div className="snippet-tags">
+                      <span className="tag-framework">{snippet.language}</span>
+                      {snippet.framework && (
+                        <span className="tag-framework">
+                          <Highlight text={snippet.framework} terms={terms} />
+                        </span>
+                      )}
+                      {snippet.tags &&
+                        snippet.tags.map((tag, index) => (
+                          <span key={index} className="tag-regular">
+                            #<Highlight text={tag} terms={terms} />
+                          </span>
+                        ))}
+                    </div>
+                  </div>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for state and side effects
+import { useEffect, useState } from "react";
+
+// Our Firebase functions for managing share links
+import { createShareLink, revokeShareLink } from "@/src/lib/firebase/snippets";
+
+// ============================================
+// SHARE LINK PANEL COMPONENT
+// ============================================
+
+/**
+ * ShareLinkPanel Component
+ * Lets the owner of an unlisted snippet create, copy, regenerate and
+ * revoke its share link
+ *
+ * @param {Object} props
+ * @param {Object} props.snippet - The unlisted snippet (needs id and shareToken)
+ * @param {Function} props.onTokenChange - Called with the new token (or null)
+ */
+export default function ShareLinkPanel({ snippet, onTokenChange }) {
+  // State for the create/regenerate/revoke request in progress
+  const [working, setWorking] = useState(false);
+
+  // State for copy button feedback
+  const [copied, setCopied] = useState(false);
+
+  // Site origin, only known in the browser
+  const [origin, setOrigin] = useState("");
+  useEffect(() => {
+    setOrigin(window.location.origin);
+  }, []);
+
+  const shareUrl = snippet.shareToken
+    ? `${origin}/share/${snippet.shareToken}`
+    : null;
+
+  /**
+   * Creates a new share link, revoking the old one if there was one
+   */
+  const handleCreate = async () => {
+    setWorking(true);
+    try {
+      onTokenChange(await createShareLink(snippet));
+    } catch (error) {
+      console.error("Error creating share link:", error);
+      alert("Failed to create share link. Please try again.");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  /**
+   * Revokes the current share link so it stops working
+   */
+  const handleRevoke = async () => {
+    setWorking(true);
+    try {
+      await revokeShareLink(snippet);
+      onTokenChange(null);
+    } catch (error) {
+      console.error("Error revoking share link:", error);
+      alert("Failed to revoke share link. Please try again.");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  /**
+   * Copies the share link to the clipboard
+   */
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error("Failed to copy share link:", error);
+    }
+  };
+
+  return (
+    <div className="share-link-panel">
+      <h3 className="share-link-title">🔗 Share Link</h3>
+
+      {shareUrl ? (
+        <>
+          <p className="share-link-help">
+            Anyone with this link can view the snippet.
+          </p>
+          <div className="share-link-row">
+            <input
+              type="text"
+              value={shareUrl}
+              readOnly
+              className="form-input share-link-input"
+              onFocus={(e) => e.target.select()}
+            />
+            <button onClick={handleCopy} className="share-link-button">
+              {copied ? "✓ Copied!" : "Copy"}
+            </button>
+          </div>
+          <div className="share-link-row">
+            <button
+              onClick={handleCreate}
+              disabled={working}
+              className="share-link-button"
+            >
+              Regenerate
+            </button>
+            <button
+              onClick={handleRevoke}
+              disabled={working}
+              className="share-link-button share-link-button-danger"
+            >
+              Revoke
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <p className="share-link-help">
+            This snippet is unlisted. Create a link to share it.
+          </p>
+          <button
+            onClick={handleCreate}
+            disabled={working}
+            className="share-link-button"
+          >
+            {working ? "Creating..." : "Create Share Link"}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
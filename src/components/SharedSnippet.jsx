@@ -0,0 +1,133 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for state and side effects
+import { useEffect, useState } from "react";
+
+// Next.js Link component for navigation
+import Link from "next/link";
+
+// Our Firebase function to read a share link
+import { getSharedSnippet } from "@/src/lib/firebase/snippets";
+
+// The snippet's files as tabs with syntax highlighting
+import SnippetFiles from "@/src/components/SnippetFiles";
+
+// ============================================
+// SHARED SNIPPET COMPONENT
+// ============================================
+
+/**
+ * SharedSnippet Component
+ * Read-only view of an unlisted snippet opened through its share link
+ *
+ * @param {Object} props
+ * @param {string} props.token - The share token from the URL
+ */
+export default function SharedSnippet({ token }) {
+  // State for the shared snippet data
+  const [snippet, setSnippet] = useState(null);
+
+  // State for loading status
+  const [loading, setLoading] = useState(true);
+
+  // ============================================
+  // FETCH SHARED SNIPPET
+  // ============================================
+
+  useEffect(() => {
+    async function fetchSharedSnippet() {
+      try {
+        setSnippet(await getSharedSnippet(token));
+      } catch (err) {
+        // Revoked and unknown links both end up here
+        console.error("Error fetching shared snippet:", err);
+        setSnippet(null);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchSharedSnippet();
+  }, [token]);
+
+  // ============================================
+  // RENDER: LOADING STATE
+  // ============================================
+
+  if (loading) {
+    return (
+      <div className="snippet-detail-container">
+        <div className="loading-container">
+          <div className="loading-text">Loading snippet...</div>
+        </div>
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER: INVALID OR REVOKED LINK
+  // ============================================
+
+  if (!snippet) {
+    return (
+      <div className="snippet-error-container">
+        <div className="snippet-error-box">
+          <p className="snippet-error-text">
+            This share link is invalid or has been revoked
+          </p>
+          <Link href="/" className="snippet-error-link">
+            ← Back to Home
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER: SHARED SNIPPET
+  // ============================================
+
+  return (
+    <div className="snippet-detail-container">
+      <div className="snippet-detail-card">
+        {/* Header Section */}
+        <div className="snippet-detail-header">
+          <h1 className="snippet-detail-title">{snippet.title}</h1>
+          <p className="snippet-detail-description">{snippet.description}</p>
+        </div>
+
+        {/* Tags/Badges */}
+        <div className="snippet-detail-tags">
+          <span className="tag-language">{snippet.language}</span>
+          {snippet.framework && (
+            <span className="tag-framework-badge">{snippet.framework}</span>
+          )}
+          {snippet.tags &&
+            snippet.tags.map((tag, index) => (
+              <span key={index} className="tag-standard">
+                #{tag}
+              </span>
+            ))}
+        </div>
+
+        {/* Code Display */}
+        <div className="snippet-code-section">
+          <SnippetFiles snippet={snippet} />
+        </div>
+
+        {/* Author and Date Info */}
+        <div className="snippet-metadata">
+          <span className="metadata-author">By {snippet.author}</span>
+          <span className="metadata-separator">•</span>
+          <span>{snippet.createdAt?.toDate().toLocaleDateString()}</span>
+          <span className="metadata-separator">•</span>
+          <span className="metadata-unlisted">🔗 Shared with you</span>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// Next.js Link component for client-side navigation between pages
+import Link from "next/link";
+// Reads who owns a snippet
+import { getOwnerId } from "@/src/lib/firebase/snippets";
+// Author names linking to their author pages
+import AuthorLink from "@/src/components/AuthorLink";
+// Star for saving the snippet to the user's bookmarks
+import BookmarkButton from "@/src/components/BookmarkButton";
+
+// ============================================
+// SNIPPET CARD COMPONENT
+// ============================================
+
+/**
+ * SnippetCard Component
+ * Card for a snippet in a list (title, description, tags only - NO CODE)
+ * The whole card opens the snippet, except the author's name, which opens
+ * their author page, and the bookmark star
+ *
+ * @param {Object} props
+ * @param {Object} props.snippet - The snippet to show, with its ID
+ * @param {Function} [props.onBookmarkChange] - Called with true or false
+ *   when the user bookmarks the snippet or removes the bookmark
+ */
+export default function SnippetCard({ snippet, onBookmarkChange }) {
+  return (
+    <div className="snippet-card snippet-card-stretched">
+      {/* Snippet Title (its link covers the whole card) */}
+      <h2 className="snippet-card-title">
+        <Link
+          href={`/snippet/${snippet.id}`}
+          className="snippet-card-title-link"
+        >
+          {snippet.title}
+        </Link>
+      </h2>
+
+      {/* Snippet Description */}
+      <p className="snippet-description">{snippet.description}</p>
+
+      {/* Tags/Badges */}
+      <div className="snippet-tags">
+        {/* Show framework badge if framework exists */}
+        {snippet.framework && (
+          <span className="tag-framework">{snippet.framework}</span>
+        )}
+        {/* Map through first 3 tags to display them */}
+        {snippet.tags &&
+          snippet.tags.slice(0, 3).map((tag, index) => (
+            <span key={index} className="tag-regular">
+              #{tag}
+            </span>
+          ))}
+        {/* Show "+X more" if there are more than 3 tags */}
+        {snippet.tags && snippet.tags.length > 3 && (
+          <span className="tag-regular">+{snippet.tags.length - 3} more</span>
+        )}
+      </div>
+
+      {/* Average Rating */}
+      {snippet.numRatings > 0 && (
+        <div className="snippet-card-rating">
+          <span className="rating-star-filled">★</span>{" "}
+          {snippet.rating.toFixed(1)} ({snippet.numRatings})
+        </div>
+      )}
+
+      {/* Bookmark Star and Count */}
+      <div className="snippet-card-bookmark">
+        <BookmarkButton snippet={snippet} onChange={onBookmarkChange} />
+      </div>
+
+      {/* Footer with Author and Date */}
+      <div className="snippet-footer">
+        <span>
+          By <AuthorLink userId={getOwnerId(snippet)} name={snippet.author} />
+        </span>
+        <span>
+          {/* Convert Firestore timestamp to localized date string */}
+          {snippet.createdAt?.toDate().toLocaleDateString()}
+        </span>
+      </div>
+
+      {/* View Details Indicator */}
+      <div className="view-code-arrow">
+        <span className="view-code-text">View Code →</span>
+      </div>
+    </div>
+  );
+}
@@ -11,16 +11,59 @@ import { useEffect, useState } from "react";
 import { useRouter } from "next/navigation";
 import Link from "next/link";
 
-// Firebase Firestore functions
-import { doc, getDoc, deleteDoc } from "firebase/firestore";
-import { db } from "@/src/lib/firebase/clientApp";
-
 // Firebase auth to check current user
 import { useAuthState } from "react-firebase-hooks/auth";
 import { auth } from "@/src/lib/firebase/clientApp";
 
-// Our CodeDisplay component for syntax highlighting
-import CodeDisplay from "@/src/components/CodeDisplay";
+// The snippet's files as tabs with syntax highlighting
+import SnippetFiles from "@/src/components/SnippetFiles";
+import { getSnippetFiles } from "@/src/lib/snippetFiles";
+
+// Flags files whose stored language doesn't match their code
+import { findLanguageMismatches } from "@/src/lib/languageDetection";
+
+// Structured AI explanation with clickable line references
+import AiExplanation from "@/src/components/AiExplanation";
+import { readExplanationStream } from "@/src/lib/explanation";
+
+// AI actions (refactor, comments, tests, bugs, convert) and their diffs
+import AiActionsMenu from "@/src/components/AiActionsMenu";
+import CodeActionResult from "@/src/components/CodeActionResult";
+
+// Star ratings and reviews for this snippet
+import SnippetRatings from "@/src/components/SnippetRatings";
+
+// Share link management for unlisted snippets
+import ShareLinkPanel from "@/src/components/ShareLinkPanel";
+
+// Version history with diffs and restore
+import SnippetHistory from "@/src/components/SnippetHistory";
+
+// Dropdown for adding the snippet to the user's collections
+import AddToCollection from "@/src/components/AddToCollection";
+
+// Fork count and list of forks of this snippet
+import SnippetForks from "@/src/components/SnippetForks";
+
+// Star for saving the snippet to the user's bookmarks, with its count
+import BookmarkButton from "@/src/components/BookmarkButton";
+
+// Author names linking to their author pages
+import AuthorLink from "@/src/components/AuthorLink";
+
+// Our Firebase helpers for watching, deleting, forking, counting views and
+// reading visibility/owner
+import {
+  deleteSnippet,
+  forkSnippet,
+  getOwnerId,
+  getVisibility,
+  recordSnippetView,
+  watchSnippet,
+} from "@/src/lib/firebase/snippets";
+
+// Restores the timestamps of a snippet rendered on the server
+import { fromPlainData } from "@/src/lib/snippetQueries";
 
 // ============================================
 // SNIPPET DETAIL COMPONENT
@@ -31,17 +74,26 @@ import CodeDisplay from "@/src/components/CodeDisplay";
  * Displays a single code snippet with full details and actions
  * 
  * Features:
- * - Display snippet with syntax highlighting
- * - AI "Explain Code" button (Gemini AI)
+ * - Display snippet files as tabs with syntax highlighting and zip download
+ * - AI "Explain Code" button (Gemini AI), streamed in as it is written
+ * - AI actions (refactor, doc comments, tests, bug review, conversion)
+ *   shown as a diff, which the owner can apply or save as a new snippet
  * - Edit button (navigates to edit form)
  * - Delete button (removes snippet from Firestore)
+ * - Star ratings and reviews
+ * - Version history with diff view and restore
+ * - Fork into the user's own account, with a link back to the original
+ * - Warns the owner when a file's language doesn't look like its code
  * 
  * @param {Object} props
  * @param {string} props.snippetId - The Firestore document ID of the snippet
+ * @param {Object} [props.initialSnippet] - The snippet as read on the
+ *   server (plain data), shown until the live copy arrives
  */
-export default function SnippetDetail({ snippetId }) {
+export default function SnippetDetail({ snippetId, initialSnippet }) {
   // Get current authenticated user
-  const [user] = useAuthState(auth);
+  // Private snippets can only be read once we know who the user is
+  const [user, authLoading] = useAuthState(auth);
   
   // Next.js router for navigation
   const router = useRouter();
@@ -51,10 +103,12 @@ export default function SnippetDetail({ snippetId }) {
   // ============================================
   
   // State for the snippet data
-  const [snippet, setSnippet] = useState(null);
+  const [snippet, setSnippet] = useState(() =>
+    initialSnippet ? fromPlainData(initialSnippet) : null
+  );
   
-  // State for loading status
-  const [loading, setLoading] = useState(true);
+  // State for loading status (nothing to load if the server sent it)
+  const [loading, setLoading] = useState(!initialSnippet);
   
   // State for error messages
   const [error, setError] = useState(null);
@@ -63,12 +117,39 @@ export default function SnippetDetail({ snippetId }) {
   // AI EXPLANATION STATE
   // ============================================
   
-  // State for AI explanation text
+  // State for AI explanation (partial while it streams in)
   const [explanation, setExplanation] = useState(null);
   
   // State for loading explanation
   const [loadingExplanation, setLoadingExplanation] = useState(false);
 
+  // State for where the explanation came from: { cached, generatedAt }
+  const [explanationSource, setExplanationSource] = useState(null);
+
+  // State for the line range highlighted from the explanation
+  const [selectedLines, setSelectedLines] = useState(null);
+
+  // ============================================
+  // AI ACTION STATE
+  // ============================================
+
+  // State for the result of the last AI action: { action, files, notes }
+  const [actionResult, setActionResult] = useState(null);
+
+  // ============================================
+  // HISTORY STATE
+  // ============================================
+
+  // State for showing the version history panel
+  const [showHistory, setShowHistory] = useState(false);
+
+  // ============================================
+  // FORK STATE
+  // ============================================
+
+  // State for forking process
+  const [forking, setForking] = useState(false);
+
   // ============================================
   // DELETE STATE
   // ============================================
@@ -80,98 +161,155 @@ export default function SnippetDetail({ snippetId }) {
   const [deleting, setDeleting] = useState(false);
 
   // ============================================
-  // FETCH SNIPPET DATA
+  // WATCH SNIPPET DATA
   // ============================================
 
   useEffect(() => {
-    /**
-     * Fetches the snippet from Firestore by ID
-     */
-    async function fetchSnippet() {
-      try {
-        // Get reference to the snippet document
-        const snippetRef = doc(db, "snippets", snippetId);
-        
-        // Fetch the document
-        const snippetDoc = await getDoc(snippetRef);
-
-        // Check if document exists
-        if (snippetDoc.exists()) {
-          // Set snippet data with ID included
-          setSnippet({
-            id: snippetDoc.id,
-            ...snippetDoc.data(),
-          });
+    // Wait until we know whether the user is signed in
+    if (authLoading) {
+      return;
+    }
+
+    // Count each signed-in user's view once, but not the owner's
+    // (the session flag saves checking again on every visit)
+    let viewCounted = false;
+    const countView = (snippetData) => {
+      const viewedKey = `viewed:${snippetId}`;
+      if (
+        viewCounted ||
+        !user?.uid ||
+        getOwnerId(snippetData) === user?.uid ||
+        sessionStorage.getItem(viewedKey)
+      ) {
+        return;
+      }
+      viewCounted = true;
+      sessionStorage.setItem(viewedKey, "1");
+      recordSnippetView(snippetId, user?.uid).catch((err) =>
+        console.error("Error counting view:", err)
+      );
+    };
+
+    // Keep the snippet up to date as it's edited, rated or forked
+    return watchSnippet(
+      snippetId,
+      (snippetData) => {
+        if (snippetData) {
+          setSnippet(snippetData);
+          setError(null);
+          countView(snippetData);
         } else {
-          // Document not found
+          // Document not found (or deleted while open)
+          setError("Snippet not found");
+        }
+        setLoading(false);
+      },
+      (err) => {
+        // Private snippets of other users look the same as missing ones
+        if (err.code === "permission-denied") {
           setError("Snippet not found");
+        } else {
+          // Handle any other errors
+          console.error("Error fetching snippet:", err);
+          setError("Failed to load snippet");
         }
-      } catch (err) {
-        // Handle any errors
-        console.error("Error fetching snippet:", err);
-        setError("Failed to load snippet");
-      } finally {
-        // Always set loading to false when done
         setLoading(false);
       }
-    }
-
-    // Call the fetch function
-    fetchSnippet();
-  }, [snippetId]); // Re-run if snippetId changes
+    );
+  }, [snippetId, authLoading, user?.uid]); // Re-run if snippetId or the signed-in user changes
 
   // ============================================
   // AI EXPLANATION HANDLER
   // ============================================
 
   /**
-   * Handles the "Explain Code" button click
-   * Sends code to Gemini AI API and displays explanation
+   * Fetches the explanation of this snippet and shows it as it streams in
+   * Unchanged code is served from the cache unless regenerate is set
+   *
+   * @param {boolean} regenerate - Ask for a fresh explanation (owner only)
    */
-  const handleExplainCode = async () => {
-    // If explanation already exists, hide it (toggle off)
-    if (explanation) {
-      setExplanation(null);
-      return;
-    }
-
+  const requestExplanation = async (regenerate = false) => {
     // Set loading state
     setLoadingExplanation(true);
+    setSelectedLines(null);
 
     try {
-      // Call our API endpoint with the code and language
+      // Call our API endpoint; it reads the snippet's files itself
       const response = await fetch("/api/explain-code", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
         body: JSON.stringify({
-          code: snippet.code,
-          language: snippet.language,
+          snippetId: snippet.id,
+          regenerate,
         }),
       });
 
-      // Parse the JSON response
-      const data = await response.json();
-
-      // Check if the request was successful
-      if (data.success) {
-        // Store the explanation
-        setExplanation(data.explanation);
-      } else {
-        // Show error if API request failed
-        alert(data.error || "Failed to explain code");
+      // Errors before streaming starts come back as JSON
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || "Failed to explain code");
       }
+
+      // Show each partial explanation, then the complete one
+      setExplanationSource(null);
+      const result = await readExplanationStream(response, setExplanation);
+      setExplanation(result.explanation);
+      setExplanationSource({
+        cached: result.cached,
+        generatedAt: result.generatedAt,
+      });
     } catch (error) {
-      // Handle any network or parsing errors
+      // Handle any network, streaming or validation errors
       console.error("Error explaining code:", error);
-      alert("Failed to explain code. Please try again.");
+      setExplanation(null);
+      alert(error.message || "Failed to explain code. Please try again.");
     } finally {
       // Clear loading state
       setLoadingExplanation(false);
     }
   };
 
+  /**
+   * Handles the "Explain Code" button click
+   * Shows the explanation, or hides it if it's already showing
+   */
+  const handleExplainCode = () => {
+    // If explanation already exists, hide it (toggle off)
+    if (explanation) {
+      setExplanation(null);
+      setExplanationSource(null);
+      setSelectedLines(null);
+      return;
+    }
+
+    requestExplanation();
+  };
+
+  // ============================================
+  // FORK HANDLER
+  // ============================================
+
+  /**
+   * Handles the fork button click
+   * Copies the snippet into the user's account and opens the copy
+   */
+  const handleFork = async () => {
+    setForking(true);
+
+    try {
+      const forkId = await forkSnippet(snippetId, user);
+
+      // Open the new fork so the user can start editing it
+      router.push(`/snippet/${forkId}`);
+    } catch (error) {
+      console.error("Error forking snippet:", error);
+      alert("Failed to fork snippet. Please try again.");
+      setForking(false);
+    }
+  };
+
   // ============================================
   // DELETE HANDLER
   // ============================================
@@ -185,11 +323,8 @@ export default function SnippetDetail({ snippetId }) {
     setDeleting(true);
 
     try {
-      // Get reference to the snippet document
-      const snippetRef = doc(db, "snippets", snippetId);
-      
-      // Delete the document from Firestore
-      await deleteDoc(snippetRef);
+      // Delete the snippet (and its share link) from Firestore
+      await deleteSnippet(snippetId);
 
       // Redirect to home page after successful deletion
       router.push("/");
@@ -239,6 +374,15 @@ export default function SnippetDetail({ snippetId }) {
   // RENDER: SNIPPET DETAIL
   // ============================================
 
+  // Who can see this snippet, and whether the current user owns it
+  const visibility = getVisibility(snippet);
+  const isOwner = user && getOwnerId(snippet) === user.uid;
+
+  // Files whose language looks wrong (only the owner can fix them)
+  const languageMismatches = isOwner
+    ? findLanguageMismatches(getSnippetFiles(snippet))
+    : [];
+
   return (
     <div className="snippet-detail-container">
       {/* Back Button */}
@@ -252,6 +396,20 @@ export default function SnippetDetail({ snippetId }) {
         <div className="snippet-detail-header">
           <h1 className="snippet-detail-title">{snippet.title}</h1>
           <p className="snippet-detail-description">{snippet.description}</p>
+          {/* Link back to the snippet this one was forked from */}
+          {snippet.forkedFrom && (
+            <p className="snippet-forked-from">
+              🍴 Forked from{" "}
+              <Link href={`/snippet/${snippet.forkedFrom.id}`}>
+                {snippet.forkedFrom.title}
+              </Link>{" "}
+              by{" "}
+              <AuthorLink
+                userId={snippet.forkedFrom.ownerId || snippet.forkedFrom.userId}
+                name={snippet.forkedFrom.author}
+              />
+            </p>
+          )}
         </div>
 
         {/* Tags/Badges */}
@@ -274,43 +432,90 @@ export default function SnippetDetail({ snippetId }) {
 
         {/* Code Display */}
         <div className="snippet-code-section">
-          <CodeDisplay code={snippet.code} language={snippet.language} />
+          <SnippetFiles snippet={snippet} highlight={selectedLines} />
         </div>
 
+        {/* Language Mismatch Warning - Only for the owner */}
+        {languageMismatches.length > 0 && (
+          <div className="language-mismatch-notice">
+            ⚠️{" "}
+            {languageMismatches
+              .map(
+                (mismatch) =>
+                  `${mismatch.filename} looks like ${mismatch.detected}, not ${mismatch.language}`
+              )
+              .join("; ")}
+            .{" "}
+            <Link href={`/snippet/${snippet.id}/edit`}>Fix the language</Link>
+          </div>
+        )}
+
         {/* AI Explanation Section */}
         {explanation && (
-          <div className="ai-explanation-box">
-            <div className="ai-explanation-content">
-              {/* Robot/AI Icon */}
-              <span className="ai-icon">🤖</span>
-              <div className="ai-text-container">
-                <h3 className="ai-explanation-title">
-                  AI Explanation
-                </h3>
-                {/* Display the explanation with preserved formatting */}
-                <div className="ai-explanation-text">
-                  {explanation}
-                </div>
-              </div>
-            </div>
-          </div>
+          <AiExplanation
+            explanation={explanation}
+            streaming={loadingExplanation}
+            source={explanationSource}
+            selected={selectedLines}
+            onSelectLines={setSelectedLines}
+            onRegenerate={isOwner ? () => requestExplanation(true) : null}
+          />
+        )}
+
+        {/* AI Action Result */}
+        {actionResult && (
+          <CodeActionResult
+            snippet={snippet}
+            result={actionResult}
+            user={user}
+            isOwner={isOwner}
+            onApplied={(updated) => {
+              setSnippet((prev) => ({
+                ...prev,
+                ...updated,
+                revisionCount: (prev.revisionCount || 1) + 1,
+              }));
+              setActionResult(null);
+              // The explanation was of the old code
+              setExplanation(null);
+              setExplanationSource(null);
+              setSelectedLines(null);
+            }}
+            onClose={() => setActionResult(null)}
+          />
         )}
 
         {/* Author and Date Info */}
         <div className="snippet-author-info">
           <div className="snippet-metadata">
-            <span className="metadata-author">By {snippet.author}</span>
+            <span className="metadata-author">
+              By <AuthorLink userId={getOwnerId(snippet)} name={snippet.author} />
+            </span>
             <span className="metadata-separator">•</span>
             <span>{snippet.createdAt?.toDate().toLocaleDateString()}</span>
-            {snippet.isPublic && (
-              <>
-                <span className="metadata-separator">•</span>
-                <span className="metadata-public">Public</span>
-              </>
+            <span className="metadata-separator">•</span>
+            {visibility === "public" && (
+              <span className="metadata-public">Public</span>
+            )}
+            {visibility === "unlisted" && (
+              <span className="metadata-unlisted">🔗 Unlisted</span>
+            )}
+            {visibility === "private" && (
+              <span className="metadata-private">🔒 Private</span>
             )}
           </div>
         </div>
 
+        {/* Share Link - Only for the owner of an unlisted snippet */}
+        {isOwner && visibility === "unlisted" && (
+          <ShareLinkPanel
+            snippet={snippet}
+            onTokenChange={(shareToken) =>
+              setSnippet((prev) => ({ ...prev, shareToken }))
+            }
+          />
+        )}
+
         {/* Action Buttons */}
         <div className="snippet-action-buttons">
           {/* Explain Code Button */}
@@ -330,8 +535,42 @@ export default function SnippetDetail({ snippetId }) {
               : "🤖 Explain Code"}
           </button>
 
+          {/* AI Actions - Only for signed-in users */}
+          {user && (
+            <AiActionsMenu snippet={snippet} onResult={setActionResult} />
+          )}
+
+          {/* History Button */}
+          <button
+            onClick={() => setShowHistory(!showHistory)}
+            className="history-button"
+          >
+            {showHistory
+              ? "Hide History"
+              : `🕘 History${
+                  snippet.revisionCount ? ` (${snippet.revisionCount})` : ""
+                }`}
+          </button>
+
+          {/* Fork Button - Only for signed-in users */}
+          {user && (
+            <button
+              onClick={handleFork}
+              disabled={forking}
+              className="fork-button"
+            >
+              {forking ? "Forking..." : "🍴 Fork"}
+            </button>
+          )}
+
+          {/* Bookmark Button - Signed-out visitors only see the count */}
+          <BookmarkButton snippet={snippet} className="bookmark-button-large" />
+
+          {/* Add to Collection - Only for signed-in users */}
+          {user && <AddToCollection snippetId={snippet.id} user={user} />}
+
           {/* Edit Button - Only show if user owns this snippet */}
-          {user && snippet.userId === user.uid && (
+          {isOwner && (
             <Link
               href={`/snippet/${snippet.id}/edit`}
               className="edit-button-link"
@@ -341,7 +580,7 @@ export default function SnippetDetail({ snippetId }) {
           )}
 
           {/* Delete Button - Only show if user owns this snippet */}
-          {user && snippet.userId === user.uid && (
+          {isOwner && (
             <button
               onClick={() => setShowDeleteConfirm(true)}
               disabled={deleting}
@@ -351,6 +590,27 @@ export default function SnippetDetail({ snippetId }) {
             </button>
           )}
         </div>
+
+        {/* Version History */}
+        {showHistory && (
+          <SnippetHistory
+            snippetId={snippet.id}
+            isOwner={isOwner}
+            onRestored={(restored) =>
+              setSnippet((prev) => ({
+                ...prev,
+                ...restored,
+                revisionCount: (prev.revisionCount || 1) + 1,
+              }))
+            }
+          />
+        )}
+
+        {/* Forks of this snippet */}
+        <SnippetForks snippet={snippet} user={user} />
+
+        {/* Ratings and Reviews */}
+        <SnippetRatings snippet={snippet} user={user} />
       </div>
 
       {/* Delete Confirmation Modal */}
@@ -11,16 +11,21 @@ import { useEffect, useState } from "react";
 import { useRouter } from "next/navigation";
 import Link from "next/link";
 
-// Firebase Firestore functions
-import { doc, getDoc } from "firebase/firestore";
-import { db } from "@/src/lib/firebase/clientApp";
-
 // Firebase auth to check current user
 import { useAuthState } from "react-firebase-hooks/auth";
 import { auth } from "@/src/lib/firebase/clientApp";
 
-// Our Firebase function to update snippets
-import { updateSnippet } from "@/src/lib/firebase/snippets";
+// Our Firebase functions to load and update snippets
+import {
+  getSnippet,
+  updateSnippet,
+  getOwnerId,
+  getVisibility,
+} from "@/src/lib/firebase/snippets";
+import { getSnippetFiles } from "@/src/lib/snippetFiles";
+
+// The shared snippet form
+import SnippetForm from "@/src/components/SnippetForm";
 
 // ============================================
 // SNIPPET EDIT FORM COMPONENT
@@ -49,18 +54,9 @@ export default function SnippetEditForm({ snippetId }) {
   
   // State for error messages
   const [error, setError] = useState(null);
-  
-  // State for saving status
-  const [saving, setSaving] = useState(false);
 
-  // Form field states
-  const [title, setTitle] = useState("");
-  const [description, setDescription] = useState("");
-  const [code, setCode] = useState("");
-  const [language, setLanguage] = useState("");
-  const [framework, setFramework] = useState("");
-  const [tags, setTags] = useState("");
-  const [isPublic, setIsPublic] = useState(true);
+  // The snippet's current fields, to pre-fill the form
+  const [initialValues, setInitialValues] = useState(null);
 
   // ============================================
   // FETCH SNIPPET DATA
@@ -79,35 +75,30 @@ export default function SnippetEditForm({ snippetId }) {
       }
 
       try {
-        // Get reference to the snippet document
-        const snippetRef = doc(db, "snippets", snippetId);
-        
-        // Fetch the document
-        const snippetDoc = await getDoc(snippetRef);
+        const data = await getSnippet(snippetId);
 
-        // Check if document exists
-        if (snippetDoc.exists()) {
-          const data = snippetDoc.data();
-          
-          // Pre-fill all form fields with existing data
-          setTitle(data.title || "");
-          setDescription(data.description || "");
-          setCode(data.code || "");
-          setLanguage(data.language || "");
-          setFramework(data.framework || "");
-          
-          // Convert tags array to comma-separated string
-          setTags(data.tags ? data.tags.join(", ") : "");
-          
-          setIsPublic(data.isPublic !== undefined ? data.isPublic : true);
-        } else {
-          // Document not found
-          setError("Snippet not found");
+        // Only the owner can edit a snippet
+        if (getOwnerId(data) !== user.uid) {
+          setError("You can only edit your own snippets");
+          return;
         }
+
+        setInitialValues({
+          title: data.title || "",
+          description: data.description || "",
+          files: getSnippetFiles(data),
+          framework: data.framework || "",
+          tags: data.tags || [],
+          visibility: getVisibility(data),
+        });
       } catch (err) {
         // Handle any errors
         console.error("Error fetching snippet:", err);
-        setError("Failed to load snippet");
+        setError(
+          err.message === "Snippet not found"
+            ? "Snippet not found"
+            : "Failed to load snippet"
+        );
       } finally {
         // Always set loading to false when done
         setLoading(false);
@@ -125,54 +116,13 @@ export default function SnippetEditForm({ snippetId }) {
   // ============================================
 
   /**
-   * Handles form submission
-   * Updates the snippet in Firestore
+   * Saves the checked fields and goes back to the snippet
    */
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-
-    // Validate required fields
-    if (!title || !description || !code || !language) {
-      alert("Please fill in all required fields");
-      return;
-    }
-
-    // Check if user is logged in
-    if (!user) {
-      alert("You must be logged in to edit snippets");
-      return;
-    }
-
-    // Set saving state
-    setSaving(true);
-
-    try {
-      // Prepare snippet data
-      const snippetData = {
-        title: title.trim(),
-        description: description.trim(),
-        code: code.trim(),
-        language,
-        framework: framework || null,
-        // Convert comma-separated tags to array and trim whitespace
-        tags: tags
-          ? tags.split(",").map((tag) => tag.trim()).filter((tag) => tag)
-          : [],
-        isPublic,
-        author: user.displayName || user.email,
-        userId: user.uid,
-      };
-
-      // Update the snippet in Firestore
-      await updateSnippet(snippetId, snippetData);
+  const handleSubmit = async (snippetData) => {
+    await updateSnippet(snippetId, snippetData);
 
-      // Redirect back to the snippet detail page
-      router.push(`/snippet/${snippetId}`);
-    } catch (error) {
-      console.error("Error updating snippet:", error);
-      alert("Failed to update snippet. Please try again.");
-      setSaving(false);
-    }
+    // Redirect back to the snippet detail page
+    router.push(`/snippet/${snippetId}`);
   };
 
   // ============================================
@@ -227,147 +177,13 @@ export default function SnippetEditForm({ snippetId }) {
       </div>
 
       {/* Edit Form */}
-      <form onSubmit={handleSubmit} className="snippet-edit-form">
-        {/* Title Field */}
-        <div className="form-group">
-          <label className="form-label">
-            Title <span className="required-star">*</span>
-          </label>
-          <input
-            type="text"
-            value={title}
-            onChange={(e) => setTitle(e.target.value)}
-            placeholder="e.g., React useState Hook Example"
-            className="form-input"
-            required
-          />
-        </div>
-
-        {/* Description Field */}
-        <div className="form-group">
-          <label className="form-label">
-            Description <span className="required-star">*</span>
-          </label>
-          <textarea
-            value={description}
-            onChange={(e) => setDescription(e.target.value)}
-            placeholder="Briefly describe what this code does..."
-            rows={3}
-            className="form-textarea"
-            required
-          />
-        </div>
-
-        {/* Code Field */}
-        <div className="form-group">
-          <label className="form-label">
-            Code <span className="required-star">*</span>
-          </label>
-          <textarea
-            value={code}
-            onChange={(e) => setCode(e.target.value)}
-            placeholder="Paste your code here..."
-            rows={12}
-            className="form-textarea form-textarea-code"
-            required
-          />
-        </div>
-
-        {/* Language and Framework Row */}
-        <div className="form-grid-2">
-          {/* Language Field */}
-          <div>
-            <label className="form-label">
-              Language <span className="required-star">*</span>
-            </label>
-            <select
-              value={language}
-              onChange={(e) => setLanguage(e.target.value)}
-              className="form-select"
-              required
-            >
-              <option value="">Select a language</option>
-              <option value="JavaScript">JavaScript</option>
-              <option value="TypeScript">TypeScript</option>
-              <option value="Python">Python</option>
-              <option value="Java">Java</option>
-              <option value="C#">C#</option>
-              <option value="PHP">PHP</option>
-              <option value="Ruby">Ruby</option>
-              <option value="Go">Go</option>
-              <option value="Rust">Rust</option>
-              <option value="Swift">Swift</option>
-              <option value="Kotlin">Kotlin</option>
-              <option value="HTML">HTML</option>
-              <option value="CSS">CSS</option>
-              <option value="SQL">SQL</option>
-              <option value="Bash">Bash</option>
-            </select>
-          </div>
-
-          {/* Framework Field */}
-          <div>
-            <label className="form-label">
-              Framework (Optional)
-            </label>
-            <input
-              type="text"
-              value={framework}
-              onChange={(e) => setFramework(e.target.value)}
-              placeholder="e.g., React, Next.js, Django"
-              className="form-input"
-            />
-          </div>
-        </div>
-
-        {/* Tags Field */}
-        <div className="form-group">
-          <label className="form-label">
-            Tags (Optional)
-          </label>
-          <input
-            type="text"
-            value={tags}
-            onChange={(e) => setTags(e.target.value)}
-            placeholder="e.g., hooks, state management, beginner"
-            className="form-input"
-          />
-          <p className="form-helper-text">
-            Separate tags with commas
-          </p>
-        </div>
-
-        {/* Public/Private Toggle */}
-        <div className="checkbox-container">
-          <input
-            type="checkbox"
-            checked={isPublic}
-            onChange={(e) => setIsPublic(e.target.checked)}
-            className="form-checkbox"
-          />
-          <label className="checkbox-label">
-            Make this snippet public
-          </label>
-        </div>
-
-        {/* Action Buttons */}
-        <div className="edit-form-buttons">
-          <button
-            type="submit"
-            disabled={saving}
-            className="edit-form-button-save"
-          >
-            {saving ? "Saving Changes..." : "💾 Save Changes"}
-          </button>
-          
-          <Link
-            href={`/snippet/${snippetId}`}
-            className="edit-form-button-cancel"
-          >
-            Cancel
-          </Link>
-        </div>
-      </form>
+      <SnippetForm
+        initialValues={initialValues}
+        onSubmit={handleSubmit}
+        submitLabel="💾 Save Changes"
+        savingLabel="Saving Changes..."
+        cancelHref={`/snippet/${snippetId}`}
+      />
     </div>
   );
 }
\ No newline at end of file
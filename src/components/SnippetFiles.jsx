@@ -0,0 +1,121 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for the selected tab and download state
+import { useEffect, useState } from "react";
+
+// Our CodeDisplay component for syntax highlighting
+import CodeDisplay from "@/src/components/CodeDisplay";
+
+// Helpers for multi-file snippets
+import { createFilesZip, getSnippetFiles } from "@/src/lib/snippetFiles";
+
+// ============================================
+// SNIPPET FILES COMPONENT
+// ============================================
+
+/**
+ * SnippetFiles Component
+ * Shows the files of a snippet as tabs, each with its own syntax
+ * highlighting and copy button, plus a download of all files as a zip
+ *
+ * @param {Object} props
+ * @param {Object} props.snippet - The snippet (files, or code and language)
+ * @param {Object} props.highlight - Lines to highlight, { filename, startLine, endLine } (optional)
+ */
+export default function SnippetFiles({ snippet, highlight }) {
+  // Index of the file being shown
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  // State for zip download in progress
+  const [downloading, setDownloading] = useState(false);
+
+  const files = getSnippetFiles(snippet);
+  const file = files[Math.min(activeIndex, files.length - 1)];
+
+  // Open the tab of the file with the highlighted lines
+  const highlightIndex = highlight
+    ? files.findIndex((current) => current.filename === highlight.filename)
+    : -1;
+  useEffect(() => {
+    if (highlightIndex >= 0) {
+      setActiveIndex(highlightIndex);
+    }
+  }, [highlightIndex, highlight]);
+
+  // Only highlight lines in the file they belong to
+  const highlightLines =
+    highlight && (files.length === 1 || highlight.filename === file.filename)
+      ? highlight
+      : null;
+
+  /**
+   * Packs all files into a zip and starts the download
+   */
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      const blob = await createFilesZip(files);
+
+      // Download through a temporary link to the zip
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${snippet.title || "snippet"}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Error creating zip:", error);
+      alert("Failed to download files. Please try again.");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  // A single file looks the same as before multi-file snippets
+  if (files.length === 1) {
+    return (
+      <CodeDisplay
+        code={file.code}
+        language={file.language}
+        highlightLines={highlightLines}
+      />
+    );
+  }
+
+  return (
+    <div className="snippet-files">
+      <div className="file-tabs" role="tablist">
+        {files.map((current, index) => (
+          <button
+            key={current.filename}
+            role="tab"
+            aria-selected={current === file}
+            onClick={() => setActiveIndex(index)}
+            className={`file-tab ${current === file ? "file-tab-active" : ""}`}
+          >
+            {current.filename}
+          </button>
+        ))}
+        <button
+          onClick={handleDownload}
+          disabled={downloading}
+          className="file-tab-download"
+        >
+          {downloading ? "Zipping..." : "⬇️ Download all as zip"}
+        </button>
+      </div>
+
+      <CodeDisplay
+        code={file.code}
+        language={file.language}
+        filename={file.filename}
+        copyLabel="Copy File"
+        highlightLines={highlightLines}
+      />
+    </div>
+  );
+}
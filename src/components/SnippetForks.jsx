@@ -0,0 +1,94 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for state and side effects
+import { useEffect, useState } from "react";
+
+// Next.js Link component for navigation
+import Link from "next/link";
+
+// Our Firebase function for loading forks
+import { getForks, getOwnerId } from "@/src/lib/firebase/snippets";
+
+// Author names linking to their author pages
+import AuthorLink from "@/src/components/AuthorLink";
+
+// ============================================
+// SNIPPET FORKS COMPONENT
+// ============================================
+
+/**
+ * SnippetForks Component
+ * Shows how many times a snippet was forked and lists the forks
+ * the current user can see
+ *
+ * @param {Object} props
+ * @param {Object} props.snippet - The original snippet
+ * @param {Object} props.user - The signed-in Firebase user, if any
+ */
+export default function SnippetForks({ snippet, user }) {
+  // Forks visible to the current user
+  const [forks, setForks] = useState([]);
+
+  const forkCount = snippet.forkCount || 0;
+
+  useEffect(() => {
+    // Nothing to load for snippets that were never forked
+    if (!forkCount) {
+      setForks([]);
+      return;
+    }
+
+    // Ignore results of a load that was replaced by a newer one
+    let cancelled = false;
+
+    getForks(snippet.id, user?.uid)
+      .then((loaded) => {
+        if (!cancelled) {
+          setForks(loaded);
+        }
+      })
+      .catch((error) => {
+        console.error("Error fetching forks:", error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [snippet.id, forkCount, user?.uid]);
+
+  if (!forkCount) {
+    return null;
+  }
+
+  return (
+    <div className="snippet-forks">
+      <h3 className="snippet-forks-title">
+        🍴 {forkCount} {forkCount === 1 ? "fork" : "forks"}
+      </h3>
+
+      {/* Private forks of other users are not listed */}
+      {forks.length > 0 && (
+        <ul className="snippet-forks-list">
+          {forks.map((fork) => (
+            <li key={fork.id}>
+              <Link href={`/snippet/${fork.id}`} className="snippet-forks-link">
+                {fork.title}
+              </Link>
+              <span className="snippet-forks-meta">
+                {" "}
+                by <AuthorLink
+                  userId={getOwnerId(fork)}
+                  name={fork.author}
+                /> • {fork.createdAt?.toDate().toLocaleDateString()}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,368 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for state management
+import { useState } from "react";
+
+// Next.js link for the cancel button
+import Link from "next/link";
+
+// Tabbed editor for the snippet's files
+import FileTabsEditor from "@/src/components/FileTabsEditor";
+import { createEmptyFile, getDefaultFilename } from "@/src/lib/snippetFiles";
+
+// The rules every snippet must follow
+import {
+  SnippetValidationError,
+  parseTags,
+  validateSnippet,
+} from "@/src/lib/snippetSchema";
+
+// AI suggested title, description, languages, framework and tags
+import MetadataSuggestions from "@/src/components/MetadataSuggestions";
+
+// ============================================
+// DEFAULTS
+// ============================================
+
+// Values of a brand new snippet
+const EMPTY_SNIPPET = {
+  title: "",
+  description: "",
+  files: [createEmptyFile()],
+  framework: "",
+  tags: [],
+  visibility: "public",
+};
+
+// ============================================
+// SNIPPET FORM COMPONENT
+// ============================================
+
+/**
+ * SnippetForm Component
+ * The form for adding and editing snippets. Checks the fields against the
+ * snippet schema before saving and shows an error under each invalid
+ * field, including errors the data layer reports when saving
+ *
+ * @param {Object} props
+ * @param {Object} props.initialValues - The snippet to start from (title,
+ *   description, files, framework, tags array, visibility)
+ * @param {Function} props.onSubmit - Saves the snippet fields; may throw a
+ *   SnippetValidationError
+ * @param {string} props.submitLabel - Text of the save button
+ * @param {string} props.savingLabel - Text of the save button while saving
+ * @param {string} props.cancelHref - Where the cancel button goes
+ * @param {boolean} props.showSuggestions - Offer AI metadata suggestions
+ */
+export default function SnippetForm({
+  initialValues = EMPTY_SNIPPET,
+  onSubmit,
+  submitLabel = "Save Snippet",
+  savingLabel = "Saving...",
+  cancelHref = "/",
+  showSuggestions = false,
+}) {
+  // ============================================
+  // FORM STATE
+  // ============================================
+
+  const [formData, setFormData] = useState({
+    title: initialValues.title || "",
+    description: initialValues.description || "",
+    framework: initialValues.framework || "",
+    tags: (initialValues.tags || []).join(", "),
+    visibility: initialValues.visibility || "public",
+  });
+
+  // The snippet's files, edited as tabs
+  const [files, setFiles] = useState(initialValues.files);
+
+  const [saving, setSaving] = useState(false);
+
+  // One message per invalid field, plus "form" for errors not tied to one
+  const [errors, setErrors] = useState({});
+
+  // AI metadata suggestion, and whether one is being fetched
+  const [suggestion, setSuggestion] = useState(null);
+  const [suggesting, setSuggesting] = useState(false);
+
+  // ============================================
+  // FORM HANDLERS
+  // ============================================
+
+  // Clear a field's error once the user changes it
+  const clearError = (name) => {
+    setErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  // Handle input changes
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    clearError(name);
+  };
+
+  const handleFilesChange = (newFiles) => {
+    setFiles(newFiles);
+    clearError("files");
+  };
+
+  // Ask the AI to suggest metadata for the pasted code
+  const handleSuggest = async () => {
+    clearError("form");
+    setSuggesting(true);
+
+    try {
+      const response = await fetch("/api/suggest-metadata", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ files }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to suggest metadata");
+      }
+      setSuggestion(data);
+    } catch (err) {
+      console.error("Error suggesting metadata:", err);
+      setErrors((prev) => ({
+        ...prev,
+        form: err.message || "Failed to suggest metadata. Please try again.",
+      }));
+    } finally {
+      setSuggesting(false);
+    }
+  };
+
+  // Copy suggested fields into the form, where they can still be edited
+  const handleUseSuggestion = (fieldNames) => {
+    fieldNames.forEach((name) => {
+      if (name === "languages") {
+        // Keep default filenames' extensions in step with the language
+        handleFilesChange(
+          files.map((file, index) => {
+            const language = suggestion.languages[index] || file.language;
+            return {
+              ...file,
+              language,
+              filename:
+                file.filename === getDefaultFilename(file.language, index)
+                  ? getDefaultFilename(language, index)
+                  : file.filename,
+            };
+          })
+        );
+      } else {
+        setFormData((prev) => ({
+          ...prev,
+          [name]:
+            name === "tags" ? suggestion.tags.join(", ") : suggestion[name],
+        }));
+        clearError(name);
+      }
+    });
+  };
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { data, errors: fieldErrors } = validateSnippet({
+      title: formData.title,
+      description: formData.description,
+      files: files.map((file) => ({
+        ...file,
+        filename: file.filename.trim(),
+      })),
+      framework: formData.framework.trim() || null,
+      tags: parseTags(formData.tags),
+      visibility: formData.visibility,
+    });
+    if (fieldErrors) {
+      setErrors(fieldErrors);
+      return;
+    }
+
+    setErrors({});
+    setSaving(true);
+
+    try {
+      // The parent saves and navigates away, so saving stays on
+      await onSubmit(data);
+    } catch (err) {
+      console.error("Error saving snippet:", err);
+      setErrors(
+        err instanceof SnippetValidationError
+          ? err.errors
+          : { form: "Failed to save snippet. Please try again." }
+      );
+      setSaving(false);
+    }
+  };
+
+  // ============================================
+  // FIELD HELPERS
+  // ============================================
+
+  // Input class, marked invalid when the field has an error
+  const inputClass = (base, name) =>
+    errors[name] ? `${base} form-input-invalid` : base;
+
+  // The error message under a field, if it has one
+  const fieldError = (name) =>
+    errors[name] && (
+      <p className="form-field-error" role="alert">
+        {errors[name]}
+      </p>
+    );
+
+  // ============================================
+  // RENDER FORM
+  // ============================================
+
+  return (
+    <form onSubmit={handleSubmit} className="snippet-form" noValidate>
+      {/* Errors not tied to one field */}
+      {errors.form && <div className="error-message">{errors.form}</div>}
+
+      {/* Title Field */}
+      <div className="form-group">
+        <label className="form-label">
+          Title <span className="required-star">*</span>
+        </label>
+        <input
+          type="text"
+          name="title"
+          value={formData.title}
+          onChange={handleChange}
+          placeholder="e.g., React useState Hook Example"
+          className={inputClass("form-input", "title")}
+          aria-invalid={Boolean(errors.title)}
+        />
+        {fieldError("title")}
+      </div>
+
+      {/* Description Field */}
+      <div className="form-group">
+        <label className="form-label">Description</label>
+        <textarea
+          name="description"
+          value={formData.description}
+          onChange={handleChange}
+          placeholder="Brief description of what this code does..."
+          rows="3"
+          className={inputClass("form-textarea", "description")}
+          aria-invalid={Boolean(errors.description)}
+        />
+        {fieldError("description")}
+      </div>
+
+      {/* Files */}
+      <div className="form-group">
+        <label className="form-label">
+          Files <span className="required-star">*</span>
+        </label>
+        <FileTabsEditor files={files} onChange={handleFilesChange} />
+        {fieldError("files")}
+
+        {/* Fill in the fields below from the code */}
+        {showSuggestions && (
+          <button
+            type="button"
+            onClick={handleSuggest}
+            disabled={suggesting || files.every((file) => !file.code.trim())}
+            className="suggest-metadata-button"
+          >
+            {suggesting ? "Suggesting..." : "✨ Suggest metadata"}
+          </button>
+        )}
+
+        {suggestion && (
+          <MetadataSuggestions
+            suggestion={suggestion}
+            current={{
+              title: formData.title,
+              description: formData.description,
+              languages: files.map((file) => file.language),
+              framework: formData.framework,
+              tags: parseTags(formData.tags),
+            }}
+            filenames={files.map((file) => file.filename)}
+            onUse={handleUseSuggestion}
+            onDismiss={() => setSuggestion(null)}
+          />
+        )}
+      </div>
+
+      {/* Framework Field */}
+      <div className="form-group">
+        <label className="form-label">Framework (Optional)</label>
+        <input
+          type="text"
+          name="framework"
+          value={formData.framework}
+          onChange={handleChange}
+          placeholder="e.g., React, Vue, Django"
+          className={inputClass("form-input", "framework")}
+          aria-invalid={Boolean(errors.framework)}
+        />
+        {fieldError("framework")}
+      </div>
+
+      {/* Tags Field */}
+      <div className="form-group">
+        <label className="form-label">Tags (comma-separated)</label>
+        <input
+          type="text"
+          name="tags"
+          value={formData.tags}
+          onChange={handleChange}
+          placeholder="e.g., hooks, state, beginner"
+          className={inputClass("form-input", "tags")}
+          aria-invalid={Boolean(errors.tags)}
+        />
+        {fieldError("tags") || (
+          <p className="form-helper-text">
+            Separate tags with commas; spaces become dashes
+          </p>
+        )}
+      </div>
+
+      {/* Visibility Field */}
+      <div className="form-group">
+        <label className="form-label">Visibility</label>
+        <select
+          name="visibility"
+          value={formData.visibility}
+          onChange={handleChange}
+          className={inputClass("form-select", "visibility")}
+        >
+          <option value="public">Public (visible to everyone)</option>
+          <option value="unlisted">
+            Unlisted (only people with the share link)
+          </option>
+          <option value="private">Private (only you)</option>
+        </select>
+        {fieldError("visibility")}
+      </div>
+
+      {/* Form Buttons */}
+      <div className="form-buttons">
+        <button type="submit" disabled={saving} className="form-button-primary">
+          {saving ? savingLabel : submitLabel}
+        </button>
+
+        <Link href={cancelHref} className="form-button-secondary">
+          Cancel
+        </Link>
+      </div>
+    </form>
+  );
+}
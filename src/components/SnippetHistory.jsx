@@ -0,0 +1,253 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for state and side effects
+import { useEffect, useState } from "react";
+
+// Our Firebase functions for reading and restoring revisions
+import {
+  getRevisions,
+  restoreRevision,
+  REVISION_FIELDS,
+} from "@/src/lib/firebase/snippets";
+
+// Helpers for diffing every file of a snippet at once
+import { filesToText, getSnippetFiles } from "@/src/lib/snippetFiles";
+
+// Line diff view
+import DiffView from "@/src/components/DiffView";
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Formats a revision field for display in the metadata changes list
+ */
+function formatField(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(", ") : "(none)";
+  }
+  return value || "(none)";
+}
+
+// ============================================
+// SNIPPET HISTORY COMPONENT
+// ============================================
+
+/**
+ * SnippetHistory Component
+ * Lists every saved revision of a snippet, shows a diff between any two
+ * revisions and lets the owner restore an earlier one
+ *
+ * @param {Object} props
+ * @param {string} props.snippetId - The snippet whose history to show
+ * @param {boolean} props.isOwner - Whether the current user owns the snippet
+ * @param {Function} props.onRestored - Called with the restored fields after a restore
+ */
+export default function SnippetHistory({ snippetId, isOwner, onRestored }) {
+  // All revisions, newest first
+  const [revisions, setRevisions] = useState([]);
+
+  // The two revisions being compared (base is older, compare is newer)
+  const [baseId, setBaseId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+
+  // Side by side ("split") or single column ("unified") diff
+  const [mode, setMode] = useState("split");
+
+  // ID of the revision currently being restored
+  const [restoringId, setRestoringId] = useState(null);
+
+  // ============================================
+  // SUBSCRIBE TO REVISIONS
+  // ============================================
+
+  useEffect(() => {
+    return getRevisions(snippetId, (loaded) => {
+      setRevisions(loaded);
+
+      // Compare the two newest revisions by default
+      setCompareId((prev) => prev || loaded[0]?.id || null);
+      setBaseId((prev) => prev || loaded[1]?.id || null);
+    });
+  }, [snippetId]);
+
+  const base = revisions.find((revision) => revision.id === baseId);
+  const compare = revisions.find((revision) => revision.id === compareId);
+
+  // Metadata fields that differ between the two selected revisions
+  const changedFields =
+    base && compare
+      ? REVISION_FIELDS.filter(
+          (field) =>
+            field !== "code" &&
+            field !== "files" &&
+            formatField(base[field]) !== formatField(compare[field])
+        )
+      : [];
+
+  // ============================================
+  // RESTORE HANDLER
+  // ============================================
+
+  /**
+   * Restores a revision after confirmation
+   * The restore becomes the newest revision
+   */
+  const handleRestore = async (revision) => {
+    if (
+      !confirm(
+        `Restore the version from ${revision.createdAt
+          ?.toDate()
+          .toLocaleString()}? This will be saved as a new version.`
+      )
+    ) {
+      return;
+    }
+
+    setRestoringId(revision.id);
+    try {
+      const restored = await restoreRevision(snippetId, revision);
+      onRestored(restored);
+
+      // Show what the restore changed compared to the previous version
+      setBaseId(revisions[0]?.id || null);
+      setCompareId(null);
+    } catch (error) {
+      console.error("Error restoring revision:", error);
+      alert("Failed to restore this version. Please try again.");
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  // ============================================
+  // RENDER
+  // ============================================
+
+  return (
+    <div className="history-panel">
+      <div className="history-header">
+        <h3 className="history-title">🕘 Version History</h3>
+
+        {/* Diff mode toggle */}
+        <div className="history-mode-toggle">
+          <button
+            onClick={() => setMode("split")}
+            className={`history-mode-button ${
+              mode === "split" ? "history-mode-button-active" : ""
+            }`}
+          >
+            Side by side
+          </button>
+          <button
+            onClick={() => setMode("unified")}
+            className={`history-mode-button ${
+              mode === "unified" ? "history-mode-button-active" : ""
+            }`}
+          >
+            Inline
+          </button>
+        </div>
+      </div>
+
+      {/* Revision list */}
+      <table className="history-table">
+        <thead>
+          <tr>
+            <th title="Compare from">A</th>
+            <th title="Compare to">B</th>
+            <th>Saved</th>
+            <th>Editor</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {revisions.map((revision, index) => (
+            <tr key={revision.id}>
+              <td>
+                <input
+                  type="radio"
+                  name="history-base"
+                  checked={baseId === revision.id}
+                  onChange={() => setBaseId(revision.id)}
+                  aria-label="Compare from this version"
+                />
+              </td>
+              <td>
+                <input
+                  type="radio"
+                  name="history-compare"
+                  checked={compareId === revision.id}
+                  onChange={() => setCompareId(revision.id)}
+                  aria-label="Compare to this version"
+                />
+              </td>
+              <td>
+                {revision.createdAt?.toDate().toLocaleString()}
+                {index === 0 && (
+                  <span className="history-current-badge">Current</span>
+                )}
+                {revision.restoredFrom && (
+                  <span className="history-restored-note">(restored)</span>
+                )}
+              </td>
+              <td>{revision.editorName}</td>
+              <td>
+                {/* Restore - only for the owner, and not for the current version */}
+                {isOwner && index > 0 && (
+                  <button
+                    onClick={() => handleRestore(revision)}
+                    disabled={restoringId !== null}
+                    className="history-restore-button"
+                  >
+                    {restoringId === revision.id ? "Restoring..." : "Restore"}
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Comparison */}
+      {base && compare ? (
+        <div className="history-comparison">
+          {changedFields.length > 0 && (
+            <ul className="history-field-changes">
+              {changedFields.map((field) => (
+                <li key={field}>
+                  <strong>{field}:</strong>{" "}
+                  <span className="diff-line-removed">
+                    {formatField(base[field])}
+                  </span>{" "}
+                  →{" "}
+                  <span className="diff-line-added">
+                    {formatField(compare[field])}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+          <DiffView
+            oldText={filesToText(getSnippetFiles(base))}
+            newText={filesToText(getSnippetFiles(compare))}
+            oldLabel={`A: ${base.createdAt?.toDate().toLocaleString()}`}
+            newLabel={`B: ${compare.createdAt?.toDate().toLocaleString()}`}
+            mode={mode}
+          />
+        </div>
+      ) : (
+        <p className="history-help">
+          {revisions.length < 2
+            ? "This snippet has only one version so far."
+            : "Pick two versions (A and B) to compare."}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,467 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for state
+import { useState } from "react";
+
+// Next.js Link component for navigation
+import Link from "next/link";
+
+// Firebase auth to get current user
+import { useAuthState } from "react-firebase-hooks/auth";
+import { auth } from "@/src/lib/firebase/clientApp";
+
+// Our Firebase function to add the snippets
+import { importSnippets } from "@/src/lib/firebase/snippets";
+import { getDisplayName } from "@/src/lib/firebase/users";
+
+// Reading import files into drafts, and checking them
+import {
+  IMPORT_ACCEPT,
+  draftToSnippet,
+  readImportFiles,
+  setDraftLanguage,
+} from "@/src/lib/snippetImport";
+import {
+  isValidTag,
+  parseTags,
+  validateSnippet,
+} from "@/src/lib/snippetSchema";
+import { LANGUAGE_NAMES } from "@/src/lib/languages";
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * The first error of a draft, as the data layer would report it
+ *
+ * @param {Object} draft - The draft, as edited in the preview
+ * @param {string} visibility - The visibility it will be imported with
+ * @returns {string|null} The error message, or null if it can be imported
+ */
+function getDraftError(draft, visibility) {
+  const { errors } = validateSnippet({
+    ...draftToSnippet(draft),
+    visibility,
+  });
+  return errors ? Object.values(errors)[0] : null;
+}
+
+// ============================================
+// SNIPPET IMPORT COMPONENT
+// ============================================
+
+/**
+ * SnippetImport Component
+ * Reads VS Code snippet files, gists, zips of source files and Markdown
+ * files, lets the user check and edit each snippet found, then saves them
+ * all with the chosen visibility and a report of what failed
+ */
+export default function SnippetImport() {
+  // Get current authenticated user
+  const [user, loadingUser] = useAuthState(auth);
+
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  // Snippets read from the chosen files, each with an include checkbox
+  const [drafts, setDrafts] = useState([]);
+  const [skipped, setSkipped] = useState([]);
+  const [reading, setReading] = useState(false);
+
+  // Tags added to every imported snippet, and the visibility they all get
+  const [extraTags, setExtraTags] = useState("");
+  const [visibility, setVisibility] = useState("private");
+
+  // Progress and outcome of the import
+  const [progress, setProgress] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  const includedDrafts = drafts.filter((draft) => draft.included);
+  const importing = progress !== null;
+
+  // ============================================
+  // READING FILES
+  // ============================================
+
+  /**
+   * Reads the chosen files into drafts for the preview
+   */
+  const handleFilesChange = async (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length === 0) {
+      return;
+    }
+
+    setReading(true);
+    setError(null);
+    setReport(null);
+    try {
+      const result = await readImportFiles(files);
+      setDrafts(
+        result.drafts.map((draft, index) => ({
+          ...draft,
+          key: index,
+          included: true,
+        }))
+      );
+      setSkipped(result.skipped);
+    } catch (err) {
+      console.error("Error reading import files:", err);
+      setError("Failed to read the files. Please check them and try again.");
+    } finally {
+      setReading(false);
+    }
+  };
+
+  // ============================================
+  // EDITING DRAFTS
+  // ============================================
+
+  /**
+   * Changes one draft
+   *
+   * @param {number} key - The draft's key
+   * @param {Function} change - Returns the changed draft
+   */
+  const updateDraft = (key, change) => {
+    setDrafts((prev) =>
+      prev.map((draft) => (draft.key === key ? change(draft) : draft))
+    );
+  };
+
+  /**
+   * Includes every draft, or none if they are all included
+   */
+  const toggleAll = () => {
+    const include = includedDrafts.length < drafts.length;
+    setDrafts((prev) => prev.map((draft) => ({ ...draft, included: include })));
+  };
+
+  // ============================================
+  // IMPORTING
+  // ============================================
+
+  /**
+   * Saves the included drafts and reports how it went
+   */
+  const handleImport = async () => {
+    const tags = parseTags(extraTags);
+    const invalid = tags.find((tag) => !isValidTag(tag));
+    if (invalid) {
+      setError(`"${invalid}" isn't a valid tag`);
+      return;
+    }
+
+    setError(null);
+    setReport(null);
+    setProgress(0);
+    try {
+      const results = await importSnippets(
+        includedDrafts.map((draft) => ({
+          ...draftToSnippet(draft, tags),
+          visibility,
+          author: getDisplayName(user),
+          ownerId: user.uid,
+        })),
+        setProgress
+      );
+
+      const failed = [];
+      results.forEach((result, index) => {
+        if (result.error) {
+          failed.push({ draft: includedDrafts[index], message: result.error });
+        }
+      });
+      setReport({ imported: results.length - failed.length, failed });
+
+      // Only the snippets that failed stay in the preview, to fix and retry
+      setDrafts((prev) =>
+        prev.filter(
+          (draft) =>
+            !draft.included || failed.some((item) => item.draft === draft)
+        )
+      );
+    } catch (err) {
+      console.error("Error importing snippets:", err);
+      setError(`Failed: ${err.message}`);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  // ============================================
+  // RENDER: LOADING STATE
+  // ============================================
+
+  if (loadingUser) {
+    return (
+      <div className="loading-state">
+        <div className="loading-text">Loading...</div>
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER: NOT AUTHENTICATED STATE
+  // ============================================
+
+  if (!user) {
+    return (
+      <div className="not-authenticated-warning">
+        <div className="warning-box">
+          <p className="warning-title">Please sign in to import snippets</p>
+          <p className="warning-text">
+            You need to be logged in to create code snippets.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER: IMPORT
+  // ============================================
+
+  return (
+    <div className="language-snippets-container">
+      <Link href="/me" className="back-link">
+        ← Back to My Snippets
+      </Link>
+
+      <h1 className="author-section-title">Import Snippets</h1>
+      <p className="import-help">
+        Choose VS Code snippet files (<code>.code-snippets</code> or a
+        language&apos;s <code>.json</code>), gists saved from the GitHub API, a{" "}
+        <code>.zip</code> of source files, Markdown files with fenced code
+        blocks, or source files. Imported snippets are private unless you choose
+        otherwise below, and can be published later from My Snippets.
+      </p>
+
+      {/* File Picker */}
+      <input
+        type="file"
+        multiple
+        accept={IMPORT_ACCEPT}
+        onChange={handleFilesChange}
+        disabled={reading || importing}
+        className="import-file-input"
+      />
+      {reading && <div className="loading-text">Reading files...</div>}
+
+      {error && <div className="error-message">{error}</div>}
+
+      {/* Import Report */}
+      {report && (
+        <div
+          className={
+            report.failed.length > 0 ? "error-message" : "dashboard-result"
+          }
+        >
+          Imported {report.imported}{" "}
+          {report.imported === 1 ? "snippet" : "snippets"}.{" "}
+          {report.imported > 0 && (
+            <Link href="/me">Review them in My Snippets.</Link>
+          )}
+          {report.failed.length > 0 && (
+            <ul className="import-report-list">
+              {report.failed.map(({ draft, message }) => (
+                <li key={draft.key}>
+                  &quot;{draft.title}&quot;: {message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Items That Couldn't Be Read */}
+      {skipped.length > 0 && (
+        <details className="import-skipped">
+          <summary>
+            {skipped.length} {skipped.length === 1 ? "item" : "items"} skipped
+          </summary>
+          <ul>
+            {skipped.map((message, index) => (
+              <li key={index}>{message}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {/* Preview */}
+      {drafts.length > 0 && (
+        <>
+          <div className="dashboard-bulk-actions">
+            <span className="dashboard-selected-count">
+              {includedDrafts.length} of {drafts.length} selected
+            </span>
+
+            <div className="dashboard-bulk-action">
+              <input
+                type="text"
+                value={extraTags}
+                onChange={(e) => setExtraTags(e.target.value)}
+                placeholder="Tags for all, e.g. imported"
+                className="form-input"
+              />
+            </div>
+
+            <div className="dashboard-bulk-action">
+              <select
+                value={visibility}
+                onChange={(e) => setVisibility(e.target.value)}
+                disabled={importing}
+                className="form-select"
+                aria-label="Visibility of the imported snippets"
+              >
+                <option value="private">Private (only you)</option>
+                <option value="unlisted">
+                  Unlisted (only people with the share link)
+                </option>
+                <option value="public">Public (visible to everyone)</option>
+              </select>
+            </div>
+
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={includedDrafts.length === 0 || importing}
+              className="form-button-primary"
+            >
+              {importing
+                ? `Importing... ${progress} of ${includedDrafts.length}`
+                : `Import ${includedDrafts.length} ${
+                    includedDrafts.length === 1 ? "snippet" : "snippets"
+                  }`}
+            </button>
+          </div>
+
+          {importing && (
+            <progress
+              value={progress}
+              max={includedDrafts.length}
+              className="import-progress"
+            />
+          )}
+
+          <table className="dashboard-table import-preview">
+            <thead>
+              <tr>
+                <th>
+                  <input
+                    type="checkbox"
+                    checked={includedDrafts.length === drafts.length}
+                    onChange={toggleAll}
+                    disabled={importing}
+                    aria-label="Select all snippets"
+                  />
+                </th>
+                <th>Title</th>
+                <th>Language</th>
+                <th>Tags</th>
+                <th>Code</th>
+              </tr>
+            </thead>
+            <tbody>
+              {drafts.map((draft) => {
+                const draftError = getDraftError(draft, visibility);
+                const [mainFile] = draft.files;
+
+                return (
+                  <tr key={draft.key}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={draft.included}
+                        onChange={() =>
+                          updateDraft(draft.key, (current) => ({
+                            ...current,
+                            included: !current.included,
+                          }))
+                        }
+                        disabled={importing}
+                        aria-label={`Import ${draft.title}`}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        value={draft.title}
+                        onChange={(e) =>
+                          updateDraft(draft.key, (current) => ({
+                            ...current,
+                            title: e.target.value,
+                          }))
+                        }
+                        disabled={importing}
+                        className="form-input"
+                      />
+                      <span className="dashboard-tags">
+                        from {draft.source}
+                      </span>
+                      {draftError && (
+                        <span className="import-draft-error">{draftError}</span>
+                      )}
+                    </td>
+                    <td>
+                      <select
+                        value={mainFile.language}
+                        onChange={(e) =>
+                          updateDraft(draft.key, (current) =>
+                            setDraftLanguage(current, e.target.value)
+                          )
+                        }
+                        disabled={importing}
+                        className="form-select"
+                      >
+                        <option value="">Choose a language</option>
+                        {LANGUAGE_NAMES.map((name) => (
+                          <option key={name} value={name}>
+                            {name}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        value={draft.tagsText}
+                        onChange={(e) =>
+                          updateDraft(draft.key, (current) => ({
+                            ...current,
+                            tagsText: e.target.value,
+                          }))
+                        }
+                        placeholder="tag-one, tag-two"
+                        disabled={importing}
+                        className="form-input"
+                      />
+                    </td>
+                    <td>
+                      <pre className="import-code-preview">
+                        {mainFile.code.split("\n").slice(0, 3).join("\n")}
+                      </pre>
+                      {draft.files.length > 1 && (
+                        <span className="dashboard-tags">
+                          + {draft.files.length - 1} more{" "}
+                          {draft.files.length === 2 ? "file" : "files"}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
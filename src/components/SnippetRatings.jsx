@@ -0,0 +1,257 @@
+"use client";
+
+// ============================================
+// IMPORTS
+// ============================================
+
+// React hooks for state and side effects
+import { useEffect, useState } from "react";
+
+// Our Firebase functions for reading and writing ratings
+import {
+  getSnippetRatings,
+  setSnippetRating,
+  deleteSnippetRating,
+  MAX_RATING,
+  MAX_REVIEW_LENGTH,
+} from "@/src/lib/firebase/ratings";
+
+// ============================================
+// STAR HELPERS
+// ============================================
+
+// Array of star values [1, 2, 3, 4, 5] used to render star rows
+const STAR_VALUES = Array.from({ length: MAX_RATING }, (_, i) => i + 1);
+
+/**
+ * Read-only row of stars for a rating value
+ *
+ * @param {number} value - Rating to display (may be fractional)
+ */
+function Stars({ value }) {
+  return (
+    <span
+      className="rating-stars"
+      aria-label={`${value} out of ${MAX_RATING} stars`}
+    >
+      {STAR_VALUES.map((star) => (
+        <span
+          key={star}
+          className={
+            star <= Math.round(value)
+              ? "rating-star-filled"
+              : "rating-star-empty"
+          }
+        >
+          ★
+        </span>
+      ))}
+    </span>
+  );
+}
+
+// ============================================
+// SNIPPET RATINGS COMPONENT
+// ============================================
+
+/**
+ * SnippetRatings Component
+ * Shows the average rating and reviews of a snippet, and lets the
+ * signed-in user add, edit or withdraw their own rating
+ *
+ * @param {Object} props
+ * @param {Object} props.snippet - The snippet being rated (needs id, rating, numRatings)
+ * @param {Object|null} props.user - The signed-in Firebase user, if any
+ */
+export default function SnippetRatings({ snippet, user }) {
+  // All ratings for this snippet, newest first
+  const [ratings, setRatings] = useState([]);
+
+  // Form state for the current user's rating
+  const [selectedRating, setSelectedRating] = useState(0);
+  const [reviewText, setReviewText] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  // ============================================
+  // SUBSCRIBE TO RATINGS
+  // ============================================
+
+  useEffect(() => {
+    return getSnippetRatings(snippet.id, setRatings);
+  }, [snippet.id]);
+
+  // The current user's existing rating, if they have one
+  const myRating = user
+    ? ratings.find((rating) => rating.userId === user.uid)
+    : null;
+
+  const myRatingValue = myRating ? myRating.rating : 0;
+  const myReviewText = myRating ? myRating.text : "";
+
+  // Pre-fill the form when the user's existing rating loads
+  useEffect(() => {
+    setSelectedRating(myRatingValue);
+    setReviewText(myReviewText);
+  }, [myRatingValue, myReviewText]);
+
+  // Average and count come from the ratings themselves so they update live
+  const numRatings = ratings.length;
+  const averageRating =
+    numRatings === 0
+      ? 0
+      : ratings.reduce((sum, rating) => sum + rating.rating, 0) / numRatings;
+
+  // ============================================
+  // HANDLERS
+  // ============================================
+
+  /**
+   * Saves the selected rating and review text
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (!selectedRating) {
+      setError("Please pick a star rating");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await setSnippetRating(snippet.id, user, {
+        rating: selectedRating,
+        text: reviewText,
+      });
+    } catch (err) {
+      console.error("Error saving rating:", err);
+      setError("Failed to save your rating. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Removes the current user's rating
+   */
+  const handleWithdraw = async () => {
+    setError("");
+    setSaving(true);
+    try {
+      await deleteSnippetRating(snippet.id, user.uid);
+    } catch (err) {
+      console.error("Error withdrawing rating:", err);
+      setError("Failed to withdraw your rating. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ============================================
+  // RENDER
+  // ============================================
+
+  return (
+    <div className="ratings-section">
+      {/* Summary */}
+      <div className="ratings-summary">
+        <h3 className="ratings-title">Ratings &amp; Reviews</h3>
+        <div className="ratings-average">
+          <Stars value={averageRating} />
+          <span className="ratings-average-text">
+            {numRatings === 0
+              ? "No ratings yet"
+              : `${averageRating.toFixed(1)} (${numRatings} ${
+                  numRatings === 1 ? "rating" : "ratings"
+                })`}
+          </span>
+        </div>
+      </div>
+
+      {/* Rating Form - only for signed-in users */}
+      {user ? (
+        <form onSubmit={handleSubmit} className="rating-form">
+          <div
+            className="rating-picker"
+            role="radiogroup"
+            aria-label="Your rating"
+          >
+            {STAR_VALUES.map((star) => (
+              <button
+                key={star}
+                type="button"
+                role="radio"
+                aria-checked={selectedRating === star}
+                aria-label={`${star} ${star === 1 ? "star" : "stars"}`}
+                onClick={() => setSelectedRating(star)}
+                className={`rating-picker-star ${
+                  star <= selectedRating
+                    ? "rating-star-filled"
+                    : "rating-star-empty"
+                }`}
+              >
+                ★
+              </button>
+            ))}
+          </div>
+
+          <textarea
+            value={reviewText}
+            onChange={(e) => setReviewText(e.target.value)}
+            placeholder="Write an optional review..."
+            rows={3}
+            maxLength={MAX_REVIEW_LENGTH}
+            className="form-textarea"
+          />
+
+          {error && <div className="error-message">{error}</div>}
+
+          <div className="rating-form-buttons">
+            <button
+              type="submit"
+              disabled={saving}
+              className="rating-save-button"
+            >
+              {saving
+                ? "Saving..."
+                : myRating
+                  ? "Update Rating"
+                  : "Submit Rating"}
+            </button>
+            {myRating && (
+              <button
+                type="button"
+                onClick={handleWithdraw}
+                disabled={saving}
+                className="rating-withdraw-button"
+              >
+                Withdraw
+              </button>
+            )}
+          </div>
+        </form>
+      ) : (
+        <p className="ratings-signin-text">Sign in to rate this snippet.</p>
+      )}
+
+      {/* Reviews List */}
+      {ratings.length > 0 && (
+        <ul className="reviews-list">
+          {ratings.map((rating) => (
+            <li key={rating.id} className="review-item">
+              <div className="review-header">
+                <Stars value={rating.rating} />
+                <span className="review-author">{rating.userName}</span>
+                <span className="review-date">
+                  {rating.updatedAt?.toDate().toLocaleDateString()}
+                </span>
+              </div>
+              {rating.text && <p className="review-text">{rating.text}</p>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+// Streaming code explanations
+// Runs the model for POST /api/explain-code and streams its answer as
+// newline-delimited JSON messages (see readExplanationStream for the types)
+import "server-only";
+
+import { generateStream, isSchemaError } from "@/src/lib/ai";
+import { buildExplainPrompt } from "@/src/lib/ai/prompts";
+import {
+  ExplanationSchema,
+  EXPLANATION_STREAM_TYPE,
+} from "@/src/lib/explanation";
+
+/**
+ * Creates a streamed response of newline-delimited JSON messages
+ * Anything produce throws is reported as an error message, since the
+ * headers have already been sent by then
+ *
+ * @param {Function} produce - Async function called with send(message)
+ * @returns {Response} The streamed response
+ */
+export function createMessageStream(produce) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    async start(controller) {
+      const send = (message) =>
+        controller.enqueue(encoder.encode(JSON.stringify(message) + "\n"));
+
+      try {
+        await produce(send);
+      } catch (error) {
+        console.error("Error explaining code:", error);
+        send({
+          type: "error",
+          error: "Failed to explain code. Please try again.",
+        });
+      } finally {
+        controller.close();
+      }
+    },
+  });
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": EXPLANATION_STREAM_TYPE,
+      "Cache-Control": "no-cache",
+    },
+  });
+}
+
+/**
+ * Explains a snippet with the configured model, streaming the explanation
+ * as it is generated
+ * Only an explanation that matches ExplanationSchema is saved and sent as
+ * done; a model failure or an incomplete answer ends with an error message
+ *
+ * @param {Array<Object>} files - The snippet's files
+ * @param {Function} save - Async function called with the finished
+ *   explanation to cache it, returning when it was generated
+ * @returns {Response} The streamed response
+ */
+export function streamExplanation(files, save) {
+  // Ask for output matching our schema; chunks carry the partial result
+  const { stream, response } = generateStream({
+    prompt: buildExplainPrompt(files),
+    output: { schema: ExplanationSchema },
+    config: {
+      temperature: 0.7, // Balance between creativity and consistency
+      maxOutputTokens: 2000, // Room for the structured fields (~1500 words)
+    },
+  });
+
+  return createMessageStream(async (send) => {
+    // Send the explanation so far as each chunk arrives, then check the
+    // finished one against the schema (Genkit checks it too, and ends the
+    // stream with an error if it doesn't match)
+    let result;
+    try {
+      for await (const chunk of stream) {
+        if (chunk.output) {
+          send({ type: "partial", explanation: chunk.output });
+        }
+      }
+      result = ExplanationSchema.safeParse((await response).output);
+    } catch (error) {
+      if (!isSchemaError(error)) {
+        throw error;
+      }
+      result = { success: false, error };
+    }
+    if (!result.success) {
+      console.error("Invalid explanation from model:", result.error);
+      send({
+        type: "error",
+        error: "The explanation was incomplete. Please try again.",
+      });
+      return;
+    }
+
+    // A broken cache shouldn't stop us sending the explanation
+    let generatedAt = new Date();
+    try {
+      generatedAt = await save(result.data);
+    } catch (error) {
+      console.error("Error caching explanation:", error);
+    }
+
+    send({
+      type: "done",
+      explanation: result.data,
+      cached: false,
+      generatedAt: generatedAt.toISOString(),
+    });
+  });
+}
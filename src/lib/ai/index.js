@@ -0,0 +1,92 @@
+// AI provider layer used by every AI feature
+// All calls go through one Genkit instance whose model is picked by the
+// AI_PROVIDER environment variable:
+//   googleai          - Gemini 2.0 Flash (default, needs GEMINI_API_KEY)
+//   mock              - deterministic local model, no network needed
+//   openai-compatible - an OpenAI-style chat completions endpoint
+import "server-only";
+
+import { genkit } from "genkit";
+
+import googleAiProvider from "@/src/lib/ai/providers/googleai";
+import mockProvider from "@/src/lib/ai/providers/mock";
+import openaiCompatibleProvider from "@/src/lib/ai/providers/openaiCompatible";
+
+// Providers by AI_PROVIDER value
+// Each gives the Genkit plugins it needs and the model to generate with
+const PROVIDERS = {
+  googleai: googleAiProvider,
+  mock: mockProvider,
+  "openai-compatible": openaiCompatibleProvider,
+};
+
+// The configured provider name
+export const AI_PROVIDER = process.env.AI_PROVIDER || "googleai";
+
+/**
+ * Create the Genkit instance and model for the configured provider
+ * @returns {{ai: Object, model: Object}} Genkit instance and model
+ */
+function createAi() {
+  const provider = PROVIDERS[AI_PROVIDER];
+  if (!provider) {
+    throw new Error(
+      `Unknown AI_PROVIDER "${AI_PROVIDER}". Use one of: ${Object.keys(PROVIDERS).join(", ")}`
+    );
+  }
+
+  const ai = genkit({ plugins: provider.plugins() });
+  return { ai, model: provider.defineModel(ai) };
+}
+
+const { ai, model } = createAi();
+
+/**
+ * Generate a complete response
+ * @param {Object} options - Genkit generate options (prompt, output, config...)
+ * @returns {Promise<Object>} Genkit response (use .text or .output)
+ */
+export function generate(options) {
+  return ai.generate({ model, ...options });
+}
+
+/**
+ * Generate a structured response and check it against its schema
+ * Genkit rejects output that doesn't match the schema itself, which is
+ * reported here like any other mismatch
+ * @param {Object} options - Genkit generate options, with output.schema
+ * @returns {Promise<Object>} The schema's safeParse result: success, and
+ *   data or error
+ */
+export async function generateOutput(options) {
+  try {
+    const { output } = await generate(options);
+    return options.output.schema.safeParse(output);
+  } catch (error) {
+    if (!isSchemaError(error)) {
+      throw error;
+    }
+    return { success: false, error };
+  }
+}
+
+/**
+ * Generate a response as a stream of chunks
+ * @param {Object} options - Genkit generate options (prompt, output, config...)
+ * @returns {{stream: AsyncIterable, response: Promise<Object>}} Chunks as they
+ *   arrive (each has .output so far) and the complete response
+ */
+export function generateStream(options) {
+  return ai.generateStream({ model, ...options });
+}
+
+/**
+ * Whether Genkit rejected the model's output for not matching its schema
+ * Checked by shape rather than instanceof ValidationError, since Genkit's
+ * CommonJS and ES module builds each have their own copy of the class
+ * @param {Error} error - The error from a generate call or its stream
+ * @returns {boolean} True for a schema validation error
+ */
+export function isSchemaError(error) {
+  return error?.status === "INVALID_ARGUMENT" && Boolean(error.detail?.errors);
+}
@@ -0,0 +1,124 @@
+// Prompt templates for the AI features
+// Kept on the server so clients can only pick an action, not write prompts
+import "server-only";
+
+/**
+ * Formats the files of a snippet for a prompt
+ *
+ * @param {Array<Object>} files - The snippet's files
+ * @param {Object} options
+ * @param {boolean} options.lineNumbers - Number each line so the model can
+ *   point at line ranges
+ * @returns {string} The files as code blocks
+ */
+export function formatFilesForPrompt(files, { lineNumbers = false } = {}) {
+  return files
+    .map((file) => {
+      const code = lineNumbers
+        ? file.code
+            .split("\n")
+            .map((line, index) => `${index + 1}: ${line}`)
+            .join("\n")
+        : file.code;
+      return `File: ${file.filename}\n\`\`\`${file.language || ""}\n${code}\n\`\`\``;
+    })
+    .join("\n\n");
+}
+
+// Instructions for each code action, by action ID
+// The shape of the answer comes from CodeActionResultSchema
+const CODE_ACTION_INSTRUCTIONS = {
+  refactor: () => `
+Refactor the following code to make it cleaner, more readable and more idiomatic
+without changing what it does. Keep the same files and filenames, in the same order.
+In the notes, list the changes you made and why each one helps.`,
+
+  "add-comments": () => `
+Add documentation comments to the following code in the usual style for each
+language (e.g. JSDoc, docstrings, Javadoc): one for every function, class and
+module, plus short comments on lines that are hard to follow.
+Do not change the code itself. Keep the same files and filenames, in the same order.
+In the notes, summarize what you documented.`,
+
+  "write-tests": () => `
+Write unit tests for the following code using the most common test framework
+for its language. Return the original files unchanged and in the same order,
+followed by one or more new test files named the usual way for that framework.
+In the notes, say which framework the tests use, how to run them and what they cover.`,
+
+  "find-bugs": () => `
+Review the following code for bugs and security issues (e.g. injection,
+unchecked input, race conditions, resource leaks, off-by-one errors).
+Return the files with every problem fixed. Keep the same files and filenames,
+in the same order, and change nothing that isn't a fix.
+In the notes, list each problem you found with its severity and how you fixed it.
+If there are no problems, return the files unchanged and say so.`,
+
+  convert: ({ targetLanguage }) => `
+Convert the following code to ${targetLanguage}, keeping its behavior and structure
+and using idiomatic ${targetLanguage}. Return one ${targetLanguage} file for each
+original file, in the same order, with the usual file extension for ${targetLanguage}.
+In the notes, point out anything that works differently in ${targetLanguage}.`,
+};
+
+/**
+ * Builds the prompt for a code action
+ *
+ * @param {string} actionId - ID of one of CODE_ACTIONS
+ * @param {Array<Object>} files - The snippet's files
+ * @param {Object} options - Action options, e.g. { targetLanguage }
+ * @returns {string} The prompt
+ */
+export function buildCodeActionPrompt(actionId, files, options = {}) {
+  return `
+You are an expert software engineer.
+${CODE_ACTION_INSTRUCTIONS[actionId](options).trim()}
+
+${formatFilesForPrompt(files)}
+
+Return the complete contents of every file, not just the changed parts.
+`;
+}
+
+/**
+ * Builds the prompt for suggesting a new snippet's metadata
+ * The shape of the answer comes from MetadataSuggestionSchema
+ *
+ * @param {Array<Object>} files - The files pasted into the add snippet form
+ * @returns {string} The prompt
+ */
+export function buildMetadataPrompt(files) {
+  return `
+You are helping a developer share a code snippet. Read the following code and suggest:
+1. A short, specific title (e.g. "Debounce hook for React inputs", not "Code")
+2. A one or two sentence description of what it does and when to use it
+3. The language of each file, in order (the languages given may be wrong)
+4. The main framework or library it uses, if any (e.g. React, Django, Express)
+5. A few short lowercase tags for searching (e.g. "hooks", "async", "sorting")
+
+${formatFilesForPrompt(files)}
+`;
+}
+
+/**
+ * Builds the prompt for explaining a snippet
+ * The shape of the answer comes from ExplanationSchema
+ *
+ * @param {Array<Object>} files - The snippet's files
+ * @returns {string} The prompt
+ */
+export function buildExplainPrompt(files) {
+  return `
+You are a helpful coding assistant. Explain the following code snippet in a clear and concise way.
+
+Provide:
+1. A brief summary of what the code does (2-3 sentences)
+2. Key concepts or techniques used
+3. Notes on the most important line ranges, using the line numbers shown
+4. Any potential improvements or considerations
+
+${formatFilesForPrompt(files, { lineNumbers: true })}
+
+Keep the explanation beginner-friendly but technically accurate. Use markdown for inline code.
+`;
+}
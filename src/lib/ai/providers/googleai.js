@@ -0,0 +1,16 @@
+// Google AI provider: Gemini through the Genkit Google AI plugin
+import { googleAI, gemini20Flash } from "@genkit-ai/googleai";
+
+/**
+ * Gemini 2.0 Flash, using the GEMINI_API_KEY environment variable
+ */
+const googleAiProvider = {
+  plugins: () => [
+    googleAI({
+      apiKey: process.env.GEMINI_API_KEY,
+    }),
+  ],
+  defineModel: () => gemini20Flash,
+};
+
+export default googleAiProvider;
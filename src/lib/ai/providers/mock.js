@@ -0,0 +1,118 @@
+// Mock provider: a deterministic local model for offline development
+// Answers are built from the requested output schema, so every AI feature
+// gets a valid (if meaningless) result without network access
+
+import { setTimeout as sleep } from "node:timers/promises";
+
+// Size of each streamed chunk of the answer, in characters
+const CHUNK_SIZE = 40;
+
+/**
+ * Builds a placeholder value that matches a JSON schema
+ * The same schema always gives the same value, and array items differ
+ * (e.g. "Mock files 1 filename", "Mock files 2 filename")
+ *
+ * @param {Object} schema - JSON schema of the value
+ * @param {string} name - Name of the field, used in placeholder text
+ * @returns {*} The placeholder value
+ */
+export function mockValueForSchema(schema = {}, name = "value") {
+  if (schema.enum) {
+    return schema.enum[0];
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  switch (type) {
+    case "object": {
+      const value = {};
+      Object.entries(schema.properties || {}).forEach(([key, property]) => {
+        value[key] = mockValueForSchema(
+          property,
+          name === "value" ? key : `${name} ${key}`
+        );
+      });
+      return value;
+    }
+    case "array":
+      return [
+        mockValueForSchema(schema.items, `${name} 1`),
+        mockValueForSchema(schema.items, `${name} 2`),
+      ];
+    case "integer":
+    case "number":
+      return schema.minimum ?? 1;
+    case "boolean":
+      return false;
+    case "null":
+      return null;
+    default:
+      return `Mock ${name}`;
+  }
+}
+
+/**
+ * Runs the mock model
+ * AI_MOCK_FAILURE picks an error path to exercise:
+ *   "error"        - fail before answering
+ *   "stream-error" - fail halfway through streaming
+ *   "invalid"      - answer with JSON that doesn't match the schema
+ *
+ * @param {Object} request - Genkit model request
+ * @param {Function} streamingCallback - Called with each chunk when streaming
+ * @returns {Promise<Object>} Genkit model response
+ */
+async function runMockModel(request, streamingCallback) {
+  const failure = process.env.AI_MOCK_FAILURE;
+  if (failure === "error") {
+    throw new Error("Mock model failure (AI_MOCK_FAILURE=error)");
+  }
+
+  // Structured requests get JSON matching the schema, others plain text
+  let text = "This is a mock response from the local AI provider.";
+  if (request.output?.schema) {
+    text = JSON.stringify(
+      failure === "invalid" ? {} : mockValueForSchema(request.output.schema)
+    );
+  }
+
+  if (streamingCallback) {
+    for (let start = 0; start < text.length; start += CHUNK_SIZE) {
+      if (failure === "stream-error" && start >= text.length / 2) {
+        throw new Error("Mock model failure (AI_MOCK_FAILURE=stream-error)");
+      }
+      // Optional pause between chunks to see streaming in the UI
+      await sleep(Number(process.env.AI_MOCK_DELAY_MS) || 0);
+      streamingCallback({
+        content: [{ text: text.slice(start, start + CHUNK_SIZE) }],
+      });
+    }
+  }
+
+  return {
+    message: { role: "model", content: [{ text }] },
+    finishReason: "stop",
+  };
+}
+
+/**
+ * A local model that answers instantly (or after AI_MOCK_DELAY_MS per chunk)
+ */
+const mockProvider = {
+  plugins: () => [],
+  defineModel: (ai) =>
+    ai.defineModel(
+      {
+        name: "mock/deterministic",
+        label: "Local mock model",
+        supports: {
+          multiturn: true,
+          systemRole: true,
+          output: ["text", "json"],
+          constrained: "all",
+        },
+      },
+      runMockModel
+    ),
+};
+
+export default mockProvider;
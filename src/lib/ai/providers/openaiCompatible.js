@@ -0,0 +1,132 @@
+// OpenAI-compatible provider: any local or hosted server that implements
+// the OpenAI chat completions API (e.g. Ollama, LM Studio, llama.cpp)
+//
+// Configured with:
+//   OPENAI_COMPATIBLE_BASE_URL - e.g. http://localhost:11434/v1
+//   OPENAI_COMPATIBLE_MODEL    - e.g. llama3.1
+//   OPENAI_COMPATIBLE_API_KEY  - optional
+
+/**
+ * Converts Genkit messages to OpenAI chat messages
+ *
+ * @param {Array<Object>} messages - Genkit messages
+ * @returns {Array<Object>} OpenAI messages with text content
+ */
+function toChatMessages(messages) {
+  return messages.map((message) => ({
+    role: message.role === "model" ? "assistant" : message.role,
+    content: message.content.map((part) => part.text || "").join(""),
+  }));
+}
+
+/**
+ * Reads the text deltas of a streamed (server-sent events) completion
+ *
+ * @param {Response} response - The streamed fetch response
+ * @param {Function} onText - Called with each piece of text
+ * @returns {Promise<string>} The complete text
+ */
+async function readCompletionStream(response, onText) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+  let text = "";
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return text;
+    }
+    buffered += decoder.decode(value, { stream: true });
+
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+
+    for (const line of lines) {
+      const data = line.replace(/^data:\s*/, "").trim();
+      if (!line.startsWith("data:") || !data || data === "[DONE]") {
+        continue;
+      }
+      const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onText(delta);
+      }
+    }
+  }
+}
+
+/**
+ * Runs a chat completion against the configured endpoint
+ *
+ * @param {Object} request - Genkit model request
+ * @param {Function} streamingCallback - Called with each chunk when streaming
+ * @returns {Promise<Object>} Genkit model response
+ */
+async function runCompletion(request, streamingCallback) {
+  const baseUrl = (
+    process.env.OPENAI_COMPATIBLE_BASE_URL || "http://localhost:11434/v1"
+  ).replace(/\/$/, "");
+  const apiKey = process.env.OPENAI_COMPATIBLE_API_KEY;
+
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    },
+    body: JSON.stringify({
+      model: process.env.OPENAI_COMPATIBLE_MODEL,
+      messages: toChatMessages(request.messages),
+      temperature: request.config?.temperature,
+      max_tokens: request.config?.maxOutputTokens,
+      // Genkit has already put the schema in the prompt; ask for JSON back
+      ...(request.output?.format === "json"
+        ? { response_format: { type: "json_object" } }
+        : {}),
+      stream: Boolean(streamingCallback),
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`AI endpoint returned ${response.status}`);
+  }
+
+  let text;
+  if (streamingCallback) {
+    text = await readCompletionStream(response, (delta) =>
+      streamingCallback({ content: [{ text: delta }] })
+    );
+  } else {
+    const data = await response.json();
+    text = data.choices?.[0]?.message?.content || "";
+  }
+
+  return {
+    message: { role: "model", content: [{ text }] },
+    finishReason: "stop",
+  };
+}
+
+/**
+ * A model served over the OpenAI chat completions API
+ */
+const openaiCompatibleProvider = {
+  plugins: () => [],
+  defineModel: (ai) =>
+    ai.defineModel(
+      {
+        name: `openai-compatible/${process.env.OPENAI_COMPATIBLE_MODEL || "default"}`,
+        label: "OpenAI-compatible endpoint",
+        supports: {
+          multiturn: true,
+          systemRole: true,
+          output: ["text", "json"],
+          constrained: "none",
+        },
+      },
+      runCompletion
+    ),
+};
+
+export default openaiCompatibleProvider;
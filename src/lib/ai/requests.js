@@ -0,0 +1,172 @@
+// Checks shared by the AI API routes
+// Every AI request must come from a signed-in user, stay within the
+// per-user and global rate limits and carry a limited amount of code
+import "server-only";
+
+// Import Next.js server response utility
+import { NextResponse } from "next/server";
+
+// Reads the files of a snippet (or a single code string)
+import { getSnippetFiles, MAX_FILES } from "@/src/lib/snippetFiles";
+
+// Per-user and global request limits
+import { createRateLimiter } from "@/src/lib/rateLimit";
+
+// Firestore, authenticated as the signed-in user
+import { doc, getDoc, getFirestore } from "firebase/firestore";
+import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp";
+
+// ============================================
+// LIMITS
+// ============================================
+
+// Largest request body we accept (100 KB)
+const MAX_REQUEST_BYTES = 100 * 1024;
+
+// Most code (all files together) we send to the AI model in one request
+const MAX_CODE_LENGTH = 50000;
+
+// Each user may make 10 AI requests a minute (cached explanations included)
+const userLimiter = createRateLimiter({ limit: 10, windowMs: 60 * 1000 });
+
+// All users together may make 60 AI model calls a minute (cache hits are free)
+const globalLimiter = createRateLimiter({ limit: 60, windowMs: 60 * 1000 });
+
+/**
+ * Builds a JSON error response
+ *
+ * @param {string} message - The error shown to the user
+ * @param {number} status - HTTP status code
+ * @returns {NextResponse} JSON error
+ */
+export function errorResponse(message, status) {
+  return NextResponse.json({ error: message }, { status });
+}
+
+/**
+ * Builds a 429 Too Many Requests response
+ *
+ * @param {number} retryAfter - Seconds until the client may try again
+ * @returns {NextResponse} JSON error with a Retry-After header
+ */
+function tooManyRequests(retryAfter) {
+  return NextResponse.json(
+    { error: `Too many requests. Please try again in ${retryAfter} seconds.` },
+    {
+      status: 429, // 429 = Too Many Requests
+      headers: { "Retry-After": String(retryAfter) },
+    }
+  );
+}
+
+/**
+ * Authenticates an AI request, applies the user's rate limit and parses
+ * its JSON body
+ *
+ * @param {Request} request - The incoming HTTP request
+ * @param {string} feature - What the user is trying to use, for the
+ *   sign-in message (e.g. "AI explanations")
+ * @returns {Promise<Object|Response>} { db, currentUser, input }, or the
+ *   error response to send
+ */
+export async function readAiRequest(request, feature) {
+  // Verify the ID token in the __session cookie; Firestore then runs
+  // as the signed-in user, so security rules apply
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  if (!currentUser) {
+    return errorResponse(`Please sign in to use ${feature}`, 401); // 401 = Unauthorized
+  }
+  const db = getFirestore(firebaseServerApp);
+
+  const userLimit = userLimiter.check(currentUser.uid);
+  if (!userLimit.allowed) {
+    return tooManyRequests(userLimit.retryAfter);
+  }
+
+  // Reject oversized bodies before reading them when the size is known,
+  // and after reading them otherwise
+  if (Number(request.headers.get("content-length")) > MAX_REQUEST_BYTES) {
+    return errorResponse("Request is too large", 413); // 413 = Payload Too Large
+  }
+  const text = await request.text();
+  if (new TextEncoder().encode(text).length > MAX_REQUEST_BYTES) {
+    return errorResponse("Request is too large", 413);
+  }
+
+  let input;
+  try {
+    input = JSON.parse(text);
+  } catch {
+    input = null;
+  }
+  if (!input || typeof input !== "object") {
+    return errorResponse("Invalid request", 400); // 400 = Bad Request
+  }
+
+  return { db, currentUser, input };
+}
+
+/**
+ * Reads the files an AI request is about and checks their size
+ * A saved snippet ({ snippetId }) is read as it is stored, not as the
+ * client sent it; otherwise the request carries { files } or { code, language }
+ *
+ * @param {Firestore} db - Firestore, as the signed-in user
+ * @param {Object} currentUser - The signed-in user
+ * @param {Object} input - The parsed request body
+ * @returns {Promise<Object|Response>} { files, snippet, isOwner }, or the
+ *   error response to send
+ */
+export async function readRequestFiles(db, currentUser, input) {
+  let files = getSnippetFiles(input);
+  let snippet = null;
+  if (input.snippetId) {
+    let snippetDoc = null;
+    try {
+      snippetDoc = await getDoc(doc(db, "snippets", String(input.snippetId)));
+    } catch (error) {
+      // Private snippets of other users look the same as missing ones
+      if (error.code !== "permission-denied") {
+        throw error;
+      }
+    }
+    if (!snippetDoc?.exists()) {
+      return errorResponse("Snippet not found", 404); // 404 = Not Found
+    }
+    snippet = { id: snippetDoc.id, ...snippetDoc.data() };
+    files = getSnippetFiles(snippet);
+  }
+
+  // Check if code was provided
+  if (
+    files.some((file) => typeof file.code !== "string") ||
+    files.every((file) => !file.code.trim())
+  ) {
+    return errorResponse("Code is required", 400);
+  }
+
+  // Cap how much code we send to the model (saved snippets can be large too)
+  const codeLength = files.reduce((total, file) => total + file.code.length, 0);
+  if (files.length > MAX_FILES || codeLength > MAX_CODE_LENGTH) {
+    return errorResponse("This snippet is too large for the AI to handle", 413);
+  }
+
+  return {
+    files,
+    snippet,
+    // Snippets from before ownerId existed only have userId
+    isOwner:
+      Boolean(snippet) &&
+      (snippet.ownerId || snippet.userId) === currentUser.uid,
+  };
+}
+
+/**
+ * Applies the global rate limit; call it just before calling the model
+ *
+ * @returns {Response|null} The error response to send, or null to go ahead
+ */
+export function checkGlobalLimit() {
+  const globalLimit = globalLimiter.check("global");
+  return globalLimit.allowed ? null : tooManyRequests(globalLimit.retryAfter);
+}
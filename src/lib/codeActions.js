@@ -0,0 +1,75 @@
+/**
+ * AI code actions
+ * Lists the actions the AI can take on a snippet (refactor, comment, test,
+ * review, convert) and defines the shape of their result, shared by the
+ * API route, which asks the model for it, and the client, which shows it
+ * as a diff against the original files
+ */
+
+import { z } from "zod";
+
+import { LANGUAGE_NAMES } from "@/src/lib/languages";
+import { MAX_FILES } from "@/src/lib/snippetFiles";
+
+// The actions, in menu order
+// needsTargetLanguage: the user picks a language to convert to
+// titleSuffix: added to the title when the result is saved as a new snippet
+export const CODE_ACTIONS = [
+  {
+    id: "refactor",
+    label: "♻️ Suggest refactor",
+    description: "Cleaner, more readable code that does the same thing",
+    titleSuffix: "refactored",
+  },
+  {
+    id: "add-comments",
+    label: "📝 Add doc comments",
+    description: "Doc comments for functions, classes and tricky lines",
+    titleSuffix: "commented",
+  },
+  {
+    id: "write-tests",
+    label: "🧪 Generate unit tests",
+    description: "New test files covering the code",
+    titleSuffix: "with tests",
+  },
+  {
+    id: "find-bugs",
+    label: "🐞 Find bugs & security issues",
+    description: "Fixes for bugs and security problems, explained in the notes",
+    titleSuffix: "fixed",
+  },
+  {
+    id: "convert",
+    label: "🔁 Convert to another language",
+    description: "The same code written in another language",
+    needsTargetLanguage: true,
+    titleSuffix: "converted",
+  },
+];
+
+/**
+ * Finds an action by its ID
+ *
+ * @param {string} actionId - The action's ID, e.g. "refactor"
+ * @returns {Object|undefined} The action, if there is one
+ */
+export function getCodeAction(actionId) {
+  return CODE_ACTIONS.find((action) => action.id === actionId);
+}
+
+// The files and notes an action produces
+export const CodeActionResultSchema = z.object({
+  files: z
+    .array(
+      z.object({
+        filename: z.string().describe("File name with extension, no folders"),
+        language: z.enum(LANGUAGE_NAMES).describe("Language of the file"),
+        code: z.string().describe("The complete contents of the file"),
+      })
+    )
+    .min(1)
+    .max(MAX_FILES)
+    .describe("Every file of the snippet after the change, in order"),
+  notes: z.string().describe("What was changed or found, and why, in markdown"),
+});
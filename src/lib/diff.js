@@ -0,0 +1,172 @@
+/**
+ * Line-based text diff
+ * Used to compare snippet revisions and AI suggestions with the original code
+ */
+
+// Most cells of the comparison table diffLines() will fill in, after
+// trimming the lines both texts start and end with. Bigger changes are
+// shown as everything in between removed and added
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * Computes a line diff between two texts using the longest common subsequence
+ *
+ * @param {string} oldText - The original text
+ * @param {string} newText - The changed text
+ * @returns {{lines: Array<Object>, tooLarge: boolean}} The lines in order,
+ *   each { type: "same" | "removed" | "added", text, oldLineNumber,
+ *   newLineNumber }, and whether the change was too large to compare
+ *   line by line
+ */
+export function diffLines(oldText = "", newText = "") {
+  const oldLines = oldText.split("\n");
+  const newLines = newText.split("\n");
+
+  // Lines both texts start and end with are the same, so only the part
+  // in between needs the table
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (
+    oldEnd > start &&
+    newEnd > start &&
+    oldLines[oldEnd - 1] === newLines[newEnd - 1]
+  ) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const n = oldEnd - start;
+  const m = newEnd - start;
+  const tooLarge = (n + 1) * (m + 1) > MAX_DIFF_CELLS;
+
+  // lcs[i][j] = length of the longest common subsequence of the changed
+  // old lines from i and the changed new lines from j
+  const lcs = [];
+  if (!tooLarge) {
+    for (let i = 0; i <= n; i++) {
+      lcs.push(new Array(m + 1).fill(0));
+    }
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] =
+          oldLines[start + i] === newLines[start + j]
+            ? lcs[i + 1][j + 1] + 1
+            : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+  }
+
+  const lines = [];
+  const pushSame = (oldIndex, newIndex) =>
+    lines.push({
+      type: "same",
+      text: oldLines[oldIndex],
+      oldLineNumber: oldIndex + 1,
+      newLineNumber: newIndex + 1,
+    });
+
+  for (let index = 0; index < start; index++) {
+    pushSame(index, index);
+  }
+
+  // Walk the table to produce the diff, preferring removals before additions
+  // Without a table, every changed line is removed and then added
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    const oldIndex = start + i;
+    const newIndex = start + j;
+    if (
+      !tooLarge &&
+      i < n &&
+      j < m &&
+      oldLines[oldIndex] === newLines[newIndex]
+    ) {
+      pushSame(oldIndex, newIndex);
+      i++;
+      j++;
+    } else if (
+      j >= m ||
+      (i < n && (tooLarge || lcs[i + 1][j] >= lcs[i][j + 1]))
+    ) {
+      lines.push({
+        type: "removed",
+        text: oldLines[oldIndex],
+        oldLineNumber: oldIndex + 1,
+        newLineNumber: null,
+      });
+      i++;
+    } else {
+      lines.push({
+        type: "added",
+        text: newLines[newIndex],
+        oldLineNumber: null,
+        newLineNumber: newIndex + 1,
+      });
+      j++;
+    }
+  }
+
+  for (let index = 0; index < oldLines.length - oldEnd; index++) {
+    pushSame(oldEnd + index, newEnd + index);
+  }
+
+  return { lines, tooLarge };
+}
+
+/**
+ * Pairs up diff lines into rows for a side-by-side view
+ * A run of removed lines followed by added lines is shown as changed rows
+ *
+ * @param {Array<Object>} diff - The lines from diffLines()
+ * @returns {Array<{left: Object|null, right: Object|null}>} Rows of the view
+ */
+export function toSideBySide(diff) {
+  const rows = [];
+  let index = 0;
+
+  while (index < diff.length) {
+    if (diff[index].type === "same") {
+      rows.push({ left: diff[index], right: diff[index] });
+      index++;
+      continue;
+    }
+
+    // Collect the run of removals and the run of additions that follows it
+    const removed = [];
+    const added = [];
+    while (index < diff.length && diff[index].type === "removed") {
+      removed.push(diff[index++]);
+    }
+    while (index < diff.length && diff[index].type === "added") {
+      added.push(diff[index++]);
+    }
+
+    for (let row = 0; row < Math.max(removed.length, added.length); row++) {
+      rows.push({ left: removed[row] || null, right: added[row] || null });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Counts the added and removed lines of a diff
+ *
+ * @param {Array<Object>} diff - The lines from diffLines()
+ * @returns {{added: number, removed: number}} Line counts
+ */
+export function getDiffStats(diff) {
+  return {
+    added: diff.filter((line) => line.type === "added").length,
+    removed: diff.filter((line) => line.type === "removed").length,
+  };
+}
@@ -0,0 +1,96 @@
+/**
+ * Structured AI code explanations
+ * Defines the shape of an explanation (shared by the API route, which asks
+ * the model for it, and the client, which validates what it receives) and
+ * reads the streamed response of POST /api/explain-code
+ */
+
+import { z } from "zod";
+
+// Version of the explain prompt and schema, part of every cache key
+// Bump it whenever either changes so cached explanations are regenerated
+export const EXPLANATION_PROMPT_VERSION = 1;
+
+// A note about a range of lines in one file of the snippet
+const AnnotationSchema = z.object({
+  filename: z.string().describe("Name of the file the lines are in"),
+  startLine: z.number().int().min(1).describe("First line, counting from 1"),
+  endLine: z.number().int().min(1).describe("Last line (inclusive)"),
+  note: z.string().describe("What these lines do, in markdown"),
+});
+
+// A complete explanation of a snippet
+export const ExplanationSchema = z.object({
+  summary: z
+    .string()
+    .describe("What the code does in 2-3 sentences, in markdown"),
+  keyConcepts: z
+    .array(
+      z.object({
+        name: z.string().describe("Short name of the concept"),
+        description: z.string().describe("One or two sentences, in markdown"),
+      })
+    )
+    .describe("Key concepts or techniques the code uses"),
+  annotations: z
+    .array(AnnotationSchema)
+    .describe("Notes on the most important line ranges, in file order"),
+  improvements: z
+    .array(z.string())
+    .describe("Possible improvements or things to watch out for, in markdown"),
+});
+
+// Content type of the streamed response: one JSON message per line
+export const EXPLANATION_STREAM_TYPE = "application/x-ndjson";
+
+/**
+ * Reads the streamed response of POST /api/explain-code
+ * The stream is newline-delimited JSON messages:
+ *   { type: "partial", explanation } - the explanation so far (fields may be missing)
+ *   { type: "done", explanation, cached, generatedAt }
+ *                                    - the complete, validated explanation
+ *   { type: "error", error }         - the explanation failed
+ *
+ * @param {Response} response - The fetch response
+ * @param {Function} onUpdate - Called with each partial explanation
+ * @returns {Promise<{explanation: Object, cached: boolean, generatedAt: string}>}
+ *   The complete explanation, whether it came from the cache and when it
+ *   was generated (ISO date)
+ */
+export async function readExplanationStream(response, onUpdate) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffered += decoder.decode(value, { stream: !done });
+
+    // Handle every complete line, keeping any unfinished one for later
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+
+    for (const line of done ? [...lines, buffered] : lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      const message = JSON.parse(line);
+      if (message.type === "error") {
+        throw new Error(message.error);
+      }
+      if (message.type === "done") {
+        return {
+          explanation: ExplanationSchema.parse(message.explanation),
+          cached: Boolean(message.cached),
+          generatedAt: message.generatedAt,
+        };
+      }
+      onUpdate(message.explanation);
+    }
+
+    if (done) {
+      throw new Error("The explanation ended unexpectedly");
+    }
+  }
+}
@@ -0,0 +1,19 @@
+// Firebase Admin SDK app for writes that clients aren't trusted with
+// Admin writes skip security rules, so only server code may import this
+// https://firebase.google.com/docs/admin/setup
+import "server-only";
+
+import { getApps, initializeApp } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+
+/**
+ * Get Firestore with admin access
+ * On Firebase App Hosting the app finds its project and credentials by
+ * itself; elsewhere set GOOGLE_APPLICATION_CREDENTIALS (or
+ * FIRESTORE_EMULATOR_HOST when running against the emulator)
+ * @returns {Firestore} The Admin SDK's Firestore instance
+ */
+export function getAdminFirestore() {
+  const app = getApps()[0] || initializeApp();
+  return getFirestore(app);
+}
@@ -0,0 +1,95 @@
+// Firebase Firestore functions for bookmarked snippets
+import {
+  collection,
+  onSnapshot,
+  query,
+  orderBy,
+  doc,
+  getDocs,
+  deleteDoc,
+  increment,
+  runTransaction,
+  Timestamp,
+} from "firebase/firestore";
+import { db } from "@/src/lib/firebase/clientApp";
+import { getCollectionSnippets } from "@/src/lib/firebase/collections";
+
+// Each user's bookmarks live under their profile, one document per
+// snippet, and each snippet keeps a bookmarkCount of them
+function bookmarkRef(userId, snippetId) {
+  return doc(db, "users", userId, "bookmarks", snippetId);
+}
+
+/**
+ * Listen to whether a user has bookmarked a snippet
+ * @param {string} userId - The user's ID
+ * @param {string} snippetId - The snippet's ID
+ * @param {Function} callback - Function called with true or false
+ * @returns {Function} Unsubscribe function to stop listening
+ */
+export function watchBookmark(userId, snippetId, callback) {
+  return onSnapshot(bookmarkRef(userId, snippetId), (bookmarkDoc) => {
+    callback(bookmarkDoc.exists());
+  });
+}
+
+/**
+ * Bookmark a snippet, or remove the bookmark if it already exists
+ * The bookmark and the snippet's count are written in one transaction,
+ * so toggling twice at once can't count a bookmark twice
+ * @param {string} snippetId - The snippet to bookmark
+ * @param {string} userId - The ID of the signed-in user
+ * @returns {Promise<boolean>} Whether the snippet is now bookmarked
+ */
+export async function toggleBookmark(snippetId, userId) {
+  const snippetRef = doc(db, "snippets", snippetId);
+  const ref = bookmarkRef(userId, snippetId);
+
+  try {
+    return await runTransaction(db, async (transaction) => {
+      const bookmarkDoc = await transaction.get(ref);
+
+      if (bookmarkDoc.exists()) {
+        // The snippet isn't read, so bookmarks of snippets that have since
+        // become private can still be removed
+        transaction.update(snippetRef, { bookmarkCount: increment(-1) });
+        transaction.delete(ref);
+        return false;
+      }
+
+      const snippetDoc = await transaction.get(snippetRef);
+      if (!snippetDoc.exists()) {
+        throw new Error("Snippet not found");
+      }
+
+      transaction.update(snippetRef, { bookmarkCount: increment(1) });
+      transaction.set(ref, { createdAt: Timestamp.now() });
+      return true;
+    });
+  } catch (error) {
+    // The snippet was deleted - only the bookmark is left to remove
+    if (error.code !== "not-found") {
+      throw error;
+    }
+    await deleteDoc(ref);
+    return false;
+  }
+}
+
+/**
+ * Get the snippets a user has bookmarked, most recently bookmarked first
+ * Deleted snippets and snippets that are no longer public are left out
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array<Object>>} The snippets, with their IDs
+ */
+export async function getBookmarkedSnippets(userId) {
+  const snapshot = await getDocs(
+    query(
+      collection(db, "users", userId, "bookmarks"),
+      orderBy("createdAt", "desc")
+    )
+  );
+  return getCollectionSnippets(
+    snapshot.docs.map((bookmarkDoc) => bookmarkDoc.id)
+  );
+}
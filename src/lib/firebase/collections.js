@@ -0,0 +1,279 @@
+// Firebase Firestore functions for managing snippet collections
+import {
+  collection,
+  onSnapshot,
+  query,
+  where,
+  orderBy,
+  limit,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
+  Timestamp,
+} from "firebase/firestore";
+import { db } from "@/src/lib/firebase/clientApp";
+
+// Most public collections shown on the collections page
+const MAX_PUBLIC_COLLECTIONS = 50;
+
+/**
+ * Convert a collection snapshot into a plain object with its ID
+ */
+function toCollection(collectionDoc) {
+  return {
+    id: collectionDoc.id,
+    ...collectionDoc.data(),
+  };
+}
+
+/**
+ * Get the collections owned by a user with real-time updates
+ * @param {string} userId - The owner's user ID
+ * @param {Function} callback - Function called with updated collections
+ * @returns {Function} Unsubscribe function to stop listening
+ */
+export function getUserCollections(userId, callback) {
+  const q = query(
+    collection(db, "collections"),
+    where("userId", "==", userId),
+    orderBy("createdAt", "desc")
+  );
+
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.map(toCollection));
+  });
+}
+
+/**
+ * Get the most recently updated public collections with real-time updates
+ * @param {Function} callback - Function called with updated collections
+ * @returns {Function} Unsubscribe function to stop listening
+ */
+export function getPublicCollections(callback) {
+  const q = query(
+    collection(db, "collections"),
+    where("isPublic", "==", true),
+    orderBy("updatedAt", "desc"),
+    limit(MAX_PUBLIC_COLLECTIONS)
+  );
+
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.map(toCollection));
+  });
+}
+
+/**
+ * Get a user's public collections, most recently updated first
+ * @param {string} userId - The owner's user ID
+ * @returns {Promise<Array<Object>>} The collections
+ */
+export async function getPublicUserCollections(userId) {
+  // Equality filters only, so no composite index is needed
+  const snapshot = await getDocs(
+    query(
+      collection(db, "collections"),
+      where("userId", "==", userId),
+      where("isPublic", "==", true)
+    )
+  );
+
+  return snapshot.docs
+    .map(toCollection)
+    .sort((a, b) => b.updatedAt.toMillis() - a.updatedAt.toMillis());
+}
+
+/**
+ * Get a single collection with real-time updates
+ * @param {string} collectionId - The ID of the collection
+ * @param {Function} callback - Function called with the collection (null if missing)
+ * @param {Function} onError - Function called if the collection can't be read
+ * @returns {Function} Unsubscribe function to stop listening
+ */
+export function getCollection(collectionId, callback, onError) {
+  return onSnapshot(
+    doc(db, "collections", collectionId),
+    (collectionDoc) => {
+      callback(collectionDoc.exists() ? toCollection(collectionDoc) : null);
+    },
+    onError
+  );
+}
+
+/**
+ * Create a new, empty collection
+ * @param {Object} user - The signed-in Firebase user
+ * @param {Object} collectionData - Name, description and isPublic
+ * @returns {Promise<string>} The ID of the new collection
+ */
+export async function createCollection(user, collectionData) {
+  // Show the owner's profile name when they have one
+  const profile = await getDoc(doc(db, "users", user.uid));
+
+  const docRef = await addDoc(collection(db, "collections"), {
+    name: collectionData.name.trim(),
+    description: (collectionData.description || "").trim(),
+    isPublic: Boolean(collectionData.isPublic),
+    userId: user.uid,
+    ownerName:
+      profile.data()?.displayName ||
+      user.displayName ||
+      user.email ||
+      "Anonymous User",
+    snippetIds: [],
+    createdAt: Timestamp.now(),
+    updatedAt: Timestamp.now(),
+  });
+
+  return docRef.id;
+}
+
+/**
+ * Update a collection's name, description or visibility
+ * @param {string} collectionId - The ID of the collection
+ * @param {Object} collectionData - Fields to change
+ */
+export async function updateCollection(collectionId, collectionData) {
+  await updateDoc(doc(db, "collections", collectionId), {
+    ...collectionData,
+    updatedAt: Timestamp.now(),
+  });
+}
+
+/**
+ * Show a user's new display name on all the collections they own
+ * @param {string} userId - The owner's user ID
+ * @param {string} ownerName - The owner's new display name
+ */
+export async function updateOwnerName(userId, ownerName) {
+  const snapshot = await getDocs(
+    query(collection(db, "collections"), where("userId", "==", userId))
+  );
+
+  // A batch holds at most 500 writes
+  for (let start = 0; start < snapshot.docs.length; start += 500) {
+    const batch = writeBatch(db);
+    snapshot.docs.slice(start, start + 500).forEach((collectionDoc) => {
+      batch.update(collectionDoc.ref, { ownerName });
+    });
+    await batch.commit();
+  }
+}
+
+/**
+ * Delete a collection (the snippets in it are not deleted)
+ * @param {string} collectionId - The ID of the collection
+ */
+export async function deleteCollection(collectionId) {
+  await deleteDoc(doc(db, "collections", collectionId));
+}
+
+/**
+ * Add a snippet to the end of a collection
+ * Adding a snippet that's already there does nothing
+ * @param {string} collectionId - The ID of the collection
+ * @param {string} snippetId - The ID of the snippet to add
+ */
+export async function addSnippetToCollection(collectionId, snippetId) {
+  await updateDoc(doc(db, "collections", collectionId), {
+    snippetIds: arrayUnion(snippetId),
+    updatedAt: Timestamp.now(),
+  });
+}
+
+/**
+ * Remove a snippet from a collection
+ * @param {string} collectionId - The ID of the collection
+ * @param {string} snippetId - The ID of the snippet to remove
+ */
+export async function removeSnippetFromCollection(collectionId, snippetId) {
+  await updateDoc(doc(db, "collections", collectionId), {
+    snippetIds: arrayRemove(snippetId),
+    updatedAt: Timestamp.now(),
+  });
+}
+
+/**
+ * Move snippets into one of the user's collections
+ * They are added to the end of that collection and taken out of the
+ * user's other collections
+ * @param {string} userId - The owner of the collections
+ * @param {Array<string>} snippetIds - The IDs of the snippets to move
+ * @param {string} collectionId - The ID of the collection to move them to
+ */
+export async function moveSnippetsToCollection(
+  userId,
+  snippetIds,
+  collectionId
+) {
+  const snapshot = await getDocs(
+    query(collection(db, "collections"), where("userId", "==", userId))
+  );
+
+  // Only the target and the collections holding any of the snippets change
+  const changed = snapshot.docs.filter(
+    (collectionDoc) =>
+      collectionDoc.id === collectionId ||
+      (collectionDoc.data().snippetIds || []).some((id) =>
+        snippetIds.includes(id)
+      )
+  );
+
+  // A batch holds at most 500 writes
+  for (let start = 0; start < changed.length; start += 500) {
+    const batch = writeBatch(db);
+    changed.slice(start, start + 500).forEach((collectionDoc) => {
+      batch.update(collectionDoc.ref, {
+        snippetIds:
+          collectionDoc.id === collectionId
+            ? arrayUnion(...snippetIds)
+            : arrayRemove(...snippetIds),
+        updatedAt: Timestamp.now(),
+      });
+    });
+    await batch.commit();
+  }
+}
+
+/**
+ * Save a new order for the snippets in a collection
+ * @param {string} collectionId - The ID of the collection
+ * @param {Array<string>} snippetIds - All snippet IDs in their new order
+ */
+export async function reorderCollectionSnippets(collectionId, snippetIds) {
+  await updateDoc(doc(db, "collections", collectionId), {
+    snippetIds,
+    updatedAt: Timestamp.now(),
+  });
+}
+
+/**
+ * Load the snippets of a collection, in collection order
+ * Snippets that were deleted or that the user can't see are skipped
+ * @param {Array<string>} snippetIds - The collection's snippet IDs
+ * @returns {Promise<Array<Object>>} The snippets that could be loaded
+ */
+export async function getCollectionSnippets(snippetIds) {
+  const snippets = [];
+
+  for (const snippetId of snippetIds) {
+    try {
+      const snippetDoc = await getDoc(doc(db, "snippets", snippetId));
+      if (snippetDoc.exists()) {
+        snippets.push({ id: snippetDoc.id, ...snippetDoc.data() });
+      }
+    } catch (error) {
+      // Another user's private snippet - leave it out
+      if (error.code !== "permission-denied") {
+        throw error;
+      }
+    }
+  }
+
+  return snippets;
+}
@@ -0,0 +1,81 @@
+// Firebase Firestore functions for caching AI code explanations
+// Used by the explain-code API route. Cached explanations are read with
+// the signed-in user's server app, and only ever written by the server
+// with the Admin SDK, so clients can't put their own text in the cache
+import "server-only";
+
+import { createHash } from "node:crypto";
+import { doc, getDoc } from "firebase/firestore";
+import { Timestamp } from "firebase-admin/firestore";
+import { getAdminFirestore } from "@/src/lib/firebase/adminApp";
+import {
+  ExplanationSchema,
+  EXPLANATION_PROMPT_VERSION,
+} from "@/src/lib/explanation";
+
+/**
+ * Build the cache key for explaining some files
+ * The key is a hash of the prompt version and every file's name, language
+ * and code, so changing the code (or the prompt) never hits an old entry
+ * @param {Array<Object>} files - The snippet's files
+ * @returns {string} Hex SHA-256 hash, used as the cache document ID
+ */
+export function getExplanationKey(files) {
+  const content = JSON.stringify({
+    promptVersion: EXPLANATION_PROMPT_VERSION,
+    files: files.map(({ filename, language, code }) => ({
+      filename,
+      language,
+      code,
+    })),
+  });
+
+  return createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Get a cached explanation
+ * Entries that no longer match the schema are treated as missing
+ * @param {Firestore} db - Firestore instance to read with
+ * @param {string} key - Cache key from getExplanationKey()
+ * @returns {Promise<Object|null>} The explanation and when it was generated, or null
+ */
+export async function getCachedExplanation(db, key) {
+  const cachedDoc = await getDoc(doc(db, "explanations", key));
+  if (!cachedDoc.exists()) {
+    return null;
+  }
+
+  const cached = cachedDoc.data();
+  const result = ExplanationSchema.safeParse(cached.explanation);
+  if (!result.success) {
+    return null;
+  }
+
+  return {
+    explanation: result.data,
+    generatedAt: cached.generatedAt.toDate(),
+  };
+}
+
+/**
+ * Save (or replace) a cached explanation
+ * Only call this with an explanation the model generated and the schema
+ * accepted
+ * @param {string} key - Cache key from getExplanationKey()
+ * @param {Object} explanation - The validated explanation
+ * @param {string|null} snippetId - The snippet that was explained, if any
+ * @returns {Promise<Date>} When the explanation was generated
+ */
+export async function saveExplanation(key, explanation, snippetId = null) {
+  const generatedAt = Timestamp.now();
+
+  await getAdminFirestore().collection("explanations").doc(key).set({
+    explanation,
+    promptVersion: EXPLANATION_PROMPT_VERSION,
+    snippetId,
+    generatedAt,
+  });
+
+  return generatedAt.toDate();
+}
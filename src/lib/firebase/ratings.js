@@ -0,0 +1,138 @@
+// Firebase Firestore functions for snippet ratings and reviews
+import {
+  collection,
+  onSnapshot,
+  query,
+  orderBy,
+  doc,
+  runTransaction,
+  Timestamp,
+} from "firebase/firestore";
+import { db } from "@/src/lib/firebase/clientApp";
+
+// Ratings are whole stars between these two values
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+
+// Longest review text we accept (kept in sync with firestore.rules)
+export const MAX_REVIEW_LENGTH = 1000;
+
+/**
+ * Recompute the aggregate rating fields of a snippet
+ * The parent keeps the running sum so the average never drifts
+ * @param {Object} snippet - Current snippet data
+ * @param {number} sumDelta - Change to the sum of all ratings
+ * @param {number} countDelta - Change to the number of ratings (-1, 0 or 1)
+ * @returns {Object} New rating, numRatings and sumRating values
+ */
+function applyRatingChange(snippet, sumDelta, countDelta) {
+  const numRatings = snippet.numRatings || 0;
+
+  // Snippets created before sumRating existed only have the average
+  const sumRating =
+    snippet.sumRating !== undefined
+      ? snippet.sumRating
+      : (snippet.rating || 0) * numRatings;
+
+  const newNumRatings = Math.max(numRatings + countDelta, 0);
+  const newSumRating = newNumRatings === 0 ? 0 : sumRating + sumDelta;
+
+  return {
+    numRatings: newNumRatings,
+    sumRating: newSumRating,
+    rating: newNumRatings === 0 ? 0 : newSumRating / newNumRatings,
+  };
+}
+
+/**
+ * Listen to all ratings of a snippet, most recently updated first
+ * @param {string} snippetId - The snippet whose ratings to load
+ * @param {Function} callback - Function called with updated ratings
+ * @returns {Function} Unsubscribe function to stop listening
+ */
+export function getSnippetRatings(snippetId, callback) {
+  const q = query(
+    collection(db, "snippets", snippetId, "ratings"),
+    orderBy("updatedAt", "desc")
+  );
+
+  return onSnapshot(q, (snapshot) => {
+    const ratings = snapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+    callback(ratings);
+  });
+}
+
+/**
+ * Create or replace the current user's rating of a snippet
+ * Each user has at most one rating, stored under their user ID
+ * @param {string} snippetId - The snippet being rated
+ * @param {Object} user - The signed-in Firebase user
+ * @param {Object} review - The rating (1-5) and optional review text
+ */
+export async function setSnippetRating(snippetId, user, { rating, text = "" }) {
+  // Validate before opening a transaction
+  if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+    throw new Error(`Rating must be between ${MIN_RATING} and ${MAX_RATING}`);
+  }
+  if (text.length > MAX_REVIEW_LENGTH) {
+    throw new Error(`Review must be ${MAX_REVIEW_LENGTH} characters or less`);
+  }
+
+  const snippetRef = doc(db, "snippets", snippetId);
+  const ratingRef = doc(db, "snippets", snippetId, "ratings", user.uid);
+
+  // Read the snippet and any previous rating, then write both atomically
+  await runTransaction(db, async (transaction) => {
+    const snippetDoc = await transaction.get(snippetRef);
+    if (!snippetDoc.exists()) {
+      throw new Error("Snippet not found");
+    }
+
+    const previousDoc = await transaction.get(ratingRef);
+    const previous = previousDoc.exists() ? previousDoc.data() : null;
+
+    // Editing a rating swaps the old value for the new one
+    const totals = previous
+      ? applyRatingChange(snippetDoc.data(), rating - previous.rating, 0)
+      : applyRatingChange(snippetDoc.data(), rating, 1);
+
+    transaction.update(snippetRef, totals);
+    transaction.set(ratingRef, {
+      userId: user.uid,
+      userName: user.displayName || user.email || "Anonymous User",
+      rating,
+      text: text.trim(),
+      createdAt: previous ? previous.createdAt : Timestamp.now(),
+      updatedAt: Timestamp.now(),
+    });
+  });
+}
+
+/**
+ * Withdraw the current user's rating of a snippet
+ * @param {string} snippetId - The snippet that was rated
+ * @param {string} userId - The ID of the user withdrawing their rating
+ */
+export async function deleteSnippetRating(snippetId, userId) {
+  const snippetRef = doc(db, "snippets", snippetId);
+  const ratingRef = doc(db, "snippets", snippetId, "ratings", userId);
+
+  await runTransaction(db, async (transaction) => {
+    const snippetDoc = await transaction.get(snippetRef);
+    const ratingDoc = await transaction.get(ratingRef);
+
+    // Nothing to withdraw
+    if (!snippetDoc.exists() || !ratingDoc.exists()) {
+      return;
+    }
+
+    transaction.update(
+      snippetRef,
+      applyRatingChange(snippetDoc.data(), -ratingDoc.data().rating, -1)
+    );
+    transaction.delete(ratingRef);
+  });
+}
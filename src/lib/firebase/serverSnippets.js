@@ -0,0 +1,69 @@
+// Firestore reads for server-rendered snippet pages
+// Queries run as the signed-in user from the __session cookie, so
+// security rules decide what each page can show, as in the browser
+import "server-only";
+
+import { cache } from "react";
+import { doc, getDoc, getDocs, getFirestore } from "firebase/firestore";
+import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp";
+import {
+  buildSnippetsPageQuery,
+  toPlainData,
+  toSnippetsPage,
+} from "@/src/lib/snippetQueries";
+
+/**
+ * Get Firestore as the user making the request
+ * @returns {Promise<Object>} { db, currentUser }
+ */
+async function getFirestoreForRequest() {
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  return { db: getFirestore(firebaseServerApp), currentUser };
+}
+
+/**
+ * Get a snippet for its page
+ * Cached for the request, so the page and its metadata share one read
+ * @param {string} snippetId - The ID of the snippet
+ * @returns {Promise<Object|null>} The snippet as plain data (see
+ *   toPlainData), or null if it doesn't exist or the user can't see it
+ */
+export const getSnippetForPage = cache(
+  async function getSnippetForPage(snippetId) {
+    const { db } = await getFirestoreForRequest();
+
+    try {
+      const snippetDoc = await getDoc(doc(db, "snippets", snippetId));
+      if (!snippetDoc.exists()) {
+        return null;
+      }
+      return toPlainData({ id: snippetDoc.id, ...snippetDoc.data() });
+    } catch (error) {
+      // Private snippets of other users look the same as missing ones
+      if (error.code === "permission-denied") {
+        return null;
+      }
+      throw error;
+    }
+  }
+);
+
+/**
+ * Get the first page of a snippet list for its page, newest first
+ * @param {Object} filters - Filter options (language, framework, tag)
+ * @returns {Promise<Object>} The page's snippets as plain data, the ID of
+ *   its last snippet to continue from and whether there is another page
+ */
+export async function getSnippetsPageForPage(filters = {}) {
+  const { db, currentUser } = await getFirestoreForRequest();
+  const snapshot = await getDocs(
+    buildSnippetsPageQuery(db, { ...filters, userId: currentUser?.uid || null })
+  );
+  const page = toSnippetsPage(snapshot);
+
+  return {
+    snippets: toPlainData(page.snippets),
+    cursor: page.cursor?.id || null,
+    hasMore: page.hasMore,
+  };
+}
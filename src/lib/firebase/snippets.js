@@ -6,54 +6,171 @@ import {
     where,
     orderBy,
     limit,
-    addDoc,
-    updateDoc,
-    deleteDoc,
     doc,
     getDoc,
     getDocs,
+    writeBatch,
+    runTransaction,
+    increment,
     Timestamp,
   } from "firebase/firestore";
-  import { db } from "@/src/lib/firebase/clientApp";
+  import { db, auth } from "@/src/lib/firebase/clientApp";
+  import { rankSnippets } from "@/src/lib/search";
+  import { getSnippetFiles, withMainFile } from "@/src/lib/snippetFiles";
+  import {
+    VISIBILITIES,
+    SnippetValidationError,
+    validateSnippet,
+  } from "@/src/lib/snippetSchema";
+  import {
+    buildSnippetsPageQuery,
+    buildVisibleSnippetsQuery,
+    toSnippetsPage,
+  } from "@/src/lib/snippetQueries";
+  
+  // Most snippets a search will scan (newest first)
+  export const MAX_SEARCH_CANDIDATES = 500;
+  
+  // Snippets renamed per batch when an owner's display name changes
+  const AUTHOR_BATCH_SIZE = 200;
+  
+  // Snippets written per batch by an import
+  // Each revision's rule reads its snippet, and a batch may make at most
+  // 20 such reads
+  const IMPORT_BATCH_SIZE = 10;
+  
+  // Revisions and ratings removed per batch once their snippet is deleted
+  // A batch holds at most 500 writes
+  const CLEANUP_BATCH_SIZE = 500;
+  
+  // Snippet fields copied into a share link so it can be read without
+  // access to the (non-public) snippet itself
+  const SHARED_FIELDS = [
+    "title",
+    "description",
+    "code",
+    "language",
+    "files",
+    "framework",
+    "tags",
+    "author",
+    "createdAt",
+  ];
+  
+  // Snippet fields recorded in every revision
+  export const REVISION_FIELDS = [
+    "title",
+    "description",
+    "code",
+    "language",
+    "files",
+    "framework",
+    "tags",
+  ];
   
   /**
-   * Get all snippets with optional filters and real-time updates
-   * @param {Object} filters - Filter options (language, framework, tag)
-   * @param {Function} callback - Function called with updated snippets
-   * @returns {Function} Unsubscribe function to stop listening
+   * Get the visibility of a snippet
+   * Snippets created before visibility existed only have isPublic
+   * @param {Object} snippet - The snippet data
+   * @returns {string} "public", "unlisted" or "private"
    */
-  export function getSnippets(filters = {}, callback) {
-    // Start with the snippets collection
-    let q = collection(db, "snippets");
-    
-    // Apply language filter if provided
-    if (filters.language) {
-      q = query(q, where("language", "==", filters.language));
+  export function getVisibility(snippet) {
+    if (VISIBILITIES.includes(snippet.visibility)) {
+      return snippet.visibility;
     }
-    
-    // Apply framework filter if provided
-    if (filters.framework) {
-      q = query(q, where("framework", "==", filters.framework));
+    return snippet.isPublic === false ? "private" : "public";
+  }
+  
+  /**
+   * Get the user ID of a snippet's owner
+   * Snippets created before ownerId existed only have userId; it is copied
+   * to ownerId the next time their owner saves them, or by
+   * scripts/backfill-owner-ids.mjs. Queries filter on ownerId only, so
+   * that script must be run for those snippets to be listed as their owner's
+   * @param {Object} snippet - The snippet data
+   * @returns {string|null} The owner's user ID
+   */
+  export function getOwnerId(snippet) {
+    return snippet.ownerId || snippet.userId || null;
+  }
+  
+  /**
+   * Keep isPublic in sync with visibility
+   * Security rules and queries filter on isPublic, the UI uses visibility
+   * @param {Object} snippetData - Snippet fields being written
+   * @returns {Object} The same fields with visibility and isPublic set
+   */
+  function withVisibility(snippetData) {
+    // Leave both fields alone if the update doesn't touch visibility
+    if (snippetData.visibility === undefined && snippetData.isPublic === undefined) {
+      return snippetData;
     }
+    const visibility = getVisibility(snippetData);
+    return {
+      ...snippetData,
+      visibility,
+      isPublic: visibility === "public",
+    };
+  }
+  
+  /**
+   * Build a snippets query that only matches snippets the user may see
+   * Signed-out visitors see public snippets; signed-in users also see their own
+   * Security rules reject queries that could return other users' private snippets
+   * @param {string|null} userId - The signed-in user's ID, if any
+   * @param {Array} filters - Extra where() filters to apply
+   * @param {Array} modifiers - orderBy() and limit() constraints to apply
+   * @returns {Query} The Firestore query
+   */
+  export function getVisibleSnippetsQuery(userId, filters = [], modifiers = []) {
+    return buildVisibleSnippetsQuery(db, userId, filters, modifiers);
+  }
+  
+  /**
+   * Get one page of snippets with optional filters, sorted by Firestore
+   * Only snippets visible to the user are returned
+   * @param {Object} filters - Filter options (language, framework, tag, userId)
+   * @param {Object} options - Paging options
+   * @param {string} options.sortBy - A key of SNIPPET_SORTS (newest by default)
+   * @param {DocumentSnapshot|string|null} options.after - The cursor returned
+   *   with the previous page (or the ID of its last snippet, for a page
+   *   rendered on the server), or null for the first page
+   * @param {number} options.pageSize - Most snippets to return
+   * @returns {Promise<Object>} The page's snippets, the cursor for the next
+   *   page and whether there is one
+   */
+  export async function getSnippets(filters = {}, options = {}) {
+    let { after = null } = options;
     
-    // Apply tag filter if provided
-    // array-contains checks if the tag exists in the tags array
-    if (filters.tag) {
-      q = query(q, where("tags", "array-contains", filters.tag));
+    // Pages start after a document, so look up a cursor given by ID
+    if (typeof after === "string") {
+      after = await getDoc(doc(db, "snippets", after));
     }
     
-    // Sort by creation date (newest first) and limit to 50 results
-    q = query(q, orderBy("createdAt", "desc"), limit(50));
-    
-    // Set up real-time listener
-    // This will call the callback function whenever data changes
-    return onSnapshot(q, (snapshot) => {
-      const snippets = snapshot.docs.map((doc) => ({
-        id: doc.id,           // Firestore document ID
-        ...doc.data(),        // All the document fields
-      }));
-      callback(snippets);     // Send data to callback function
-    });
+    const pageOptions = { ...options, after };
+    const snapshot = await getDocs(buildSnippetsPageQuery(db, filters, pageOptions));
+    return toSnippetsPage(snapshot, pageOptions);
+  }
+  
+  /**
+   * Get the first page of snippets with real-time updates, sorted by
+   * Firestore. Further pages are read with getSnippets, after its cursor
+   * Only snippets visible to the user are returned
+   * @param {Object} filters - Filter options (language, framework, tag, userId)
+   * @param {Object} options - sortBy (a key of SNIPPET_SORTS, newest by
+   *   default) and pageSize (most snippets to return)
+   * @param {Function} callback - Function called with the page's snippets,
+   *   the cursor for the next page and whether there is one
+   * @param {Function} onError - Function called if the snippets can't be read
+   * @returns {Function} Unsubscribe function to stop listening
+   */
+  export function watchSnippets(filters, options, callback, onError) {
+    const pageOptions = { ...options, after: null };
+    return onSnapshot(
+      buildSnippetsPageQuery(db, filters, pageOptions),
+      (snapshot) => callback(toSnippetsPage(snapshot, pageOptions)),
+      onError
+    );
   }
   
   /**
@@ -80,43 +197,387 @@ import {
   }
   
   /**
-   * Add a new snippet to Firestore
-   * @param {Object} snippetData - The snippet data to add
-   * @returns {Promise<string>} The ID of the newly created snippet
+   * Get a single snippet with real-time updates
+   * @param {string} snippetId - The ID of the snippet
+   * @param {Function} callback - Function called with the snippet (null if missing)
+   * @param {Function} onError - Function called if the snippet can't be read
+   * @returns {Function} Unsubscribe function to stop listening
    */
-  export async function addSnippet(snippetData) {
-    // Get reference to snippets collection
-    const snippetsRef = collection(db, "snippets");
+  export function watchSnippet(snippetId, callback, onError) {
+    return onSnapshot(
+      doc(db, "snippets", snippetId),
+      (snippetDoc) => {
+        callback(snippetDoc.exists() ? { id: snippetDoc.id, ...snippetDoc.data() } : null);
+      },
+      onError
+    );
+  }
+  
+  /**
+   * Search snippets by title, description, tags, framework and code
+   * Firestore has no full-text search, so we fetch the search index entries
+   * of the newest snippets and rank them client-side. Entries only hold
+   * what search ranks and shows, with the start of each snippet's code
+   * (see functions/searchIndex.js), so whole snippets are never downloaded
+   * @param {string} queryText - The search text typed by the user
+   * @param {string|null} userId - The signed-in user's ID, if any
+   * @returns {Promise<Object>} results: matching entries (with the
+   *   snippet's ID), best match first; limited: whether there were more
+   *   snippets than MAX_SEARCH_CANDIDATES, so older ones weren't searched
+   */
+  export async function searchSnippets(queryText, userId = null) {
+    // Fetch the newest candidates the user is allowed to see
+    const q = buildVisibleSnippetsQuery(
+      db,
+      userId,
+      [],
+      [orderBy("createdAt", "desc"), limit(MAX_SEARCH_CANDIDATES)],
+      "searchIndex"
+    );
+    const snapshot = await getDocs(q);
+    
+    const entries = snapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
     
-    // Create new snippet with timestamps
-    const newSnippet = {
-      ...snippetData,                 // All the snippet fields
+    // Rank by relevance and drop snippets that don't match
+    return {
+      results: rankSnippets(entries, queryText),
+      limited: snapshot.size >= MAX_SEARCH_CANDIDATES,
+    };
+  }
+  
+  /**
+   * Build a revision document from a snippet's state
+   * @param {Object} snippetData - Snippet fields after the save
+   * @param {Object} extra - Extra revision fields (e.g. restoredFrom)
+   * @returns {Object} The revision data
+   */
+  function buildRevision(snippetData, extra = {}) {
+    const editor = auth.currentUser;
+    return {
+      ...pickFields(snippetData, REVISION_FIELDS),
+      editorId: editor?.uid || getOwnerId(snippetData),
+      editorName:
+        editor?.displayName || editor?.email || snippetData.author || "Unknown",
+      createdAt: Timestamp.now(),
+      ...extra,
+    };
+  }
+  
+  /**
+   * Check snippet fields against the snippet schema before they are written
+   * The same rules are enforced by firestore.rules
+   * @param {Object} snippetData - Full or partial snippet data
+   * @param {Object} options - validateSnippet options (e.g. partial)
+   * @returns {Object} The fields, trimmed
+   * @throws {SnippetValidationError} If any field is invalid
+   */
+  function checkSnippet(snippetData, options = {}) {
+    const { data, errors } = validateSnippet(snippetData, options);
+    if (errors) {
+      throw new SnippetValidationError(errors);
+    }
+    return data;
+  }
+  
+  /**
+   * Build the document for a brand new snippet
+   * @param {Object} snippetData - The snippet fields
+   * @returns {Object} The snippet with timestamps and counters initialized
+   */
+  function buildNewSnippet(snippetData) {
+    return {
+      ...withVisibility(withMainFile({ isPublic: true, ...snippetData })), // All the snippet fields (public by default)
       createdAt: Timestamp.now(),     // Current timestamp
       updatedAt: Timestamp.now(),     // Current timestamp
       rating: 0,                      // Initialize rating
       numRatings: 0,                  // Initialize number of ratings
+      sumRating: 0,                   // Initialize sum of all ratings
+      forkCount: 0,                   // Initialize number of forks
+      viewCount: 0,                   // Initialize number of views
+      bookmarkCount: 0,               // Initialize number of bookmarks
+      revisionCount: 1,               // The first revision is written with the snippet
     };
+  }
+  
+  /**
+   * Add one to a count in a map of counts (or subtract one)
+   * @param {Object} counts - Counts by name
+   * @param {string|null} name - The language, framework or tag (skipped if empty)
+   * @param {number} change - 1 or -1
+   */
+  function addToCount(counts, name, change) {
+    if (name) {
+      counts[name] = (counts[name] || 0) + change;
+    }
+  }
+  
+  /**
+   * Add a new snippet to Firestore
+   * The first revision is recorded together with the snippet
+   * author comes from the owner's profile when they have one
+   * @param {Object} snippetData - The snippet data to add (with ownerId,
+   *   and author as the name to use without a profile)
+   * @returns {Promise<string>} The ID of the newly created snippet
+   * @throws {SnippetValidationError} If the snippet fails the schema
+   */
+  export async function addSnippet(snippetData) {
+    // Reserve a new document in the snippets collection
+    const snippetRef = doc(collection(db, "snippets"));
     
-    // Add document to Firestore
-    const docRef = await addDoc(snippetsRef, newSnippet);
+    // Create new snippet with timestamps, showing the owner's profile name
+    const profile = await getDoc(doc(db, "users", snippetData.ownerId));
+    const newSnippet = checkSnippet(buildNewSnippet({
+      ...snippetData,
+      author: profile.data()?.displayName || snippetData.author,
+    }));
+    
+    // Add the snippet and its first revision to Firestore together
+    const batch = writeBatch(db);
+    batch.set(snippetRef, newSnippet);
+    batch.set(
+      doc(collection(snippetRef, "revisions")),
+      buildRevision(newSnippet)
+    );
+    await batch.commit();
     
     // Return the new document ID
-    return docRef.id;
+    return snippetRef.id;
+  }
+  
+  /**
+   * Add many snippets at once, e.g. from an import
+   * They are written in batches, each snippet with its first revision
+   * A snippet that fails the schema, or a batch that fails to write, is
+   * reported without stopping the rest
+   * @param {Array<Object>} snippetsData - The snippets to add, all with the
+   *   same ownerId (and author as for addSnippet)
+   * @param {Function} onProgress - Called with how many snippets have been
+   *   handled so far after each batch (optional)
+   * @returns {Promise<Array<Object>>} One result per snippet, in order:
+   *   { id } once added, or { error } with the reason it wasn't
+   */
+  export async function importSnippets(snippetsData, onProgress) {
+    if (snippetsData.length === 0) {
+      return [];
+    }
+    
+    // Every snippet shows the owner's profile name, as with addSnippet
+    const profile = await getDoc(doc(db, "users", snippetsData[0].ownerId));
+    const author = profile.data()?.displayName;
+    
+    const results = snippetsData.map((snippetData) => {
+      try {
+        return {
+          snippet: checkSnippet(buildNewSnippet({
+            ...snippetData,
+            author: author || snippetData.author,
+          })),
+        };
+      } catch (error) {
+        return { error: error.message };
+      }
+    });
+    
+    for (let start = 0; start < results.length; start += IMPORT_BATCH_SIZE) {
+      const pending = results
+        .slice(start, start + IMPORT_BATCH_SIZE)
+        .filter((result) => result.snippet);
+      
+      if (pending.length > 0) {
+        const batch = writeBatch(db);
+        pending.forEach((result) => {
+          const snippetRef = doc(collection(db, "snippets"));
+          batch.set(snippetRef, result.snippet);
+          batch.set(
+            doc(collection(snippetRef, "revisions")),
+            buildRevision(result.snippet)
+          );
+          result.id = snippetRef.id;
+        });
+        
+        try {
+          await batch.commit();
+        } catch (error) {
+          console.error("Error importing snippets:", error);
+          pending.forEach((result) => {
+            delete result.id;
+            result.error = error.message;
+          });
+        }
+      }
+      
+      onProgress?.(Math.min(start + IMPORT_BATCH_SIZE, results.length));
+    }
+    
+    return results.map(({ id, error }) => (id ? { id } : { error }));
+  }
+  
+  /**
+   * Fork a snippet: copy it into a new snippet owned by the user
+   * The fork remembers where it came from and the original's fork count
+   * goes up in the same transaction
+   * @param {string} snippetId - The ID of the snippet to fork
+   * @param {Object} user - The signed-in Firebase user
+   * @returns {Promise<string>} The ID of the new fork
+   */
+  export async function forkSnippet(snippetId, user) {
+    const originalRef = doc(db, "snippets", snippetId);
+    const forkRef = doc(collection(db, "snippets"));
+    
+    await runTransaction(db, async (transaction) => {
+      const originalDoc = await transaction.get(originalRef);
+      if (!originalDoc.exists()) {
+        throw new Error("Snippet not found");
+      }
+      const original = originalDoc.data();
+      const profile = await transaction.get(doc(db, "users", user.uid));
+      
+      // Forks of public snippets stay public, anything else starts private
+      const fork = checkSnippet(buildNewSnippet({
+        ...pickFields(original, REVISION_FIELDS),
+        visibility: getVisibility(original) === "public" ? "public" : "private",
+        author:
+          profile.data()?.displayName ||
+          user.displayName ||
+          user.email ||
+          "Anonymous User",
+        ownerId: user.uid,
+        forkedFrom: {
+          id: snippetId,
+          title: original.title,
+          author: original.author,
+          ownerId: getOwnerId(original),
+        },
+      }));
+      
+      transaction.set(forkRef, fork);
+      transaction.set(doc(collection(forkRef, "revisions")), buildRevision(fork));
+      // The rules check the count against the fork named here
+      transaction.update(originalRef, {
+        forkCount: increment(1),
+        lastForkId: forkRef.id,
+      });
+    });
+    
+    return forkRef.id;
+  }
+  
+  /**
+   * Get the forks of a snippet that the user can see, newest first
+   * @param {string} snippetId - The ID of the original snippet
+   * @param {string|null} userId - The signed-in user's ID, if any
+   * @returns {Promise<Array<Object>>} The visible forks
+   */
+  export async function getForks(snippetId, userId = null) {
+    // Equality filters only, so no composite index is needed
+    const snapshot = await getDocs(
+      getVisibleSnippetsQuery(userId, [where("forkedFrom.id", "==", snippetId)])
+    );
+    
+    return snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => b.createdAt.toMillis() - a.createdAt.toMillis());
+  }
+  
+  /**
+   * Get a user's public snippets, newest first
+   * @param {string} ownerId - The owner's user ID
+   * @returns {Promise<Array<Object>>} The snippets
+   */
+  export async function getPublicSnippetsByOwner(ownerId) {
+    // Equality filters only, so no composite index is needed
+    const snapshot = await getDocs(
+      query(
+        collection(db, "snippets"),
+        where("ownerId", "==", ownerId),
+        where("isPublic", "==", true)
+      )
+    );
+    
+    return snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => b.createdAt.toMillis() - a.createdAt.toMillis());
   }
   
   /**
    * Update an existing snippet
+   * Saves that touch the code or metadata also record a new revision
+   * Cached AI explanations are keyed by a hash of the code, so changing
+   * the code means the next "Explain Code" generates a fresh one
    * @param {string} snippetId - The ID of the snippet to update
    * @param {Object} snippetData - The updated snippet data
+   * @param {Object} options - Optional revision details
+   * @param {string} options.restoredFrom - ID of the revision being restored
+   * @throws {SnippetValidationError} If a field being saved fails the schema
    */
-  export async function updateSnippet(snippetId, snippetData) {
+  export async function updateSnippet(snippetId, snippetData, options = {}) {
+    // Only the fields being saved are checked
+    const changes = checkSnippet(snippetData, { partial: true });
+    
     // Get reference to specific document
     const snippetRef = doc(db, "snippets", snippetId);
     
-    // Update the document with new data and updated timestamp
-    await updateDoc(snippetRef, {
-      ...snippetData,
-      updatedAt: Timestamp.now(),
+    // Read the current snippet in a transaction, so its share link and
+    // revision count change from the version being replaced
+    await runTransaction(db, async (transaction) => {
+      const current = (await transaction.get(snippetRef)).data();
+      if (!current) {
+        throw new Error("Snippet not found");
+      }
+      
+      const updated = {
+        ...withVisibility(withMainFile(changes)),
+        updatedAt: Timestamp.now(),
+      };
+      
+      // Give snippets from before ownerId existed their owner's ID
+      if (!current.ownerId && current.userId) {
+        updated.ownerId = current.userId;
+      }
+      
+      // Record a revision when the code or metadata is part of this save
+      const revisionsRef = collection(snippetRef, "revisions");
+      if (REVISION_FIELDS.some((field) => changes[field] !== undefined)) {
+        let newRevisions = 1;
+        
+        // Snippets created before history existed have no first revision yet,
+        // so keep their current state before it is overwritten
+        if (current.revisionCount === undefined) {
+          transaction.set(doc(revisionsRef), {
+            ...pickFields(current, REVISION_FIELDS),
+            editorId: getOwnerId(current),
+            editorName: current.author || "Unknown",
+            createdAt: current.updatedAt || current.createdAt || Timestamp.now(),
+          });
+          newRevisions++;
+        }
+        
+        transaction.set(
+          doc(revisionsRef),
+          buildRevision(
+            { ...current, ...updated },
+            options.restoredFrom ? { restoredFrom: options.restoredFrom } : {}
+          )
+        );
+        updated.revisionCount = increment(newRevisions);
+      }
+      
+      // Update the document with new data and updated timestamp
+      transaction.update(snippetRef, updated);
+      
+      // Keep the share link's copy in step, or drop it if no longer unlisted
+      if (current.shareToken) {
+        const shareRef = doc(db, "shares", current.shareToken);
+        if (getVisibility({ ...current, ...updated }) === "unlisted") {
+          transaction.update(shareRef, pickFields(updated, SHARED_FIELDS));
+        } else {
+          transaction.delete(shareRef);
+          transaction.update(snippetRef, { shareToken: null });
+        }
+      }
     });
   }
   
@@ -128,80 +589,369 @@ import {
     // Get reference to specific document
     const snippetRef = doc(db, "snippets", snippetId);
     
-    // Delete the document
-    await deleteDoc(snippetRef);
+    // Firestore doesn't delete subcollections with their parent, and
+    // they can't be read once the snippet is gone
+    const revisions = await getDocs(collection(snippetRef, "revisions"));
+    const ratings = await getDocs(collection(snippetRef, "ratings"));
+    
+    // Read the snippet in a transaction to find any share link it has
+    const deleted = await runTransaction(db, async (transaction) => {
+      const current = (await transaction.get(snippetRef)).data();
+      if (!current) {
+        return false;
+      }
+      
+      // Delete the document and its share link together
+      transaction.delete(snippetRef);
+      if (current.shareToken) {
+        transaction.delete(doc(db, "shares", current.shareToken));
+      }
+      return true;
+    });
+    if (!deleted) {
+      return;
+    }
+    
+    // Then its history and ratings, which may be more than one batch holds
+    const leftovers = [...revisions.docs, ...ratings.docs];
+    for (let start = 0; start < leftovers.length; start += CLEANUP_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      leftovers
+        .slice(start, start + CLEANUP_BATCH_SIZE)
+        .forEach((leftover) => batch.delete(leftover.ref));
+      await batch.commit();
+    }
   }
   
   /**
-   * Get all unique programming languages from snippets
-   * Used for populating filter dropdowns
-   * @returns {Promise<Array<string>>} Sorted array of language names
+   * Count a signed-in user's view of a snippet, once per user
+   * The user's views subcollection remembers which snippets they have
+   * been counted for, and is written in the same transaction
+   * @param {string} snippetId - The ID of the viewed snippet
+   * @param {string} userId - The viewer's user ID
    */
-  export async function getLanguages() {
-    const snippetsRef = collection(db, "snippets");
-    const snapshot = await getDocs(snippetsRef);
+  export async function recordSnippetView(snippetId, userId) {
+    const viewRef = doc(db, "users", userId, "views", snippetId);
     
-    // Use a Set to automatically filter out duplicates
-    const languages = new Set();
+    await runTransaction(db, async (transaction) => {
+      if ((await transaction.get(viewRef)).exists()) {
+        return;
+      }
+      transaction.set(viewRef, { viewedAt: Timestamp.now() });
+      transaction.update(doc(db, "snippets", snippetId), { viewCount: increment(1) });
+    });
+  }
+  
+  /**
+   * Get all the snippets a user owns with real-time updates, newest first
+   * @param {string} ownerId - The owner's user ID
+   * @param {Function} callback - Function called with updated snippets
+   * @returns {Function} Unsubscribe function to stop listening
+   */
+  export function getOwnSnippets(ownerId, callback) {
+    // Equality filter only, so no composite index is needed
+    const q = query(collection(db, "snippets"), where("ownerId", "==", ownerId));
     
-    // Loop through all snippets and collect languages
-    snapshot.docs.forEach((doc) => {
-      const data = doc.data();
-      if (data.language) {
-        languages.add(data.language);
+    return onSnapshot(q, (snapshot) => {
+      const snippets = snapshot.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => b.createdAt.toMillis() - a.createdAt.toMillis());
+      callback(snippets);
+    });
+  }
+  
+  /**
+   * Apply a change to several snippets, one at a time
+   * One failing snippet doesn't stop the others
+   * @param {Array<Object>} snippets - The snippets to change, with their IDs
+   * @param {Function} change - Async function applied to each snippet
+   * @returns {Promise<Object>} How many succeeded, and each failure with
+   *   the snippet and its error message
+   */
+  async function applyToSnippets(snippets, change) {
+    let succeeded = 0;
+    const failed = [];
+    for (const snippet of snippets) {
+      try {
+        await change(snippet);
+        succeeded++;
+      } catch (error) {
+        console.error(`Error updating snippet ${snippet.id}:`, error);
+        failed.push({ snippet, message: error.message });
+      }
+    }
+    return { succeeded, failed };
+  }
+  
+  /**
+   * Change the visibility of several snippets
+   * @param {Array<Object>} snippets - The snippets, with their IDs
+   * @param {string} visibility - "public", "unlisted" or "private"
+   * @returns {Promise<Object>} The result, as from applyToSnippets
+   */
+  export async function setSnippetsVisibility(snippets, visibility) {
+    return applyToSnippets(snippets, (snippet) =>
+      updateSnippet(snippet.id, { visibility })
+    );
+  }
+  
+  /**
+   * Add tags to several snippets, keeping the tags they already have
+   * @param {Array<Object>} snippets - The snippets, with their IDs and tags
+   * @param {Array<string>} tags - The normalized tags to add
+   * @returns {Promise<Object>} The result, as from applyToSnippets
+   */
+  export async function addTagsToSnippets(snippets, tags) {
+    return applyToSnippets(snippets, async (snippet) => {
+      const current = snippet.tags || [];
+      const added = tags.filter((tag) => !current.includes(tag));
+      if (added.length > 0) {
+        await updateSnippet(snippet.id, { tags: [...current, ...added] });
       }
     });
+  }
+  
+  /**
+   * Delete several snippets
+   * @param {Array<Object>} snippets - The snippets, with their IDs
+   * @returns {Promise<Object>} The result, as from applyToSnippets
+   */
+  export async function deleteSnippets(snippets) {
+    return applyToSnippets(snippets, (snippet) => deleteSnippet(snippet.id));
+  }
+  
+  /**
+   * Show a user's new display name on all the snippets they own
+   * author is a copy of the owner's profile name, kept so lists can show
+   * it without reading every owner's profile
+   * @param {string} ownerId - The owner's user ID
+   * @param {string} author - The owner's new display name
+   */
+  export async function updateAuthorName(ownerId, author) {
+    const snapshot = await getDocs(
+      query(collection(db, "snippets"), where("ownerId", "==", ownerId))
+    );
     
-    // Convert Set to Array and sort alphabetically
-    return Array.from(languages).sort();
+    // A batch holds at most 500 writes, and each snippet may need two
+    for (let start = 0; start < snapshot.docs.length; start += AUTHOR_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      snapshot.docs.slice(start, start + AUTHOR_BATCH_SIZE).forEach((snippetDoc) => {
+        batch.update(snippetDoc.ref, { author });
+        
+        // The share link's copy shows the author too
+        const { shareToken } = snippetDoc.data();
+        if (shareToken) {
+          batch.update(doc(db, "shares", shareToken), { author });
+        }
+      });
+      await batch.commit();
+    }
   }
   
   /**
-   * Get all unique frameworks from snippets
-   * Used for populating filter dropdowns
-   * @returns {Promise<Array<string>>} Sorted array of framework names
+   * Pick some fields of a snippet, skipping those that aren't present
+   * @param {Object} snippetData - Full or partial snippet data
+   * @param {Array<string>} fields - Names of the fields to keep
+   * @returns {Object} Only the listed fields that are present
    */
-  export async function getFrameworks() {
-    const snippetsRef = collection(db, "snippets");
-    const snapshot = await getDocs(snippetsRef);
+  function pickFields(snippetData, fields) {
+    const picked = {};
+    fields.forEach((field) => {
+      if (snippetData[field] !== undefined) {
+        picked[field] = snippetData[field];
+      }
+    });
+    return picked;
+  }
+  
+  /**
+   * Get the revisions of a snippet with real-time updates, newest first
+   * @param {string} snippetId - The snippet whose history to load
+   * @param {Function} callback - Function called with updated revisions
+   * @returns {Function} Unsubscribe function to stop listening
+   */
+  export function getRevisions(snippetId, callback) {
+    const q = query(
+      collection(db, "snippets", snippetId, "revisions"),
+      orderBy("createdAt", "desc")
+    );
     
-    // Use a Set to automatically filter out duplicates
-    const frameworks = new Set();
+    return onSnapshot(q, (snapshot) => {
+      const revisions = snapshot.docs.map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }));
+      callback(revisions);
+    });
+  }
+  
+  /**
+   * Restore a snippet to an earlier revision
+   * The restore is saved as a new revision, so it can itself be undone
+   * @param {string} snippetId - The snippet to restore
+   * @param {Object} revision - The revision to restore (with its ID)
+   * @returns {Promise<Object>} The restored snippet fields
+   */
+  export async function restoreRevision(snippetId, revision) {
+    // Revisions from before multi-file snippets only have code and language
+    const restored = {
+      ...pickFields(revision, REVISION_FIELDS),
+      files: getSnippetFiles(revision),
+    };
+    await updateSnippet(snippetId, restored, { restoredFrom: revision.id });
+    return restored;
+  }
+  
+  /**
+   * Create (or replace) the share link of an unlisted snippet
+   * Replacing the link revokes the old token
+   * @param {Object} snippet - The snippet with its ID
+   * @returns {Promise<string>} The new share token
+   */
+  export async function createShareLink(snippet) {
+    // Random, unguessable token used as the share document ID
+    const token = crypto.randomUUID().replace(/-/g, "");
     
-    // Loop through all snippets and collect frameworks
-    snapshot.docs.forEach((doc) => {
-      const data = doc.data();
-      if (data.framework) {
-        frameworks.add(data.framework);
-      }
+    const batch = writeBatch(db);
+    
+    // Revoke the previous link, if any
+    if (snippet.shareToken) {
+      batch.delete(doc(db, "shares", snippet.shareToken));
+    }
+    
+    batch.set(doc(db, "shares", token), {
+      ...pickFields(snippet, SHARED_FIELDS),
+      snippetId: snippet.id,
+      ownerId: getOwnerId(snippet),
+      sharedAt: Timestamp.now(),
     });
+    batch.update(doc(db, "snippets", snippet.id), { shareToken: token });
     
-    // Convert Set to Array and sort alphabetically
-    return Array.from(frameworks).sort();
+    await batch.commit();
+    return token;
   }
   
   /**
-   * Get all unique tags from all snippets
-   * Used for populating filter dropdowns
-   * @returns {Promise<Array<string>>} Sorted array of tag names
+   * Revoke the share link of a snippet
+   * @param {Object} snippet - The snippet with its ID and shareToken
    */
-  export async function getAllTags() {
-    const snippetsRef = collection(db, "snippets");
-    const snapshot = await getDocs(snippetsRef);
+  export async function revokeShareLink(snippet) {
+    if (!snippet.shareToken) {
+      return;
+    }
     
-    // Use a Set to automatically filter out duplicates
-    const tags = new Set();
+    const batch = writeBatch(db);
+    batch.delete(doc(db, "shares", snippet.shareToken));
+    batch.update(doc(db, "snippets", snippet.id), { shareToken: null });
+    await batch.commit();
+  }
+  
+  /**
+   * Get the snippet behind a share link
+   * @param {string} token - The share token from the link
+   * @returns {Promise<Object>} The shared snippet fields
+   */
+  export async function getSharedSnippet(token) {
+    const shareDoc = await getDoc(doc(db, "shares", token));
     
-    // Loop through all snippets
-    snapshot.docs.forEach((doc) => {
-      const data = doc.data();
-      // Check if tags field exists and is an array
-      if (data.tags && Array.isArray(data.tags)) {
-        // Add each tag to the set
-        data.tags.forEach(tag => tags.add(tag));
-      }
+    if (!shareDoc.exists()) {
+      throw new Error("Share link not found");
+    }
+    return { id: shareDoc.data().snippetId, ...shareDoc.data() };
+  }
+  
+  /**
+   * Read a counts document
+   * The counts are kept by the onSnippetWritten Cloud Function and seeded
+   * by scripts/seed-snippet-counts.mjs; one that doesn't exist yet counts
+   * nothing, rather than reading every snippet here
+   * @param {DocumentReference} countsRef - The counts document
+   * @returns {Promise<Object>} The counts document's data
+   */
+  async function getCountsDoc(countsRef) {
+    const countsDoc = await getDoc(countsRef);
+    return countsDoc.data() || {};
+  }
+  
+  /**
+   * Add one set of counts to another
+   * @param {Object} target - The counts to add to
+   * @param {Object|undefined} counts - The counts to add (skipped if missing)
+   */
+  function mergeCounts(target, counts) {
+    if (!counts) {
+      return;
+    }
+    target.total += counts.total || 0;
+    ["languages", "frameworks", "tags"].forEach((group) => {
+      Object.entries(counts[group] || {}).forEach(([name, count]) =>
+        addToCount(target[group], name, count)
+      );
     });
+  }
+  
+  /**
+   * Get how many snippets the user can see, in total and per language,
+   * framework and tag: all public snippets plus the user's own unlisted
+   * and private ones. Read from the counts documents, not the snippets
+   * @param {string|null} userId - The signed-in user's ID, if any
+   * @returns {Promise<Object>} total, and languages, frameworks and tags
+   *   as maps of name to count (names without snippets are left out)
+   */
+  export async function getSnippetCounts(userId = null) {
+    const counts = { total: 0, languages: {}, frameworks: {}, tags: {} };
+    
+    mergeCounts(counts, await getCountsDoc(doc(db, "stats", "snippets")));
     
-    // Convert Set to Array and sort alphabetically
-    return Array.from(tags).sort();
+    if (userId) {
+      const ownCounts = await getCountsDoc(
+        doc(db, "users", userId, "stats", "snippets")
+      );
+      // The user's public snippets are already in the public counts
+      mergeCounts(counts, ownCounts.unlisted);
+      mergeCounts(counts, ownCounts.private);
+    }
+    
+    // Counts that went back down to zero stay in the documents
+    ["languages", "frameworks", "tags"].forEach((group) => {
+      Object.keys(counts[group]).forEach((name) => {
+        if (counts[group][name] <= 0) {
+          delete counts[group][name];
+        }
+      });
+    });
+    return counts;
+  }
+  
+  /**
+   * Get all unique programming languages from snippets
+   * Used for populating filter dropdowns
+   * @param {string|null} userId - The signed-in user's ID, if any
+   * @returns {Promise<Array<string>>} Sorted array of language names
+   */
+  export async function getLanguages(userId = null) {
+    const counts = await getSnippetCounts(userId);
+    return Object.keys(counts.languages).sort();
+  }
+  
+  /**
+   * Get all unique frameworks from snippets
+   * Used for populating filter dropdowns
+   * @param {string|null} userId - The signed-in user's ID, if any
+   * @returns {Promise<Array<string>>} Sorted array of framework names
+   */
+  export async function getFrameworks(userId = null) {
+    const counts = await getSnippetCounts(userId);
+    return Object.keys(counts.frameworks).sort();
+  }
+  
+  /**
+   * Get all unique tags from all snippets
+   * Used for populating filter dropdowns
+   * @param {string|null} userId - The signed-in user's ID, if any
+   * @returns {Promise<Array<string>>} Sorted array of tag names
+   */
+  export async function getAllTags(userId = null) {
+    const counts = await getSnippetCounts(userId);
+    return Object.keys(counts.tags).sort();
   }
\ No newline at end of file
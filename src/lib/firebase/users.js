@@ -0,0 +1,135 @@
+// Firebase Firestore functions for managing user profiles
+import {
+  doc,
+  getDoc,
+  updateDoc,
+  runTransaction,
+  Timestamp,
+} from "firebase/firestore";
+import { db } from "@/src/lib/firebase/clientApp";
+import { updateAuthorName } from "@/src/lib/firebase/snippets";
+import { updateOwnerName } from "@/src/lib/firebase/collections";
+import {
+  MAX_DISPLAY_NAME_LENGTH,
+  ProfileValidationError,
+  toHandle,
+  validateProfile,
+} from "@/src/lib/profileSchema";
+
+/**
+ * Get the name to show for a signed-in user
+ * @param {Object} user - The Firebase user
+ * @returns {string} Their display name, email or a placeholder
+ */
+export function getDisplayName(user) {
+  return user.displayName || user.email || "Anonymous User";
+}
+
+/**
+ * Get the URL of a user's author page
+ * @param {string} userId - The user's ID
+ * @returns {string} e.g. "/u/abc123"
+ */
+export function getProfilePath(userId) {
+  return `/u/${userId}`;
+}
+
+/**
+ * Get a user's profile
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Object|null>} The profile with its ID, or null if the
+ *   user has never signed in
+ */
+export async function getUserProfile(userId) {
+  const profileDoc = await getDoc(doc(db, "users", userId));
+  return profileDoc.exists()
+    ? { id: profileDoc.id, ...profileDoc.data() }
+    : null;
+}
+
+/**
+ * Create the signed-in user's profile on their first sign-in
+ * The display name and avatar start from their account, and the handle is
+ * claimed in the handles collection so no one else can take it. Later
+ * sign-ins only keep the avatar in step with the account
+ * @param {Object} user - The signed-in Firebase user
+ */
+export async function ensureUserProfile(user) {
+  const profileRef = doc(db, "users", user.uid);
+  const photoURL = user.photoURL || null;
+
+  await runTransaction(db, async (transaction) => {
+    const profileDoc = await transaction.get(profileRef);
+    const profile = profileDoc.exists() ? profileDoc.data() : null;
+
+    if (profile?.handle) {
+      if (profile.photoURL !== photoURL) {
+        transaction.update(profileRef, {
+          photoURL,
+          updatedAt: Timestamp.now(),
+        });
+      }
+      return;
+    }
+
+    // The first free handle from the user's name, then with their ID added
+    const base = toHandle(user.displayName || user.email?.split("@")[0] || "");
+    const uid = user.uid.toLowerCase();
+    const candidates = [
+      base,
+      `${base}-${uid.slice(0, 6)}`,
+      `${base}-${uid.slice(0, 9)}`,
+    ];
+    let handle = null;
+    for (const candidate of candidates) {
+      const handleDoc = await transaction.get(doc(db, "handles", candidate));
+      if (!handleDoc.exists() || handleDoc.data().uid === user.uid) {
+        handle = candidate;
+        break;
+      }
+    }
+    if (!handle) {
+      throw new Error("No free handle for this user");
+    }
+
+    // Profiles from before handles existed keep their name
+    transaction.set(doc(db, "handles", handle), { uid: user.uid });
+    transaction.set(profileRef, {
+      displayName:
+        profile?.displayName ||
+        getDisplayName(user).slice(0, MAX_DISPLAY_NAME_LENGTH),
+      photoURL,
+      bio: "",
+      handle,
+      createdAt: Timestamp.now(),
+      updatedAt: Timestamp.now(),
+    });
+  });
+}
+
+/**
+ * Update the signed-in user's display name and bio
+ * A new display name is also shown on every snippet and collection they own
+ * @param {string} userId - The user's ID
+ * @param {Object} profileData - displayName and bio
+ * @returns {Promise<Object>} The saved fields, trimmed
+ * @throws {ProfileValidationError} If a field is invalid
+ */
+export async function updateUserProfile(userId, profileData) {
+  const { data, errors } = validateProfile(profileData);
+  if (errors) {
+    throw new ProfileValidationError(errors);
+  }
+
+  const profile = await getUserProfile(userId);
+  await updateDoc(doc(db, "users", userId), {
+    ...data,
+    updatedAt: Timestamp.now(),
+  });
+
+  if (profile?.displayName !== data.displayName) {
+    await updateAuthorName(userId, data.displayName);
+    await updateOwnerName(userId, data.displayName);
+  }
+  return data;
+}
@@ -0,0 +1,313 @@
+/**
+ * Offline language detection for pasted code
+ * Guesses a file's language from, in order of trust:
+ *   1. its filename extension (when the user chose the filename)
+ *   2. a shebang line, e.g. "#!/usr/bin/env python3"
+ *   3. keyword and syntax patterns, each worth a few points per language
+ * Used to propose a language in the add and edit forms and to flag saved
+ * files whose language looks wrong
+ */
+
+import { getDefaultFilename } from "@/src/lib/snippetFiles";
+import { LANGUAGE_NAMES, getLanguageFromFilename } from "@/src/lib/languages";
+
+// Languages by the program named in a shebang line
+const SHEBANG_LANGUAGES = {
+  python: "Python",
+  node: "JavaScript",
+  deno: "TypeScript",
+  "ts-node": "TypeScript",
+  ruby: "Ruby",
+  php: "PHP",
+  bash: "Bash",
+  sh: "Bash",
+  zsh: "Bash",
+};
+
+// Points for each language, as [pattern, points] pairs
+// A pattern scores once however often it matches
+const LANGUAGE_PATTERNS = {
+  JavaScript: [
+    [/\b(const|let)\s+\w+\s*=/, 1],
+    [/=>/, 1],
+    [/\bfunction\s*\w*\s*\([^$)]*\)\s*\{/, 3],
+    [/\bconsole\.\w+\(/, 3],
+    [
+      /\brequire\(['"]|\bmodule\.exports\b|\bexport\s+(default|const|function)\b/,
+      3,
+    ],
+    [/\bimport\s+[\w{},*\s]+\s+from\s+['"]/, 3],
+    [/===|!==/, 1],
+    [/\b(document|window)\.\w+/, 2],
+    [/\bundefined\b/, 2],
+  ],
+  TypeScript: [
+    [/:\s*(string|number|boolean|any|void|unknown|never)(\[\])?\b/, 4],
+    [/\binterface\s+\w+\s*(extends\s+[\w,\s]+)?\{/, 2],
+    [/\btype\s+\w+(<[^>]*>)?\s*=/, 3],
+    [/\bas\s+(const|string|number|any|unknown)\b/, 3],
+    [/\b(private|public|readonly)\s+\w+\s*:/, 2],
+  ],
+  Python: [
+    [/^\s*def\s+\w+\s*\(.*\)\s*(->\s*[^:]+)?:\s*$/m, 4],
+    [/^\s*(from\s+[\w.]+\s+)?import\s+[\w.]+(\s+as\s+\w+)?\s*$/m, 2],
+    [/^\s*(if|elif|else|for|while|with|try|except|class)\b.*:\s*$/m, 3],
+    [/\belif\b/, 3],
+    [/\b(None|True|False)\b/, 2],
+    [/\bself\b/, 1],
+    [/\bprint\(/, 1],
+    [/\blambda\b[^:]*:/, 2],
+    [/if\s+__name__\s*==\s*['"]__main__['"]/, 5],
+  ],
+  Java: [
+    [/\bpublic\s+(static\s+)?(final\s+)?class\s+\w+/, 2],
+    [/\bSystem\.out\.print/, 5],
+    [/\bpublic\s+static\s+void\s+main\s*\(\s*String/, 5],
+    [/^\s*import\s+java\./m, 5],
+    [/^\s*package\s+[\w.]+;/m, 4],
+    [/@Override\b/, 3],
+    [/\b(ArrayList|HashMap|List|Map)<\w+/, 2],
+    [/\b(String|int|boolean|void)\s+\w+\s*\(/, 1],
+  ],
+  "C++": [
+    [/^\s*#include\s*[<"]/m, 4],
+    [/\bstd::/, 4],
+    [/\bcout\s*<<|\bcin\s*>>/, 4],
+    [/\busing\s+namespace\s+std\s*;/, 5],
+    [/\btemplate\s*</, 3],
+    [/\bint\s+main\s*\(/, 2],
+    [/\bnullptr\b/, 3],
+  ],
+  "C#": [
+    [/^\s*using\s+System(\.[\w.]+)?\s*;/m, 5],
+    [/\bnamespace\s+[\w.]+/, 1],
+    [/\bConsole\.Write(Line)?\(/, 5],
+    [
+      /\b(public|private|protected|internal)\s+(static\s+)?(async\s+)?(string|bool|Task)\b/,
+      3,
+    ],
+    [/\{\s*get;\s*(set;)?\s*\}/, 5],
+    [/\bvar\s+\w+\s*=\s*new\b/, 2],
+  ],
+  PHP: [
+    [/<\?php/, 6],
+    [/\$\w+\s*=[^=]/, 3],
+    [/\bfunction\s+\w+\s*\(\s*\$/, 4],
+    [/\$this->/, 4],
+    [/\becho\s+/, 1],
+  ],
+  Ruby: [
+    [/^\s*def\s+\w+[?!]?(\s*\(.*\))?\s*$/m, 3],
+    [/^\s*end\s*$/m, 3],
+    [/\bputs\s+/, 3],
+    [/\brequire(_relative)?\s+['"]/, 3],
+    [/\bdo\s*\|\w+/, 4],
+    [/^\s*@\w+\s*=/m, 2],
+    [/\battr_(accessor|reader|writer)\b/, 5],
+  ],
+  Go: [
+    [/^\s*package\s+\w+\s*$/m, 4],
+    [/\bfunc\s+(\(\w+\s+\*?\w+\)\s*)?\w+\s*\(/, 2],
+    [/:=/, 3],
+    [/\bfmt\.\w+\(/, 4],
+    [/\bimport\s*\(/, 3],
+    [/\berr\s*!=\s*nil\b/, 5],
+    [/\bchan\b|\bgo\s+func\b/, 3],
+  ],
+  Rust: [
+    [/\bfn\s+\w+\s*(<[^>]*>)?\s*\(/, 4],
+    [/\blet\s+mut\b/, 5],
+    [/\b(println|vec|format)!/, 5],
+    [/\bimpl\b/, 3],
+    [/^\s*use\s+\w+(::\w+)+/m, 4],
+    [/&(mut\s+)?(self|str)\b/, 4],
+    [/\bpub\s+(fn|struct|enum)\b/, 4],
+    [/\bmatch\s+\w+\s*\{/, 2],
+  ],
+  Swift: [
+    [/\bfunc\s+\w+\s*\(/, 2],
+    [/\b(var|let)\s+\w+\s*:\s*[A-Z]\w*/, 2],
+    [/\bimport\s+(UIKit|SwiftUI|Foundation)\b/, 6],
+    [/\bguard\s+let\b|\bif\s+let\b/, 5],
+    [/\bstruct\s+\w+\s*:\s*View\b/, 5],
+    [/\bprint\(".*\\\(/, 4],
+  ],
+  Kotlin: [
+    [/\bfun\s+\w+\s*\(/, 4],
+    [/\bval\s+\w+/, 3],
+    [/\bprintln\(/, 2],
+    [/\bdata\s+class\b/, 5],
+    [/\bwhen\s*(\(.*\))?\s*\{/, 3],
+    [/\bcompanion\s+object\b/, 5],
+    [/:\s*(Int|String|Boolean|Unit)\b/, 2],
+  ],
+  HTML: [
+    [/<!DOCTYPE\s+html/i, 6],
+    [/<(html|head|body|div|span|p|a|ul|li|script|link|meta)\b[^>]*>/i, 3],
+    [/<\/\w+>/, 2],
+    [/^\s*</, 3],
+  ],
+  CSS: [
+    [/^\s*[.#][\w-]+[^{;]*\{/m, 3],
+    [
+      /\b(color|margin|padding|display|font-size|background(-color)?|border|width|height)\s*:/,
+      3,
+    ],
+    [/@(media|import|keyframes)\b/, 4],
+    [/\d+(px|rem|em|vh|vw)\b/, 2],
+  ],
+  SQL: [
+    [/\bSELECT\b[\s\S]+?\bFROM\b/i, 5],
+    [
+      /\b(INSERT\s+INTO|UPDATE\s+\w+\s+SET|DELETE\s+FROM|(CREATE|ALTER|DROP)\s+TABLE)\b/i,
+      5,
+    ],
+    [/\b(WHERE|JOIN|GROUP BY|ORDER BY|PRIMARY KEY|VARCHAR)\b/, 2],
+  ],
+  Bash: [
+    [/^\s*(if|while|for)\b.*;\s*(then|do)\b/m, 4],
+    [/^\s*(fi|done|esac)\s*$/m, 4],
+    [/^\s*\w+=["'$\w]/m, 2],
+    [/\becho\s+["$]/, 2],
+    [
+      /^\s*(sudo|apt(-get)?|npm|cd|ls|mkdir|export|source|chmod|grep|curl)\s/m,
+      3,
+    ],
+    [/\|\s*(grep|awk|sed|xargs|sort|wc)\b/, 3],
+  ],
+};
+
+// Languages that extend another: they also score the base language's
+// points, but only once one of their own patterns matches, so plain
+// JavaScript isn't a tie with TypeScript
+const BASE_LANGUAGES = {
+  TypeScript: "JavaScript",
+};
+
+// Fewest points for a guess from patterns alone
+const MIN_SCORE = 3;
+
+// Confidence needed for each level
+const HIGH_CONFIDENCE = 0.7;
+const MEDIUM_CONFIDENCE = 0.4;
+
+/**
+ * Turns a confidence between 0 and 1 into a level
+ *
+ * @param {number} confidence - How sure the detector is
+ * @returns {string} "high", "medium" or "low"
+ */
+function getConfidenceLevel(confidence) {
+  if (confidence >= HIGH_CONFIDENCE) {
+    return "high";
+  }
+  return confidence >= MEDIUM_CONFIDENCE ? "medium" : "low";
+}
+
+/**
+ * Detects the language of some code
+ *
+ * @param {string} code - The code
+ * @param {string} filename - Filename chosen by the user, if any
+ * @returns {{language: string|null, confidence: number, level: string, reason: string|null}}
+ *   The best guess (null if there's too little to go on), how sure it is
+ *   (0 to 1, and as "high", "medium" or "low") and what it was based on
+ *   ("filename", "shebang" or "syntax")
+ */
+export function detectLanguage(code, filename = "") {
+  const fromFilename = getLanguageFromFilename(filename);
+  if (fromFilename) {
+    return {
+      language: fromFilename,
+      confidence: 1,
+      level: "high",
+      reason: "filename",
+    };
+  }
+
+  // e.g. "#!/usr/bin/env python3" or "#!/bin/bash"
+  const firstLine = code.trimStart().split("\n")[0];
+  const shebang = firstLine.match(/^#!\s*\S*?(?:env\s+)?([\w-]+?)[\d.]*\s*$/);
+  if (shebang) {
+    const language = SHEBANG_LANGUAGES[shebang[1]];
+    if (language) {
+      return { language, confidence: 0.95, level: "high", reason: "shebang" };
+    }
+  }
+
+  // Score every language and compare the best two
+  const scores = {};
+  LANGUAGE_NAMES.forEach((language) => {
+    scores[language] = (LANGUAGE_PATTERNS[language] || []).reduce(
+      (total, [pattern, points]) =>
+        pattern.test(code) ? total + points : total,
+      0
+    );
+  });
+  Object.entries(BASE_LANGUAGES).forEach(([language, base]) => {
+    if (scores[language] > 0) {
+      scores[language] += scores[base];
+    }
+  });
+  const ranked = LANGUAGE_NAMES.map((language) => ({
+    language,
+    score: scores[language],
+  })).sort((a, b) => b.score - a.score);
+
+  const [best, second] = ranked;
+  if (best.score < MIN_SCORE) {
+    return { language: null, confidence: 0, level: "low", reason: null };
+  }
+
+  // Sure when the winner is well ahead and has plenty of evidence
+  const margin = (best.score - second.score) / best.score;
+  const evidence = Math.min(1, best.score / 12);
+  const confidence = Math.round((margin * 0.6 + evidence * 0.4) * 100) / 100;
+
+  return {
+    language: best.language,
+    confidence,
+    level: getConfidenceLevel(confidence),
+    reason: "syntax",
+  };
+}
+
+/**
+ * Detects the language of one of a snippet's files
+ * Default filenames (e.g. "main.js") only echo the chosen language, so
+ * they are ignored
+ *
+ * @param {Object} file - The file: { filename, language, code }
+ * @param {number} index - Position of the file in the snippet
+ * @returns {Object} The detection, as for detectLanguage
+ */
+export function detectFileLanguage(file, index = 0) {
+  const chosenFilename =
+    file.filename === getDefaultFilename(file.language, index)
+      ? ""
+      : file.filename;
+  return detectLanguage(file.code || "", chosenFilename);
+}
+
+/**
+ * Finds files whose stored language looks wrong
+ * Only confident detections count, so unusual code isn't flagged
+ *
+ * @param {Array<Object>} files - The snippet's files
+ * @returns {Array<{filename: string, language: string, detected: string}>}
+ *   Each suspicious file with its stored and detected languages
+ */
+export function findLanguageMismatches(files) {
+  const mismatches = [];
+  files.forEach((file, index) => {
+    const detection = detectFileLanguage(file, index);
+    if (detection.level === "high" && detection.language !== file.language) {
+      mismatches.push({
+        filename: file.filename,
+        language: file.language,
+        detected: detection.language,
+      });
+    }
+  });
+  return mismatches;
+}
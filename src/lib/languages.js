@@ -0,0 +1,237 @@
+/**
+ * Supported languages
+ * The single list of languages a snippet file can be written in. Forms,
+ * language pages, syntax highlighting and detection all read it, so
+ * adding a language is one new entry here
+ *
+ * Each language has:
+ *   name       - display name, also stored on snippets (e.g. "C++")
+ *   slug       - stable URL segment for /language/[slug] (e.g. "cpp")
+ *   prism      - Prism grammar id used by CodeDisplay
+ *   icon       - emoji shown on language cards and pages
+ *   extensions - file extensions, the first is used for new files
+ *   aliases    - other names people use for it (lowercase)
+ */
+
+export const LANGUAGES = [
+  {
+    name: "JavaScript",
+    slug: "javascript",
+    prism: "javascript",
+    icon: "📜",
+    extensions: ["js", "jsx", "mjs", "cjs"],
+    aliases: ["js", "node", "nodejs", "jsx", "javascriptreact"],
+  },
+  {
+    name: "TypeScript",
+    slug: "typescript",
+    prism: "typescript",
+    icon: "📘",
+    extensions: ["ts", "tsx", "mts"],
+    aliases: ["ts", "tsx", "typescriptreact"],
+  },
+  {
+    name: "Python",
+    slug: "python",
+    prism: "python",
+    icon: "🐍",
+    extensions: ["py", "pyw"],
+    aliases: ["py", "python3"],
+  },
+  {
+    name: "Java",
+    slug: "java",
+    prism: "java",
+    icon: "☕",
+    extensions: ["java"],
+    aliases: [],
+  },
+  {
+    name: "C++",
+    slug: "cpp",
+    prism: "cpp",
+    icon: "⚙️",
+    extensions: ["cpp", "cc", "cxx", "hpp", "h"],
+    aliases: ["cplusplus"],
+  },
+  {
+    name: "C#",
+    slug: "csharp",
+    prism: "csharp",
+    icon: "#️⃣",
+    extensions: ["cs"],
+    aliases: ["cs", "dotnet"],
+  },
+  {
+    name: "PHP",
+    slug: "php",
+    prism: "php",
+    icon: "🐘",
+    extensions: ["php"],
+    aliases: [],
+  },
+  {
+    name: "Ruby",
+    slug: "ruby",
+    prism: "ruby",
+    icon: "💎",
+    extensions: ["rb"],
+    aliases: ["rb"],
+  },
+  {
+    name: "Go",
+    slug: "go",
+    prism: "go",
+    icon: "🐹",
+    extensions: ["go"],
+    aliases: ["golang"],
+  },
+  {
+    name: "Rust",
+    slug: "rust",
+    prism: "rust",
+    icon: "🦀",
+    extensions: ["rs"],
+    aliases: ["rs"],
+  },
+  {
+    name: "Swift",
+    slug: "swift",
+    prism: "swift",
+    icon: "🦅",
+    extensions: ["swift"],
+    aliases: [],
+  },
+  {
+    name: "Kotlin",
+    slug: "kotlin",
+    prism: "kotlin",
+    icon: "🎯",
+    extensions: ["kt", "kts"],
+    aliases: ["kt"],
+  },
+  {
+    name: "HTML",
+    slug: "html",
+    prism: "markup",
+    icon: "🌐",
+    extensions: ["html", "htm"],
+    aliases: ["htm", "markup"],
+  },
+  {
+    name: "CSS",
+    slug: "css",
+    prism: "css",
+    icon: "🎨",
+    extensions: ["css"],
+    aliases: [],
+  },
+  {
+    name: "SQL",
+    slug: "sql",
+    prism: "sql",
+    icon: "🗄️",
+    extensions: ["sql"],
+    aliases: [],
+  },
+  {
+    name: "Bash",
+    slug: "bash",
+    prism: "bash",
+    icon: "💻",
+    extensions: ["sh", "bash", "zsh"],
+    aliases: ["sh", "shell", "zsh", "shellscript"],
+  },
+];
+
+// Display names of the supported languages, in menu order
+export const LANGUAGE_NAMES = LANGUAGES.map((language) => language.name);
+
+// Icon for languages we don't know (e.g. on older snippets)
+const DEFAULT_ICON = "📄";
+
+/**
+ * Finds a language by its name, slug or an alias, ignoring case
+ *
+ * @param {string} value - e.g. "C++", "cpp" or "golang"
+ * @returns {Object|undefined} The language, if it is supported
+ */
+export function getLanguage(value = "") {
+  const key = value.trim().toLowerCase();
+  return LANGUAGES.find(
+    (language) =>
+      language.name.toLowerCase() === key ||
+      language.slug === key ||
+      language.aliases.includes(key)
+  );
+}
+
+/**
+ * Finds a language by its URL slug
+ *
+ * @param {string} slug - e.g. "csharp"
+ * @returns {Object|undefined} The language, if the slug is known
+ */
+export function getLanguageBySlug(slug) {
+  return LANGUAGES.find((language) => language.slug === slug);
+}
+
+/**
+ * Finds the language of a filename's extension
+ *
+ * @param {string} filename - e.g. "main.py"
+ * @returns {string|null} The language's name, if the extension is known
+ */
+export function getLanguageFromFilename(filename = "") {
+  const match = filename.trim().match(/\.(\w+)$/);
+  if (!match) {
+    return null;
+  }
+  const extension = match[1].toLowerCase();
+  const language = LANGUAGES.find((candidate) =>
+    candidate.extensions.includes(extension)
+  );
+  return language ? language.name : null;
+}
+
+/**
+ * Gets the URL of a language's page
+ * Languages we don't support keep their encoded name as the slug
+ *
+ * @param {string} name - The language's display name
+ * @returns {string} e.g. "/language/cpp"
+ */
+export function getLanguagePath(name) {
+  const language = getLanguage(name);
+  return `/language/${language ? language.slug : encodeURIComponent(name)}`;
+}
+
+/**
+ * Gets the icon of a language
+ *
+ * @param {string} name - The language's display name
+ * @returns {string} Its emoji, or a generic document icon
+ */
+export function getLanguageIcon(name) {
+  return getLanguage(name)?.icon || DEFAULT_ICON;
+}
+
+/**
+ * Gets the Prism grammar to highlight a language with
+ *
+ * @param {string} name - The language's display name
+ * @returns {string} The Prism language id ("text" for plain text)
+ */
+export function getPrismLanguage(name) {
+  return getLanguage(name)?.prism || "text";
+}
+
+/**
+ * Gets the extension used for new files in a language
+ *
+ * @param {string} name - The language's display name
+ * @returns {string} e.g. "py" ("txt" for unknown languages)
+ */
+export function getDefaultExtension(name) {
+  return getLanguage(name)?.extensions[0] || "txt";
+}
@@ -0,0 +1,51 @@
+/**
+ * AI metadata suggestions for new snippets
+ * Defines the shape of a suggestion (shared by the API route, which asks
+ * the model for it, and the add snippet form, which offers each field to
+ * the user) and how suggested tags are cleaned up
+ */
+
+import { z } from "zod";
+
+import { LANGUAGE_NAMES } from "@/src/lib/languages";
+import { isValidTag, normalizeTag } from "@/src/lib/snippetSchema";
+
+// Most tags we suggest for one snippet
+export const MAX_SUGGESTED_TAGS = 6;
+
+// Title, description, languages, framework and tags for a snippet
+export const MetadataSuggestionSchema = z.object({
+  title: z
+    .string()
+    .describe("Short, specific title for the snippet, at most 80 characters"),
+  description: z
+    .string()
+    .describe("What the code does and when to use it, in 1-2 sentences"),
+  languages: z
+    .array(z.enum(LANGUAGE_NAMES))
+    .describe("Language of each file, in the same order as the files"),
+  framework: z
+    .string()
+    .describe('Main framework or library the code uses, or "" if none'),
+  tags: z
+    .array(z.string())
+    .describe(`Up to ${MAX_SUGGESTED_TAGS} short lowercase tags`),
+});
+
+/**
+ * Cleans up suggested tags into the stored tag format, dropping any the
+ * snippet schema would reject, duplicates, and all past MAX_SUGGESTED_TAGS
+ *
+ * @param {Array<string>} tags - Tags from the model
+ * @returns {Array<string>} The cleaned tags
+ */
+export function normalizeTags(tags) {
+  const normalized = [];
+  tags.forEach((tag) => {
+    const clean = normalizeTag(tag);
+    if (isValidTag(clean) && !normalized.includes(clean)) {
+      normalized.push(clean);
+    }
+  });
+  return normalized.slice(0, MAX_SUGGESTED_TAGS);
+}
@@ -0,0 +1,83 @@
+/**
+ * The user profile schema
+ * Rules for the parts of a profile its owner edits, checked by the profile
+ * form and updateUserProfile and mirrored by isValidProfile in
+ * firestore.rules
+ */
+
+import { z } from "zod";
+
+export const MAX_DISPLAY_NAME_LENGTH = 100;
+export const MAX_BIO_LENGTH = 300;
+
+// Handles are chosen on first sign-in from the user's name and never change
+const HANDLE_PATTERN = /^[a-z0-9][a-z0-9-]{1,29}$/;
+
+// The fields a user edits on their profile page
+export const ProfileSchema = z.object({
+  displayName: z
+    .string()
+    .trim()
+    .min(1, "Display name is required")
+    .max(
+      MAX_DISPLAY_NAME_LENGTH,
+      `Display name must be at most ${MAX_DISPLAY_NAME_LENGTH} characters`
+    ),
+  bio: z
+    .string()
+    .trim()
+    .max(MAX_BIO_LENGTH, `Bio must be at most ${MAX_BIO_LENGTH} characters`),
+});
+
+/**
+ * Thrown by updateUserProfile when the profile fails the schema
+ * errors holds one message per invalid field, as from validateProfile
+ */
+export class ProfileValidationError extends Error {
+  constructor(errors) {
+    super(Object.values(errors)[0]);
+    this.name = "ProfileValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Checks the editable profile fields
+ *
+ * @param {Object} profileData - displayName and bio
+ * @returns {{data: Object, errors: Object|null}} The fields, trimmed, and
+ *   the first error message for each invalid field (null if all are valid)
+ */
+export function validateProfile(profileData) {
+  const result = ProfileSchema.safeParse(profileData);
+  if (result.success) {
+    return { data: result.data, errors: null };
+  }
+
+  const errors = {};
+  result.error.issues.forEach((issue) => {
+    const field = issue.path[0];
+    if (!errors[field]) {
+      errors[field] = issue.message;
+    }
+  });
+  return { data: profileData, errors };
+}
+
+/**
+ * Turns a name into a handle candidate, e.g. "Ada Lovelace" becomes
+ * "ada-lovelace"
+ *
+ * @param {string} name - A display name or the start of an email address
+ * @returns {string} A valid handle ("user" if nothing usable is left)
+ */
+export function toHandle(name) {
+  const handle = name
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 20)
+    .replace(/-+$/, "");
+  return HANDLE_PATTERN.test(handle) ? handle : "user";
+}
@@ -0,0 +1,63 @@
+/**
+ * In-memory sliding window rate limiter
+ * Counts requests per key (e.g. a user ID) over a time window. Counts live
+ * in the memory of one server instance, so with several instances each
+ * one enforces the limit on its own share of the traffic
+ */
+
+/**
+ * Creates a rate limiter
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Most requests allowed per key in one window
+ * @param {number} options.windowMs - Length of the window in milliseconds
+ * @returns {{ check: Function }} Limiter whose check(key) records a request
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  // Request times for each key, oldest first
+  let requests = Object.create(null);
+
+  /**
+   * Records a request for a key if it is within the limit
+   *
+   * @param {string} key - Who is making the request
+   * @returns {{ allowed: boolean, retryAfter: number }} Whether the request
+   *   may go ahead, and if not, how many seconds until it may be retried
+   */
+  function check(key) {
+    const now = Date.now();
+
+    // Forget requests that have left the window
+    const recent = (requests[key] || []).filter(
+      (time) => time > now - windowMs
+    );
+
+    if (recent.length >= limit) {
+      requests[key] = recent;
+      return {
+        allowed: false,
+        retryAfter: Math.ceil((recent[0] + windowMs - now) / 1000),
+      };
+    }
+
+    recent.push(now);
+    requests[key] = recent;
+
+    // Drop keys that have gone quiet so the counts don't grow forever
+    const keys = Object.keys(requests);
+    if (keys.length > 1000) {
+      const active = Object.create(null);
+      keys.forEach((otherKey) => {
+        const times = requests[otherKey];
+        if (times[times.length - 1] > now - windowMs) {
+          active[otherKey] = times;
+        }
+      });
+      requests = active;
+    }
+
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  return { check };
+}
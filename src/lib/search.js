@@ -0,0 +1,279 @@
+/**
+ * Full-text search helpers for code snippets
+ * Tokenizes text, ranks snippets against a query and splits text into
+ * highlighted segments for display
+ */
+
+import { filesToText, getSnippetFiles } from "@/src/lib/snippetFiles";
+
+// How much a match in each field counts towards a snippet's score
+const FIELD_WEIGHTS = {
+  title: 10,
+  tags: 8,
+  framework: 6,
+  description: 4,
+  code: 1,
+};
+
+// Tokens shorter than this are ignored (too noisy to be useful)
+const MIN_TOKEN_LENGTH = 2;
+
+/**
+ * Splits text into lowercase search tokens
+ * Identifiers are also split on camelCase and snake_case boundaries so
+ * "useState" matches both "usestate" and "state"
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Lowercase tokens (may contain duplicates)
+ */
+export function tokenize(text = "") {
+  const tokens = [];
+
+  // Words are runs of letters, digits, underscores, "#" and "+" (for C#, C++)
+  const words = String(text).match(/[A-Za-z0-9_#+]+/g) || [];
+
+  words.forEach((word) => {
+    tokens.push(word.toLowerCase());
+
+    // Split identifiers into their parts: fooBar, foo_bar, HTTPServer
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+      .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+      .split(/[\s_]+/);
+
+    if (parts.length > 1) {
+      parts.forEach((part) => tokens.push(part.toLowerCase()));
+    }
+  });
+
+  return tokens.filter((token) => token.length >= MIN_TOKEN_LENGTH);
+}
+
+/**
+ * Tokenizes a search query, dropping duplicate terms
+ *
+ * @param {string} queryText - What the user typed
+ * @returns {Array<string>} Unique query terms
+ */
+export function getQueryTerms(queryText) {
+  return tokenize(queryText).filter(
+    (token, index, tokens) => tokens.indexOf(token) === index
+  );
+}
+
+/**
+ * Scores how well one field matches a query term
+ * Exact token matches count fully, prefix matches count half
+ *
+ * @param {Array<string>} fieldTokens - Tokens of the field
+ * @param {string} term - A single query term
+ * @returns {number} Match strength for this field (0 if no match)
+ */
+function scoreField(fieldTokens, term) {
+  let score = 0;
+  fieldTokens.forEach((token) => {
+    if (token === term) {
+      score += 1;
+    } else if (token.startsWith(term)) {
+      score += 0.5;
+    }
+  });
+
+  // Diminishing returns so a term repeated 50 times in code doesn't dominate
+  return score === 0 ? 0 : 1 + Math.log(score + 1);
+}
+
+/**
+ * Ranks a snippet against a set of query terms
+ * Every term must match at least one field, otherwise the score is 0
+ *
+ * @param {Object} snippet - Snippet with title, description, tags, framework and code (or files)
+ * @param {Array<string>} terms - Query terms from getQueryTerms()
+ * @returns {number} Relevance score (higher is better, 0 means no match)
+ */
+export function scoreSnippet(snippet, terms) {
+  if (terms.length === 0) {
+    return 0;
+  }
+
+  const fields = {
+    title: tokenize(snippet.title),
+    tags: tokenize((snippet.tags || []).join(" ")),
+    framework: tokenize(snippet.framework || ""),
+    description: tokenize(snippet.description),
+    code: tokenize(filesToText(getSnippetFiles(snippet))),
+  };
+
+  let total = 0;
+  for (const term of terms) {
+    let termScore = 0;
+    Object.keys(fields).forEach((field) => {
+      termScore += scoreField(fields[field], term) * FIELD_WEIGHTS[field];
+    });
+
+    // A term that matches nowhere rules the snippet out
+    if (termScore === 0) {
+      return 0;
+    }
+    total += termScore;
+  }
+
+  return total;
+}
+
+/**
+ * Finds and ranks the snippets that match a query
+ *
+ * @param {Array<Object>} snippets - Candidate snippets
+ * @param {string} queryText - What the user typed
+ * @returns {Array<Object>} Matching snippets with a `score` field, best first
+ */
+export function rankSnippets(snippets, queryText) {
+  const terms = getQueryTerms(queryText);
+
+  return snippets
+    .map((snippet) => ({ ...snippet, score: scoreSnippet(snippet, terms) }))
+    .filter((snippet) => snippet.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Keeps only snippets matching every selected facet
+ *
+ * @param {Array<Object>} snippets - Snippets to filter
+ * @param {Object} facets - Selected language, framework and tag (each optional)
+ * @returns {Array<Object>} Snippets matching all selected facets
+ */
+export function filterByFacets(snippets, { language, framework, tag } = {}) {
+  return snippets.filter(
+    (snippet) =>
+      (!language || snippet.language === language) &&
+      (!framework || snippet.framework === framework) &&
+      (!tag || (snippet.tags || []).includes(tag))
+  );
+}
+
+/**
+ * Counts how many snippets have each language, framework and tag
+ * Used to show the available facets and their sizes next to the results
+ *
+ * @param {Array<Object>} snippets - Snippets to count
+ * @returns {Object} { languages, frameworks, tags } each an array of { value, count }
+ */
+export function getFacetCounts(snippets) {
+  const counts = { languages: {}, frameworks: {}, tags: {} };
+
+  snippets.forEach((snippet) => {
+    if (snippet.language) {
+      counts.languages[snippet.language] =
+        (counts.languages[snippet.language] || 0) + 1;
+    }
+    if (snippet.framework) {
+      counts.frameworks[snippet.framework] =
+        (counts.frameworks[snippet.framework] || 0) + 1;
+    }
+    (snippet.tags || []).forEach((tag) => {
+      counts.tags[tag] = (counts.tags[tag] || 0) + 1;
+    });
+  });
+
+  // Convert { name: count } objects to arrays sorted by count, then name
+  const toSortedArray = (counted) =>
+    Object.entries(counted)
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+  return {
+    languages: toSortedArray(counts.languages),
+    frameworks: toSortedArray(counts.frameworks),
+    tags: toSortedArray(counts.tags),
+  };
+}
+
+/**
+ * Escapes characters that have a special meaning in regular expressions
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} Text safe to use inside a RegExp
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Splits text into segments, marking the parts that match query terms
+ *
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} terms - Query terms from getQueryTerms()
+ * @returns {Array<{text: string, match: boolean}>} Segments in original order
+ */
+export function highlightText(text = "", terms) {
+  if (!text || terms.length === 0) {
+    return [{ text, match: false }];
+  }
+
+  // Longest terms first so "useState" wins over "use"
+  const pattern = new RegExp(
+    `(${[...terms]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join("|")})`,
+    "gi"
+  );
+
+  return text
+    .split(pattern)
+    .filter((part) => part.length > 0)
+    .map((part) => ({
+      text: part,
+      match: terms.includes(part.toLowerCase()),
+    }));
+}
+
+/**
+ * Finds the first lines of code that match a query
+ * Shown under each result so users can see why the code matched
+ *
+ * @param {string} code - Snippet code
+ * @param {Array<string>} terms - Query terms from getQueryTerms()
+ * @param {number} maxLines - Maximum number of lines to return (default: 3)
+ * @returns {Array<{lineNumber: number, text: string}>} Matching lines
+ */
+export function getMatchingLines(code = "", terms, maxLines = 3) {
+  const matches = [];
+  const lines = code.split("\n");
+
+  for (let i = 0; i < lines.length && matches.length < maxLines; i++) {
+    const lineTokens = tokenize(lines[i]);
+    if (
+      terms.some((term) => lineTokens.some((token) => token.startsWith(term)))
+    ) {
+      matches.push({ lineNumber: i + 1, text: lines[i].trim() });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Finds the first matching lines across all files of a snippet
+ *
+ * @param {Object} snippet - Snippet with files (or just code)
+ * @param {Array<string>} terms - Query terms from getQueryTerms()
+ * @param {number} maxLines - Maximum number of lines to return (default: 3)
+ * @returns {Array<{filename: string, lineNumber: number, text: string}>} Matching lines
+ */
+export function getSnippetMatchingLines(snippet, terms, maxLines = 3) {
+  const matches = [];
+
+  for (const file of getSnippetFiles(snippet)) {
+    if (matches.length >= maxLines) {
+      break;
+    }
+    getMatchingLines(file.code, terms, maxLines - matches.length).forEach(
+      (line) => matches.push({ filename: file.filename, ...line })
+    );
+  }
+
+  return matches;
+}
@@ -0,0 +1,169 @@
+/**
+ * Helpers for multi-file snippets
+ * A snippet holds an ordered list of files, each with a filename,
+ * a language and its code. The first file is the snippet's main file:
+ * its code and language are also stored at the top level of the snippet
+ * so listings, language pages and older snippets keep working
+ */
+
+import JSZip from "jszip";
+
+import { LANGUAGE_NAMES, getDefaultExtension } from "@/src/lib/languages";
+
+// Most files a single snippet may hold
+export const MAX_FILES = 10;
+
+// Longest filename we accept
+export const MAX_FILENAME_LENGTH = 100;
+
+// Most code a snippet may hold, all files together
+// (every revision keeps a copy, and Firestore documents max out at 1 MiB)
+export const MAX_SNIPPET_CODE_LENGTH = 100000;
+
+/**
+ * Suggests a filename for a file in a language, e.g. "main.py"
+ *
+ * @param {string} language - The file's language
+ * @param {number} index - Position of the file (used to keep names unique)
+ * @returns {string} A default filename
+ */
+export function getDefaultFilename(language, index = 0) {
+  const extension = getDefaultExtension(language);
+  return index === 0 ? `main.${extension}` : `file${index + 1}.${extension}`;
+}
+
+/**
+ * Creates an empty file for the add and edit forms
+ *
+ * @param {string} language - Language of the new file
+ * @param {number} index - Position of the new file
+ * @returns {Object} The file with filename, language and empty code
+ */
+export function createEmptyFile(language = "JavaScript", index = 0) {
+  return {
+    filename: getDefaultFilename(language, index),
+    language,
+    code: "",
+  };
+}
+
+/**
+ * Gets the files of a snippet
+ * Snippets created before multi-file support only have code and language,
+ * so they are treated as a single file
+ *
+ * @param {Object} snippet - Snippet, revision or share data
+ * @returns {Array<Object>} The files, in order
+ */
+export function getSnippetFiles(snippet) {
+  if (Array.isArray(snippet.files) && snippet.files.length > 0) {
+    return snippet.files;
+  }
+
+  const language = snippet.language || "JavaScript";
+  return [
+    {
+      filename: getDefaultFilename(language),
+      language,
+      code: snippet.code || "",
+    },
+  ];
+}
+
+/**
+ * Keeps the top-level code and language in step with the main file
+ * Updates that don't touch the files are returned unchanged
+ *
+ * @param {Object} snippetData - Snippet fields being written
+ * @returns {Object} The same fields with code and language from files[0]
+ */
+export function withMainFile(snippetData) {
+  if (!Array.isArray(snippetData.files) || snippetData.files.length === 0) {
+    return snippetData;
+  }
+
+  const [mainFile] = snippetData.files;
+  return {
+    ...snippetData,
+    code: mainFile.code,
+    language: mainFile.language,
+  };
+}
+
+/**
+ * Checks the files of a snippet (from the forms, the AI or the data layer)
+ *
+ * @param {Array<Object>} files - The files to check
+ * @returns {string|null} An error message, or null if the files are valid
+ */
+export function validateFiles(files) {
+  if (files.length === 0) {
+    return "A snippet needs at least one file";
+  }
+  if (files.length > MAX_FILES) {
+    return `A snippet can have at most ${MAX_FILES} files`;
+  }
+
+  const filenames = [];
+  let codeLength = 0;
+  for (const file of files) {
+    if (typeof file?.filename !== "string" || typeof file.code !== "string") {
+      return "Every file needs a filename and code";
+    }
+    const filename = file.filename.trim();
+    if (!filename) {
+      return "Every file needs a filename";
+    }
+    if (filename.length > MAX_FILENAME_LENGTH) {
+      return `"${filename}" is longer than ${MAX_FILENAME_LENGTH} characters`;
+    }
+    if (/[\\/]/.test(filename)) {
+      return `"${filename}" can't contain slashes`;
+    }
+    if (filenames.includes(filename)) {
+      return `There are two files named "${filename}"`;
+    }
+    filenames.push(filename);
+
+    if (!LANGUAGE_NAMES.includes(file.language)) {
+      return `"${filename}" needs a supported language`;
+    }
+
+    if (!file.code.trim()) {
+      return `"${filename}" is empty`;
+    }
+    codeLength += file.code.length;
+  }
+
+  if (codeLength > MAX_SNIPPET_CODE_LENGTH) {
+    return `A snippet can have at most ${MAX_SNIPPET_CODE_LENGTH.toLocaleString("en-US")} characters of code`;
+  }
+
+  return null;
+}
+
+/**
+ * Joins all files into one text, each under a header with its filename
+ * Used to diff and search every file of a snippet at once
+ *
+ * @param {Array<Object>} files - The snippet's files
+ * @returns {string} The combined text (just the code for a single file)
+ */
+export function filesToText(files) {
+  if (files.length === 1) {
+    return files[0].code;
+  }
+  return files.map((file) => `// ${file.filename}\n${file.code}`).join("\n\n");
+}
+
+/**
+ * Packs the files of a snippet into a zip archive
+ *
+ * @param {Array<Object>} files - The snippet's files
+ * @returns {Promise<Blob>} The zip file
+ */
+export async function createFilesZip(files) {
+  const zip = new JSZip();
+  files.forEach((file) => zip.file(file.filename, file.code));
+  return zip.generateAsync({ type: "blob" });
+}
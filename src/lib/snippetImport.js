@@ -0,0 +1,563 @@
+/**
+ * Snippet import
+ * Turns files from other tools into draft snippets for the import page to
+ * preview and edit before anything is saved:
+ *   .code-snippets, .json - VS Code snippet files (one snippet per entry)
+ *                           or gists from the GitHub API (one per gist)
+ *   .zip                  - one snippet per source file
+ *   .md, .markdown        - one snippet per fenced code block
+ *   other source files    - one snippet
+ * Languages come from the file extension, fence or scope when there is
+ * one, and from the code itself otherwise
+ */
+
+import JSZip from "jszip";
+
+import { detectLanguage } from "@/src/lib/languageDetection";
+import {
+  LANGUAGES,
+  getLanguage,
+  getLanguageFromFilename,
+} from "@/src/lib/languages";
+import {
+  MAX_DESCRIPTION_LENGTH,
+  MAX_TAGS,
+  MAX_TITLE_LENGTH,
+  isValidTag,
+  normalizeTag,
+  parseTags,
+} from "@/src/lib/snippetSchema";
+import {
+  MAX_FILES,
+  MAX_SNIPPET_CODE_LENGTH,
+  getDefaultFilename,
+} from "@/src/lib/snippetFiles";
+
+// Most drafts read from one import, so a huge archive can't freeze the page
+export const MAX_IMPORT_DRAFTS = 200;
+
+// File types the import page accepts
+export const IMPORT_ACCEPT = [
+  ".code-snippets",
+  ".json",
+  ".zip",
+  ".md",
+  ".markdown",
+  ...LANGUAGES.flatMap((language) =>
+    language.extensions.map((extension) => `.${extension}`)
+  ),
+].join(",");
+
+// ============================================
+// DRAFTS
+// ============================================
+
+/**
+ * Makes the first line of text fit a length
+ *
+ * @param {string} text - The text
+ * @param {number} length - The most characters to keep
+ * @returns {string} The first line, trimmed and cut to length
+ */
+function fitText(text = "", length) {
+  return text.trim().split("\n")[0].slice(0, length).trim();
+}
+
+/**
+ * Guesses the language of some code
+ *
+ * @param {string} code - The code
+ * @param {Object} hints
+ * @param {Array<string>} hints.names - Language names or ids the source
+ *   gave (e.g. a fence's "js" or a VS Code scope), best first
+ * @param {string} hints.filename - The code's filename, if it has one
+ * @returns {string|null} The language's name, or null if unknown
+ */
+function guessLanguage(code, { names = [], filename = "" } = {}) {
+  for (const name of names) {
+    const language = name && getLanguage(name);
+    if (language) {
+      return language.name;
+    }
+  }
+  return (
+    getLanguageFromFilename(filename) || detectLanguage(code, filename).language
+  );
+}
+
+/**
+ * Builds a draft snippet
+ *
+ * @param {Object} fields
+ * @param {string} fields.title - Title, cut to fit
+ * @param {string} fields.description - Description, cut to fit (optional)
+ * @param {Array<Object>} fields.files - Files: { filename, language, code };
+ *   a missing filename gets the language's default
+ * @param {Array<string>} fields.tags - Tags, invalid ones are dropped
+ * @param {string} fields.source - Where the draft came from, for the preview
+ * @returns {Object} The draft, with tags as the comma-separated text the
+ *   preview edits
+ */
+function createDraft({ title, description = "", files, tags = [], source }) {
+  const validTags = [];
+  tags.forEach((tag) => {
+    const normalized = normalizeTag(tag);
+    if (
+      isValidTag(normalized) &&
+      !validTags.includes(normalized) &&
+      validTags.length < MAX_TAGS
+    ) {
+      validTags.push(normalized);
+    }
+  });
+
+  return {
+    title: fitText(title, MAX_TITLE_LENGTH) || "Untitled snippet",
+    description: description.trim().slice(0, MAX_DESCRIPTION_LENGTH),
+    files: files.map((file, index) => {
+      // Left empty for the preview to ask for when it couldn't be guessed
+      const language = file.language || "";
+      return {
+        filename: file.filename || getDefaultFilename(language, index),
+        language,
+        code: file.code,
+      };
+    }),
+    tagsText: validTags.join(", "),
+    source,
+  };
+}
+
+/**
+ * Changes the language of a draft's main file
+ * A default filename (e.g. "main.txt") follows the new language
+ *
+ * @param {Object} draft - The draft
+ * @param {string} language - The new language's name
+ * @returns {Object} A copy of the draft with the new language
+ */
+export function setDraftLanguage(draft, language) {
+  const [mainFile, ...otherFiles] = draft.files;
+  const filename =
+    mainFile.filename === getDefaultFilename(mainFile.language)
+      ? getDefaultFilename(language)
+      : mainFile.filename;
+  return {
+    ...draft,
+    files: [{ ...mainFile, filename, language }, ...otherFiles],
+  };
+}
+
+/**
+ * Turns a draft into snippet fields for the data layer
+ *
+ * @param {Object} draft - The draft, as edited in the preview
+ * @param {Array<string>} extraTags - Tags added to every imported snippet
+ * @returns {Object} title, description, files and tags
+ */
+export function draftToSnippet(draft, extraTags = []) {
+  const tags = parseTags(draft.tagsText);
+  extraTags.forEach((tag) => {
+    if (!tags.includes(tag)) {
+      tags.push(tag);
+    }
+  });
+
+  return {
+    title: draft.title,
+    description: draft.description,
+    files: draft.files,
+    framework: null,
+    tags,
+  };
+}
+
+// ============================================
+// FORMATS
+// ============================================
+
+/**
+ * Replaces VS Code snippet tab stops with their default text
+ * e.g. "${1:name}" and later "$1" become "name", "${2|a,b|}" becomes "a"
+ * and "$0" goes
+ *
+ * @param {string} body - The snippet's body
+ * @returns {string} Plain code
+ */
+function stripTabStops(body) {
+  const defaults = {};
+  return body
+    .replace(/\$\{(\d+):([^{}]*)\}/g, (match, stop, text) => {
+      defaults[stop] = text;
+      return text;
+    })
+    .replace(/\$\{(\d+)\|([^,|]*)[^}]*\|\}/g, (match, stop, choice) => {
+      defaults[stop] = choice;
+      return choice;
+    })
+    .replace(
+      /\$\{(\d+)\}|\$(\d+)/g,
+      (match, braced, plain) => defaults[braced || plain] || ""
+    )
+    .replace(/\\\$/g, "$");
+}
+
+/**
+ * Reads a VS Code snippets file
+ * Global ".code-snippets" files name their languages in each entry's
+ * scope; language files (e.g. "python.json") are named after theirs
+ *
+ * @param {Object} data - The parsed file: entries by snippet name
+ * @param {string} fileName - The file's name
+ * @returns {Object} drafts and skipped
+ */
+function readVsCodeSnippets(data, fileName) {
+  const fileLanguage = fileName.replace(/\.(json|code-snippets)$/i, "");
+  const drafts = [];
+  const skipped = [];
+
+  Object.keys(data).forEach((name) => {
+    const entry = data[name];
+    const body = Array.isArray(entry?.body)
+      ? entry.body.join("\n")
+      : entry?.body;
+    if (typeof body !== "string" || !body.trim()) {
+      skipped.push(`${fileName}: "${name}" has no body`);
+      return;
+    }
+
+    const code = stripTabStops(body);
+    const scopes =
+      typeof entry.scope === "string" ? entry.scope.split(",") : [];
+    const prefixes = Array.isArray(entry.prefix)
+      ? entry.prefix
+      : [entry.prefix];
+    drafts.push(
+      createDraft({
+        title: name,
+        description:
+          typeof entry.description === "string" ? entry.description : "",
+        files: [
+          {
+            language: guessLanguage(code, {
+              names: [...scopes, fileLanguage],
+            }),
+            code,
+          },
+        ],
+        tags: prefixes.filter((prefix) => typeof prefix === "string"),
+        source: fileName,
+      })
+    );
+  });
+
+  return { drafts, skipped };
+}
+
+/**
+ * Reads gists as returned by the GitHub API (GET /gists/{id}), alone or
+ * in a list. Lists of gists (GET /gists) leave out the files' content, so
+ * those gists are skipped
+ *
+ * @param {Array<Object>} gists - The gists
+ * @param {string} fileName - The file's name
+ * @returns {Object} drafts and skipped
+ */
+function readGists(gists, fileName) {
+  const drafts = [];
+  const skipped = [];
+
+  gists.forEach((gist, index) => {
+    const label = gist.description || gist.id || `gist ${index + 1}`;
+    const files = [];
+    Object.values(gist.files || {}).forEach((file) => {
+      if (typeof file?.content !== "string" || !file.content.trim()) {
+        return;
+      }
+      const language = guessLanguage(file.content, {
+        names: [file.language],
+        filename: file.filename,
+      });
+      if (!language) {
+        skipped.push(`${file.filename}: not a supported language`);
+        return;
+      }
+      files.push({ filename: file.filename, language, code: file.content });
+    });
+
+    if (files.length === 0) {
+      skipped.push(
+        `${fileName}: "${label}" has no code to import (export gists one at a time with GET /gists/{id})`
+      );
+      return;
+    }
+    if (files.length > MAX_FILES) {
+      skipped.push(
+        `${fileName}: "${label}" has more than ${MAX_FILES} files, only the first ${MAX_FILES} were kept`
+      );
+    }
+
+    drafts.push(
+      createDraft({
+        title: gist.description || files[0].filename,
+        description: gist.description || "",
+        files: files.slice(0, MAX_FILES),
+        source: fileName,
+      })
+    );
+  });
+
+  return { drafts, skipped };
+}
+
+/**
+ * Reads a JSON file: gists or VS Code snippets
+ *
+ * @param {string} text - The file's text
+ * @param {string} fileName - The file's name
+ * @returns {Object} drafts and skipped
+ */
+function readJson(text, fileName) {
+  let data;
+  try {
+    // VS Code allows comments in snippet files
+    data = JSON.parse(text.replace(/^\s*\/\/.*$/gm, ""));
+  } catch {
+    return { drafts: [], skipped: [`${fileName}: not valid JSON`] };
+  }
+
+  const isGist = (value) => value && typeof value.files === "object";
+  if (Array.isArray(data)) {
+    return data.every(isGist)
+      ? readGists(data, fileName)
+      : { drafts: [], skipped: [`${fileName}: not a list of gists`] };
+  }
+  if (isGist(data)) {
+    return readGists([data], fileName);
+  }
+  if (data && typeof data === "object") {
+    return readVsCodeSnippets(data, fileName);
+  }
+  return { drafts: [], skipped: [`${fileName}: not a snippets file`] };
+}
+
+/**
+ * Reads a Markdown file, one draft per fenced code block
+ * Each block is titled after the heading above it
+ *
+ * @param {string} text - The file's text
+ * @param {string} fileName - The file's name
+ * @returns {Object} drafts and skipped
+ */
+function readMarkdown(text, fileName) {
+  const drafts = [];
+  const lines = text.split(/\r?\n/);
+  let heading = "";
+  let headingBlocks = 0;
+  let fence = null;
+
+  lines.forEach((line) => {
+    if (fence) {
+      if (line.trim().startsWith(fence.marker)) {
+        const code = fence.lines.join("\n");
+        if (code.trim()) {
+          headingBlocks++;
+          const title = heading || fileName.replace(/\.\w+$/, "");
+          drafts.push(
+            createDraft({
+              title: headingBlocks > 1 ? `${title} (${headingBlocks})` : title,
+              files: [
+                {
+                  language: guessLanguage(code, { names: [fence.info] }),
+                  code,
+                },
+              ],
+              source: fileName,
+            })
+          );
+        }
+        fence = null;
+      } else {
+        fence.lines.push(line);
+      }
+      return;
+    }
+
+    const opening = line.match(/^\s*(`{3,}|~{3,})\s*([^\s`{]*)/);
+    if (opening) {
+      fence = { marker: opening[1], info: opening[2], lines: [] };
+      return;
+    }
+
+    const headingMatch = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (headingMatch) {
+      heading = headingMatch[1];
+      headingBlocks = 0;
+    }
+  });
+
+  return {
+    drafts,
+    skipped:
+      drafts.length === 0 ? [`${fileName}: no fenced code blocks found`] : [],
+  };
+}
+
+/**
+ * Reads one source file
+ *
+ * @param {string} code - The file's text
+ * @param {string} path - The file's name, with folders inside a zip
+ * @param {string} source - Where the file came from, for the preview
+ * @returns {Object} drafts and skipped
+ */
+function readSourceFile(code, path, source) {
+  const filename = path.split("/").pop();
+  if (!code.trim()) {
+    return { drafts: [], skipped: [`${path}: empty`] };
+  }
+  if (code.includes("\u0000")) {
+    return { drafts: [], skipped: [`${path}: not a text file`] };
+  }
+  if (code.length > MAX_SNIPPET_CODE_LENGTH) {
+    return { drafts: [], skipped: [`${path}: too large for a snippet`] };
+  }
+
+  return {
+    drafts: [
+      createDraft({
+        title: filename,
+        files: [
+          { filename, language: guessLanguage(code, { filename }), code },
+        ],
+        // Folders inside a zip become tags, e.g. "sorting/quick.py"
+        tags: path.split("/").slice(0, -1),
+        source,
+      }),
+    ],
+    skipped: [],
+  };
+}
+
+/**
+ * Reads the source files in a zip archive
+ * Files in a language we don't support are skipped, and so are files too
+ * large for a snippet, going by the size the archive lists for them, before
+ * they are unpacked. Reading stops once there are as many drafts as can be
+ * imported
+ *
+ * @param {File} file - The zip file
+ * @param {number} maxDrafts - Most drafts to read
+ * @returns {Promise<Object>} drafts and skipped
+ */
+async function readZip(file, maxDrafts) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch {
+    return { drafts: [], skipped: [`${file.name}: not a valid zip file`] };
+  }
+
+  const drafts = [];
+  const skipped = [];
+  const entries = Object.values(zip.files).filter(
+    (entry) =>
+      !entry.dir &&
+      // Hidden files and macOS metadata
+      !entry.name.split("/").some((part) => part.startsWith(".")) &&
+      !entry.name.startsWith("__MACOSX/")
+  );
+
+  for (const entry of entries) {
+    if (drafts.length >= maxDrafts) {
+      skipped.push(
+        `${file.name}: stopped after ${maxDrafts} snippets, the most that can be imported at once`
+      );
+      break;
+    }
+    if (!getLanguageFromFilename(entry.name)) {
+      skipped.push(`${entry.name}: not a supported language`);
+      continue;
+    }
+    // JSZip keeps each file's unpacked size from the archive's directory;
+    // a character takes at most 4 bytes, so this is surely too large
+    if (entry._data?.uncompressedSize > MAX_SNIPPET_CODE_LENGTH * 4) {
+      skipped.push(`${entry.name}: too large for a snippet`);
+      continue;
+    }
+    const result = readSourceFile(
+      await entry.async("string"),
+      entry.name,
+      file.name
+    );
+    drafts.push(...result.drafts);
+    skipped.push(...result.skipped);
+  }
+
+  return { drafts, skipped };
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * Reads a file chosen for import
+ *
+ * @param {File} file - The file
+ * @param {number} maxDrafts - Most drafts to read from an archive
+ * @returns {Promise<Object>} drafts (see createDraft) and skipped: a
+ *   message for each item that couldn't be read
+ */
+async function readImportFile(file, maxDrafts) {
+  const name = file.name.toLowerCase();
+
+  if (name.endsWith(".zip")) {
+    return readZip(file, maxDrafts);
+  }
+  if (name.endsWith(".code-snippets") || name.endsWith(".json")) {
+    return readJson(await file.text(), file.name);
+  }
+  if (name.endsWith(".md") || name.endsWith(".markdown")) {
+    return readMarkdown(await file.text(), file.name);
+  }
+  if (getLanguageFromFilename(file.name)) {
+    return readSourceFile(await file.text(), file.name, file.name);
+  }
+  return { drafts: [], skipped: [`${file.name}: not a supported file type`] };
+}
+
+/**
+ * Reads the files chosen for import
+ *
+ * @param {Array<File>} files - The files
+ * @returns {Promise<Object>} drafts (at most MAX_IMPORT_DRAFTS) and
+ *   skipped: a message for each item that couldn't be read
+ */
+export async function readImportFiles(files) {
+  const drafts = [];
+  const skipped = [];
+
+  for (const file of files) {
+    // Files past the limit aren't read at all
+    if (drafts.length >= MAX_IMPORT_DRAFTS) {
+      skipped.push(
+        `${file.name}: not read, only ${MAX_IMPORT_DRAFTS} snippets can be imported at once`
+      );
+      continue;
+    }
+    const result = await readImportFile(
+      file,
+      MAX_IMPORT_DRAFTS - drafts.length
+    );
+    drafts.push(...result.drafts);
+    skipped.push(...result.skipped);
+  }
+
+  if (drafts.length > MAX_IMPORT_DRAFTS) {
+    skipped.push(
+      `Only the first ${MAX_IMPORT_DRAFTS} of ${drafts.length} snippets can be imported at once`
+    );
+  }
+  return { drafts: drafts.slice(0, MAX_IMPORT_DRAFTS), skipped };
+}
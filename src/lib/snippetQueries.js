@@ -0,0 +1,191 @@
+/**
+ * Snippet list queries
+ * Shared by the browser data layer (src/lib/firebase/snippets.js) and
+ * server-rendered pages (src/lib/firebase/serverSnippets.js), which each
+ * pass in their own Firestore instance
+ */
+
+import {
+  and,
+  collection,
+  limit,
+  or,
+  orderBy,
+  query,
+  startAfter,
+  Timestamp,
+  where,
+} from "firebase/firestore";
+
+// Snippets loaded per page of a snippet list
+export const SNIPPETS_PAGE_SIZE = 24;
+
+// The orderings a snippet list can be sorted by
+// Each ends in a field every snippet has, and Firestore breaks any
+// remaining ties by document ID, so pages never overlap or skip snippets
+// Every ordering needs composite indexes in firestore.indexes.json
+export const SNIPPET_SORTS = {
+  newest: [["createdAt", "desc"]],
+  oldest: [["createdAt", "asc"]],
+  titleAZ: [["title", "asc"]],
+  titleZA: [["title", "desc"]],
+  topRated: [
+    ["rating", "desc"],
+    ["numRatings", "desc"],
+  ],
+  mostReviewed: [
+    ["numRatings", "desc"],
+    ["rating", "desc"],
+  ],
+};
+
+/**
+ * Builds a snippets query that only matches snippets the user may see
+ * Signed-out visitors see public snippets; signed-in users also see their own
+ * Security rules reject queries that could return other users' private snippets
+ *
+ * @param {Firestore} firestore - The Firestore instance to query
+ * @param {string|null} userId - The signed-in user's ID, if any
+ * @param {Array} filters - Extra where() filters to apply
+ * @param {Array} modifiers - orderBy() and limit() constraints to apply
+ * @param {string} collectionName - "snippets", or "searchIndex" for the
+ *   snippets' search index entries, which are read the same way
+ * @returns {Query} The Firestore query
+ */
+export function buildVisibleSnippetsQuery(
+  firestore,
+  userId,
+  filters = [],
+  modifiers = [],
+  collectionName = "snippets"
+) {
+  // Public snippets, or snippets owned by this user
+  const visible = userId
+    ? or(where("isPublic", "==", true), where("ownerId", "==", userId))
+    : where("isPublic", "==", true);
+
+  return query(
+    collection(firestore, collectionName),
+    and(...filters, visible),
+    ...modifiers
+  );
+}
+
+/**
+ * Builds the query for one page of a snippet list
+ * One snippet past the page is read to know whether there is another page
+ *
+ * @param {Firestore} firestore - The Firestore instance to query
+ * @param {Object} filters - Filter options (language, framework, tag, userId)
+ * @param {Object} options - Paging options
+ * @param {string} options.sortBy - A key of SNIPPET_SORTS (newest by default)
+ * @param {DocumentSnapshot|null} options.after - The last snippet of the
+ *   previous page, or null for the first page
+ * @param {number} options.pageSize - Most snippets in a page
+ * @returns {Query} The Firestore query
+ */
+export function buildSnippetsPageQuery(firestore, filters = {}, options = {}) {
+  const {
+    sortBy = "newest",
+    after = null,
+    pageSize = SNIPPETS_PAGE_SIZE,
+  } = options;
+  const conditions = [];
+
+  if (filters.language) {
+    conditions.push(where("language", "==", filters.language));
+  }
+  if (filters.framework) {
+    conditions.push(where("framework", "==", filters.framework));
+  }
+  // array-contains checks if the tag exists in the tags array
+  if (filters.tag) {
+    conditions.push(where("tags", "array-contains", filters.tag));
+  }
+
+  const modifiers = (SNIPPET_SORTS[sortBy] || SNIPPET_SORTS.newest).map(
+    ([field, direction]) => orderBy(field, direction)
+  );
+  if (after) {
+    modifiers.push(startAfter(after));
+  }
+  modifiers.push(limit(pageSize + 1));
+
+  return buildVisibleSnippetsQuery(
+    firestore,
+    filters.userId,
+    conditions,
+    modifiers
+  );
+}
+
+/**
+ * Turns the result of a page query into the page
+ *
+ * @param {QuerySnapshot} snapshot - The result of buildSnippetsPageQuery
+ * @param {Object} options - The same paging options
+ * @returns {Object} The page's snippets (with IDs), the cursor for the
+ *   next page (the last snippet's document) and whether there is one
+ */
+export function toSnippetsPage(snapshot, options = {}) {
+  const { after = null, pageSize = SNIPPETS_PAGE_SIZE } = options;
+  const docs = snapshot.docs.slice(0, pageSize);
+
+  return {
+    snippets: docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    cursor: docs.length > 0 ? docs[docs.length - 1] : after,
+    hasMore: snapshot.docs.length > pageSize,
+  };
+}
+
+/**
+ * Makes snippet data safe to pass from a server component to a client
+ * component: Firestore timestamps become plain objects
+ *
+ * @param {*} value - A snippet, a list of snippets or any field value
+ * @returns {*} The same data with every timestamp replaced
+ */
+export function toPlainData(value) {
+  if (value instanceof Timestamp) {
+    return {
+      __timestamp: true,
+      seconds: value.seconds,
+      nanoseconds: value.nanoseconds,
+    };
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainData);
+  }
+  if (value && typeof value === "object") {
+    const plain = {};
+    Object.keys(value).forEach((key) => {
+      plain[key] = toPlainData(value[key]);
+    });
+    return plain;
+  }
+  return value;
+}
+
+/**
+ * Turns data from toPlainData back into snippet data, so client
+ * components can use it like data read in the browser
+ *
+ * @param {*} value - Data from toPlainData
+ * @returns {*} The same data with its timestamps restored
+ */
+export function fromPlainData(value) {
+  if (Array.isArray(value)) {
+    return value.map(fromPlainData);
+  }
+  if (value && typeof value === "object") {
+    if (value.__timestamp) {
+      return new Timestamp(value.seconds, value.nanoseconds);
+    }
+    const data = {};
+    Object.keys(value).forEach((key) => {
+      data[key] = fromPlainData(value[key]);
+    });
+    return data;
+  }
+  return value;
+}
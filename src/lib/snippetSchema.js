@@ -0,0 +1,181 @@
+/**
+ * The snippet schema
+ * One set of rules for a snippet's editable fields, checked by the shared
+ * snippet form (to show field-level errors), by addSnippet/updateSnippet
+ * (so nothing invalid reaches Firestore) and mirrored by isValidSnippet
+ * in firestore.rules
+ */
+
+import { z } from "zod";
+
+import { validateFiles } from "@/src/lib/snippetFiles";
+
+// ============================================
+// LIMITS
+// ============================================
+
+export const MAX_TITLE_LENGTH = 100;
+export const MAX_DESCRIPTION_LENGTH = 500;
+export const MAX_FRAMEWORK_LENGTH = 50;
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+// Tags are lowercase words joined by dashes; "+", "#" and "." are allowed
+// for names like "c++", "c#" and "node.js"
+const TAG_PATTERN = /^[a-z0-9][a-z0-9+#.-]*$/;
+
+// Who can see a snippet:
+//   public   - everyone, including signed-out visitors
+//   unlisted - the owner, plus anyone holding a share link
+//   private  - only the owner
+export const VISIBILITIES = ["public", "unlisted", "private"];
+
+// ============================================
+// SCHEMA
+// ============================================
+
+// The fields a user edits, as the data layer stores them
+// Description, framework and tags may be missing on older snippets
+export const SnippetSchema = z.object({
+  title: z
+    .string()
+    .trim()
+    .min(1, "Title is required")
+    .max(
+      MAX_TITLE_LENGTH,
+      `Title must be at most ${MAX_TITLE_LENGTH} characters`
+    ),
+  description: z
+    .string()
+    .trim()
+    .max(
+      MAX_DESCRIPTION_LENGTH,
+      `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`
+    )
+    .optional(),
+  files: z.array(z.any()).superRefine((files, context) => {
+    const error = validateFiles(files);
+    if (error) {
+      context.addIssue({ code: z.ZodIssueCode.custom, message: error });
+    }
+  }),
+  framework: z
+    .string()
+    .trim()
+    .max(
+      MAX_FRAMEWORK_LENGTH,
+      `Framework must be at most ${MAX_FRAMEWORK_LENGTH} characters`
+    )
+    .nullable()
+    .optional(),
+  tags: z
+    .array(
+      z
+        .string()
+        .max(
+          MAX_TAG_LENGTH,
+          `Tags must be at most ${MAX_TAG_LENGTH} characters`
+        )
+        .regex(
+          TAG_PATTERN,
+          "Tags may only use lowercase letters, numbers, -, +, # and ."
+        )
+    )
+    .max(MAX_TAGS, `A snippet can have at most ${MAX_TAGS} tags`)
+    .optional(),
+  visibility: z.enum(VISIBILITIES, {
+    errorMap: () => ({ message: "Choose who can see the snippet" }),
+  }),
+});
+
+// The schema's fields, for picking them out of a whole snippet
+const SNIPPET_FIELDS = Object.keys(SnippetSchema.shape);
+
+/**
+ * Thrown by the data layer when a snippet fails the schema
+ * errors holds one message per invalid field, as from validateSnippet
+ */
+export class SnippetValidationError extends Error {
+  constructor(errors) {
+    super(Object.values(errors)[0]);
+    this.name = "SnippetValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Checks a snippet's editable fields against the schema
+ * Other fields (author, ownerId, timestamps...) are left alone
+ *
+ * @param {Object} snippetData - The snippet fields
+ * @param {Object} options
+ * @param {boolean} options.partial - Only check the fields that are present
+ *   (for updates)
+ * @returns {{data: Object, errors: Object|null}} The fields, trimmed, and
+ *   the first error message for each invalid field (null if all are valid)
+ */
+export function validateSnippet(snippetData, { partial = false } = {}) {
+  const fields = {};
+  SNIPPET_FIELDS.forEach((field) => {
+    if (snippetData[field] !== undefined) {
+      fields[field] = snippetData[field];
+    }
+  });
+
+  const schema = partial ? SnippetSchema.partial() : SnippetSchema;
+  const result = schema.safeParse(fields);
+  if (result.success) {
+    return { data: { ...snippetData, ...result.data }, errors: null };
+  }
+
+  const errors = {};
+  result.error.issues.forEach((issue) => {
+    const field = issue.path[0];
+    if (!errors[field]) {
+      errors[field] = issue.message;
+    }
+  });
+  return { data: snippetData, errors };
+}
+
+// ============================================
+// TAGS
+// ============================================
+
+/**
+ * Puts a tag into the stored format: lowercase, no "#" prefix, spaces
+ * as dashes (e.g. "#State Management" becomes "state-management")
+ *
+ * @param {string} tag - The tag as typed or suggested
+ * @returns {string} The normalized tag (may still be invalid)
+ */
+export function normalizeTag(tag) {
+  return tag.trim().replace(/^#+/, "").toLowerCase().replace(/\s+/g, "-");
+}
+
+/**
+ * Checks a normalized tag against the tag rules
+ *
+ * @param {string} tag - The tag
+ * @returns {boolean} Whether it can be stored
+ */
+export function isValidTag(tag) {
+  return tag.length <= MAX_TAG_LENGTH && TAG_PATTERN.test(tag);
+}
+
+/**
+ * Splits a comma-separated tags field into normalized tags
+ *
+ * @param {string} text - The tags field
+ * @returns {Array<string>} The non-empty tags, without duplicates
+ */
+export function parseTags(text) {
+  const tags = [];
+  text.split(",").forEach((tag) => {
+    const normalized = normalizeTag(tag);
+    if (normalized && !tags.includes(normalized)) {
+      tags.push(normalized);
+    }
+  });
+  return tags;
+}
@@ -0,0 +1,57 @@
+// Tests for structured AI results (POST /api/code-action and
+// POST /api/suggest-metadata) with the mock AI provider, including the
+// failures AI_MOCK_FAILURE can cause
+// Run with: npm run test:ai
+import assert from "node:assert/strict";
+import { register } from "node:module";
+import { afterEach, describe, test } from "node:test";
+
+register("./aliases.mjs", import.meta.url);
+
+// The provider is picked when the AI layer loads
+process.env.AI_PROVIDER = "mock";
+const { generateOutput } = await import("../src/lib/ai/index.js");
+const { CodeActionResultSchema } = await import("../src/lib/codeActions.js");
+const { MetadataSuggestionSchema } = await import(
+  "../src/lib/metadataSuggestion.js"
+);
+
+afterEach(() => {
+  delete process.env.AI_MOCK_FAILURE;
+});
+
+describe("structured results", () => {
+  [
+    ["code actions", CodeActionResultSchema],
+    ["metadata suggestions", MetadataSuggestionSchema],
+  ].forEach(([name, schema]) => {
+    test(`${name} that match the schema are returned`, async () => {
+      const result = await generateOutput({
+        prompt: "Anything",
+        output: { schema },
+      });
+      assert.equal(result.success, true);
+      assert.ok(schema.safeParse(result.data).success);
+    });
+
+    test(`${name} that don't match the schema are reported, not thrown`, async () => {
+      process.env.AI_MOCK_FAILURE = "invalid";
+      const result = await generateOutput({
+        prompt: "Anything",
+        output: { schema },
+      });
+      assert.equal(result.success, false);
+    });
+  });
+
+  test("other model failures are still thrown", async () => {
+    process.env.AI_MOCK_FAILURE = "error";
+    await assert.rejects(
+      generateOutput({
+        prompt: "Anything",
+        output: { schema: MetadataSuggestionSchema },
+      }),
+      /AI_MOCK_FAILURE=error/
+    );
+  });
+});
@@ -0,0 +1,28 @@
+// Module hooks that resolve the app's "@/" imports the way Next.js does
+// (see jsconfig.json), so tests can load server code directly in Node
+import { existsSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const ROOT = new URL("../", import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  if (!specifier.startsWith("@/")) {
+    return nextResolve(specifier, context);
+  }
+
+  // Imports leave out the extension (or the index file of a directory),
+  // as the bundler allows
+  const url = new URL(specifier.slice(2), ROOT);
+  const found = [".js", ".jsx", ".mjs", "/index.js"]
+    .map((ending) => new URL(url.href + ending))
+    .find((candidate) => existsSync(fileURLToPath(candidate)));
+  return nextResolve((found || url).href, context);
+}
+
+export async function load(url, context, nextLoad) {
+  // App source is ES modules even though package.json doesn't say so
+  if (url.startsWith(new URL("src/", ROOT).href)) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,129 @@
+// Tests for streaming code explanations (POST /api/explain-code) with the
+// mock AI provider, including the failures AI_MOCK_FAILURE can cause
+// Run with: npm run test:ai
+import assert from "node:assert/strict";
+import { register } from "node:module";
+import { afterEach, describe, test } from "node:test";
+
+register("./aliases.mjs", import.meta.url);
+
+// The provider is picked when the AI layer loads
+process.env.AI_PROVIDER = "mock";
+const { streamExplanation } = await import("../src/lib/ai/explain.js");
+const { ExplanationSchema } = await import("../src/lib/explanation.js");
+
+// ============================================
+// HELPERS
+// ============================================
+
+const FILES = [
+  {
+    filename: "sum.js",
+    language: "JavaScript",
+    code: "const sum = (a, b) => a + b;",
+  },
+];
+
+/**
+ * Explains FILES and reads every message of the streamed response
+ *
+ * @param {Function} save - Caches the finished explanation
+ * @returns {Promise<Array<Object>>} The messages, in order
+ */
+async function explain(save = async () => new Date()) {
+  const response = streamExplanation(FILES, save);
+  const body = await response.text();
+  return body
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+afterEach(() => {
+  delete process.env.AI_MOCK_FAILURE;
+});
+
+// ============================================
+// EXPLAINING CODE
+// ============================================
+
+describe("explaining code", () => {
+  test("streams partial explanations, then the complete one", async () => {
+    const saved = [];
+    const messages = await explain(async (explanation) => {
+      saved.push(explanation);
+      return new Date("2026-01-02T03:04:05.000Z");
+    });
+
+    const done = messages.pop();
+    assert.equal(done.type, "done");
+    assert.equal(done.cached, false);
+    assert.equal(done.generatedAt, "2026-01-02T03:04:05.000Z");
+    assert.ok(ExplanationSchema.safeParse(done.explanation).success);
+    assert.deepEqual(saved, [done.explanation]);
+
+    assert.ok(messages.length > 0);
+    messages.forEach((message) => assert.equal(message.type, "partial"));
+  });
+
+  test("still sends the explanation when caching it fails", async () => {
+    const messages = await explain(async () => {
+      throw new Error("Cache unavailable");
+    });
+
+    const done = messages.pop();
+    assert.equal(done.type, "done");
+    assert.ok(ExplanationSchema.safeParse(done.explanation).success);
+  });
+});
+
+// ============================================
+// MODEL FAILURES
+// ============================================
+
+describe("model failures", () => {
+  test("reports a model that fails before answering", async () => {
+    process.env.AI_MOCK_FAILURE = "error";
+    let saves = 0;
+    const messages = await explain(async () => {
+      saves++;
+      return new Date();
+    });
+
+    assert.deepEqual(messages, [
+      { type: "error", error: "Failed to explain code. Please try again." },
+    ]);
+    assert.equal(saves, 0);
+  });
+
+  test("reports a model that fails partway through streaming", async () => {
+    process.env.AI_MOCK_FAILURE = "stream-error";
+    let saves = 0;
+    const messages = await explain(async () => {
+      saves++;
+      return new Date();
+    });
+
+    assert.deepEqual(messages.pop(), {
+      type: "error",
+      error: "Failed to explain code. Please try again.",
+    });
+    messages.forEach((message) => assert.equal(message.type, "partial"));
+    assert.equal(saves, 0);
+  });
+
+  test("rejects and doesn't cache an incomplete explanation", async () => {
+    process.env.AI_MOCK_FAILURE = "invalid";
+    let saves = 0;
+    const messages = await explain(async () => {
+      saves++;
+      return new Date();
+    });
+
+    assert.deepEqual(messages.pop(), {
+      type: "error",
+      error: "The explanation was incomplete. Please try again.",
+    });
+    assert.equal(saves, 0);
+  });
+});
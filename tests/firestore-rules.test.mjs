@@ -0,0 +1,888 @@
+// Security rules tests for snippet ownership, user profiles, bookmarks,
+// ratings, snippet counts, imports, the search index and cached explanations
+// Run against the Firestore emulator with: npm run test:rules
+import { readFileSync } from "node:fs";
+import { after, afterEach, before, describe, test } from "node:test";
+
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} from "@firebase/rules-unit-testing";
+import {
+  Timestamp,
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  setDoc,
+  updateDoc,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+
+// ============================================
+// TEST ENVIRONMENT
+// ============================================
+
+let testEnv;
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: "demo-code-snippets",
+    firestore: { rules: readFileSync("firestore.rules", "utf8") },
+  });
+});
+
+afterEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+// Firestore as a signed-in user, or as a signed-out visitor
+const asUser = (uid) => testEnv.authenticatedContext(uid).firestore();
+const asVisitor = () => testEnv.unauthenticatedContext().firestore();
+
+// ============================================
+// FIXTURES
+// ============================================
+
+/**
+ * A valid snippet owned by a user, as the data layer writes it
+ */
+function buildSnippet(ownerId, fields = {}) {
+  const code = "console.log('hello');";
+  return {
+    title: "Hello world",
+    description: "Prints a greeting",
+    code,
+    language: "JavaScript",
+    files: [{ filename: "main.js", language: "JavaScript", code }],
+    framework: null,
+    tags: ["beginner"],
+    visibility: "public",
+    isPublic: true,
+    author: "Alice",
+    ownerId,
+    ...fields,
+  };
+}
+
+/**
+ * Writes a snippet without going through the rules
+ */
+async function seedSnippet(id, data) {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await setDoc(doc(context.firestore(), "snippets", id), data);
+  });
+}
+
+// ============================================
+// SNIPPETS
+// ============================================
+
+describe("creating snippets", () => {
+  test("a user can create a snippet they own", async () => {
+    await assertSucceeds(
+      setDoc(doc(asUser("alice"), "snippets", "s1"), buildSnippet("alice"))
+    );
+  });
+
+  test("a user can't create a snippet owned by someone else", async () => {
+    await assertFails(
+      setDoc(doc(asUser("alice"), "snippets", "s1"), buildSnippet("bob"))
+    );
+  });
+
+  test("the author display name doesn't grant ownership", async () => {
+    await assertFails(
+      setDoc(
+        doc(asUser("alice"), "snippets", "s1"),
+        buildSnippet("bob", { author: "alice" })
+      )
+    );
+  });
+
+  test("signed-out visitors can't create snippets", async () => {
+    await assertFails(
+      setDoc(doc(asVisitor(), "snippets", "s1"), buildSnippet("alice"))
+    );
+  });
+
+  test("invalid snippets are rejected", async () => {
+    await assertFails(
+      setDoc(
+        doc(asUser("alice"), "snippets", "s1"),
+        buildSnippet("alice", { title: "" })
+      )
+    );
+    await assertFails(
+      setDoc(
+        doc(asUser("alice"), "snippets", "s1"),
+        buildSnippet("alice", { language: "Brainfuck" })
+      )
+    );
+  });
+
+  test("new snippets start with no ratings, forks, bookmarks or views", async () => {
+    await assertSucceeds(
+      setDoc(
+        doc(asUser("alice"), "snippets", "s1"),
+        buildSnippet("alice", { rating: 0, numRatings: 0, viewCount: 0 })
+      )
+    );
+    await assertFails(
+      setDoc(
+        doc(asUser("alice"), "snippets", "s2"),
+        buildSnippet("alice", { rating: 5, numRatings: 100, sumRating: 500 })
+      )
+    );
+    await assertFails(
+      setDoc(
+        doc(asUser("alice"), "snippets", "s3"),
+        buildSnippet("alice", { viewCount: 1000 })
+      )
+    );
+  });
+});
+
+describe("updating snippets", () => {
+  test("the owner can update their snippet", async () => {
+    await seedSnippet("s1", buildSnippet("alice"));
+    await assertSucceeds(
+      updateDoc(doc(asUser("alice"), "snippets", "s1"), { title: "Renamed" })
+    );
+  });
+
+  test("the owner can't hand the snippet to someone else", async () => {
+    await seedSnippet("s1", buildSnippet("alice"));
+    await assertFails(
+      updateDoc(doc(asUser("alice"), "snippets", "s1"), { ownerId: "bob" })
+    );
+  });
+
+  test("other users can't update the snippet", async () => {
+    await seedSnippet("s1", buildSnippet("alice"));
+    await assertFails(
+      updateDoc(doc(asUser("bob"), "snippets", "s1"), { title: "Mine now" })
+    );
+    await assertFails(
+      updateDoc(doc(asUser("bob"), "snippets", "s1"), { ownerId: "bob" })
+    );
+  });
+
+  test("signed-out visitors can't update the snippet", async () => {
+    await seedSnippet("s1", buildSnippet("alice"));
+    await assertFails(
+      updateDoc(doc(asVisitor(), "snippets", "s1"), { title: "Renamed" })
+    );
+  });
+
+  test("the owner can't change the snippet's counters", async () => {
+    await seedSnippet("s1", buildSnippet("alice", { forkCount: 1 }));
+    await assertFails(
+      updateDoc(doc(asUser("alice"), "snippets", "s1"), {
+        title: "Renamed",
+        forkCount: 50,
+      })
+    );
+    await assertFails(
+      updateDoc(doc(asUser("alice"), "snippets", "s1"), {
+        rating: 5,
+        numRatings: 10,
+        sumRating: 50,
+      })
+    );
+  });
+
+  test("the owner can't make the snippet invalid", async () => {
+    await seedSnippet("s1", buildSnippet("alice"));
+    await assertFails(
+      updateDoc(doc(asUser("alice"), "snippets", "s1"), { title: "" })
+    );
+  });
+
+  test("older snippets get their owner's ID on the next save", async () => {
+    const { ownerId, ...legacy } = buildSnippet("alice");
+    await seedSnippet("s1", { ...legacy, userId: ownerId });
+
+    await assertFails(
+      updateDoc(doc(asUser("alice"), "snippets", "s1"), { ownerId: "bob" })
+    );
+    await assertSucceeds(
+      updateDoc(doc(asUser("alice"), "snippets", "s1"), { ownerId: "alice" })
+    );
+  });
+
+  test("forking counts the new fork once", async () => {
+    await seedSnippet("s1", buildSnippet("alice", { forkCount: 0 }));
+
+    /**
+     * Writes bob's fork of s1 together with the count, as forkSnippet does
+     */
+    const fork = (db, forkId, forkCount) => {
+      const batch = writeBatch(db);
+      batch.set(
+        doc(db, "snippets", forkId),
+        buildSnippet("bob", { forkedFrom: { id: "s1" } })
+      );
+      batch.update(doc(db, "snippets", "s1"), {
+        forkCount,
+        lastForkId: forkId,
+      });
+      return batch.commit();
+    };
+
+    await assertFails(fork(asUser("bob"), "f1", 2));
+    await assertSucceeds(fork(asUser("bob"), "f1", 1));
+  });
+
+  test("the fork count can't change without a new fork", async () => {
+    await seedSnippet("s1", buildSnippet("alice", { forkCount: 0 }));
+    await seedSnippet("f1", buildSnippet("bob", { forkedFrom: { id: "s1" } }));
+    await assertFails(
+      updateDoc(doc(asUser("bob"), "snippets", "s1"), { forkCount: 1 })
+    );
+    await assertFails(
+      updateDoc(doc(asUser("bob"), "snippets", "s1"), {
+        forkCount: 1,
+        lastForkId: "f1",
+      })
+    );
+  });
+});
+
+describe("counting views", () => {
+  /**
+   * Counts bob's view of s1, marking it viewed, as recordSnippetView does
+   */
+  const countView = (db, viewCount) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, "users", "bob", "views", "s1"), {
+      viewedAt: Timestamp.now(),
+    });
+    batch.update(doc(db, "snippets", "s1"), { viewCount });
+    return batch.commit();
+  };
+
+  test("signed-in users who can see a snippet count one view", async () => {
+    await seedSnippet("s1", buildSnippet("alice", { viewCount: 3 }));
+    await assertFails(countView(asUser("bob"), 100));
+    await assertSucceeds(countView(asUser("bob"), 4));
+  });
+
+  test("each user's view is counted once", async () => {
+    await seedSnippet("s1", buildSnippet("alice", { viewCount: 3 }));
+    await assertSucceeds(countView(asUser("bob"), 4));
+    await assertFails(countView(asUser("bob"), 5));
+  });
+
+  test("views can't be counted without marking them", async () => {
+    await seedSnippet("s1", buildSnippet("alice", { viewCount: 3 }));
+    await assertFails(
+      updateDoc(doc(asUser("bob"), "snippets", "s1"), { viewCount: 4 })
+    );
+    await assertFails(
+      updateDoc(doc(asVisitor(), "snippets", "s1"), { viewCount: 4 })
+    );
+  });
+
+  test("views of private snippets can't be counted by others", async () => {
+    await seedSnippet(
+      "s1",
+      buildSnippet("alice", { visibility: "private", isPublic: false })
+    );
+    await assertFails(countView(asUser("bob"), 1));
+  });
+});
+
+describe("deleting snippets", () => {
+  test("the owner can delete their snippet", async () => {
+    await seedSnippet("s1", buildSnippet("alice"));
+    await assertSucceeds(deleteDoc(doc(asUser("alice"), "snippets", "s1")));
+  });
+
+  test("other users can't delete the snippet", async () => {
+    await seedSnippet("s1", buildSnippet("alice"));
+    await assertFails(deleteDoc(doc(asUser("bob"), "snippets", "s1")));
+  });
+
+  test("signed-out visitors can't delete the snippet", async () => {
+    await seedSnippet("s1", buildSnippet("alice"));
+    await assertFails(deleteDoc(doc(asVisitor(), "snippets", "s1")));
+  });
+
+  test("the owner of an older snippet can delete it", async () => {
+    const { ownerId, ...legacy } = buildSnippet("alice");
+    await seedSnippet("s1", { ...legacy, userId: ownerId });
+    await assertSucceeds(deleteDoc(doc(asUser("alice"), "snippets", "s1")));
+  });
+
+  test("the owner clears away the history and ratings afterwards", async () => {
+    await seedSnippet("s1", buildSnippet("alice"));
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, "snippets", "s1", "revisions", "r1"), {
+        editorId: "alice",
+      });
+      await setDoc(doc(db, "snippets", "s1", "ratings", "bob"), {
+        userId: "bob",
+        rating: 4,
+        text: "",
+      });
+    });
+    const revisionRef = (db) => doc(db, "snippets", "s1", "revisions", "r1");
+    const ratingRef = (db) => doc(db, "snippets", "s1", "ratings", "bob");
+
+    await assertFails(deleteDoc(revisionRef(asUser("bob"))));
+    await assertFails(deleteDoc(ratingRef(asUser("alice"))));
+
+    await assertSucceeds(deleteDoc(doc(asUser("alice"), "snippets", "s1")));
+    await assertFails(deleteDoc(revisionRef(asUser("bob"))));
+    await assertSucceeds(deleteDoc(revisionRef(asUser("alice"))));
+    await assertSucceeds(deleteDoc(ratingRef(asUser("alice"))));
+  });
+});
+
+describe("reading snippets", () => {
+  const privateSnippet = buildSnippet("alice", {
+    visibility: "private",
+    isPublic: false,
+  });
+
+  test("anyone can read a public snippet", async () => {
+    await seedSnippet("s1", buildSnippet("alice"));
+    await assertSucceeds(getDoc(doc(asVisitor(), "snippets", "s1")));
+  });
+
+  test("only the owner can read a private snippet", async () => {
+    await seedSnippet("s1", privateSnippet);
+    await assertSucceeds(getDoc(doc(asUser("alice"), "snippets", "s1")));
+    await assertFails(getDoc(doc(asUser("bob"), "snippets", "s1")));
+    await assertFails(getDoc(doc(asVisitor(), "snippets", "s1")));
+  });
+
+  test("owners can list their own snippets", async () => {
+    await seedSnippet("s1", privateSnippet);
+    await assertSucceeds(
+      getDocs(
+        query(
+          collection(asUser("alice"), "snippets"),
+          where("ownerId", "==", "alice")
+        )
+      )
+    );
+    await assertFails(
+      getDocs(
+        query(
+          collection(asUser("bob"), "snippets"),
+          where("ownerId", "==", "alice")
+        )
+      )
+    );
+  });
+});
+
+// ============================================
+// USER PROFILES
+// ============================================
+
+describe("user profiles", () => {
+  const profile = (fields = {}) => ({
+    displayName: "Alice",
+    photoURL: null,
+    bio: "",
+    handle: "alice",
+    createdAt: Timestamp.now(),
+    updatedAt: Timestamp.now(),
+    ...fields,
+  });
+
+  /**
+   * Writes a profile together with the claim on its handle, as
+   * ensureUserProfile does
+   */
+  const createProfile = (db, userId, data) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, "handles", data.handle), { uid: userId });
+    batch.set(doc(db, "users", userId), data);
+    return batch.commit();
+  };
+
+  /**
+   * Writes alice's profile and handle without going through the rules
+   */
+  const seedProfile = () =>
+    testEnv.withSecurityRulesDisabled(async (context) => {
+      await createProfile(context.firestore(), "alice", profile());
+    });
+
+  test("users can create their own profile with a free handle", async () => {
+    await assertSucceeds(createProfile(asUser("alice"), "alice", profile()));
+  });
+
+  test("a profile can't be created without claiming its handle", async () => {
+    await assertFails(
+      setDoc(doc(asUser("alice"), "users", "alice"), profile())
+    );
+  });
+
+  test("users can't take someone else's handle", async () => {
+    await seedProfile();
+    await assertFails(
+      createProfile(asUser("bob"), "bob", profile({ displayName: "Bob" }))
+    );
+  });
+
+  test("users can't write someone else's profile", async () => {
+    await assertFails(createProfile(asUser("bob"), "alice", profile()));
+    await assertFails(createProfile(asVisitor(), "alice", profile()));
+  });
+
+  test("users can edit their name and bio but not their handle", async () => {
+    await seedProfile();
+    const alice = asUser("alice");
+    await assertSucceeds(
+      updateDoc(doc(alice, "users", "alice"), {
+        displayName: "Alice L.",
+        bio: "Writes snippets",
+      })
+    );
+    await assertFails(
+      updateDoc(doc(alice, "users", "alice"), { handle: "alice2" })
+    );
+  });
+
+  test("anyone can read a profile", async () => {
+    await seedProfile();
+    await assertSucceeds(getDoc(doc(asVisitor(), "users", "alice")));
+  });
+});
+
+// ============================================
+// BOOKMARKS
+// ============================================
+
+describe("bookmarks", () => {
+  /**
+   * Writes or removes bob's bookmark of s1 together with the count, as
+   * toggleBookmark does
+   */
+  const setBookmark = (db, bookmarked, bookmarkCount) => {
+    const batch = writeBatch(db);
+    const bookmarkRef = doc(db, "users", "bob", "bookmarks", "s1");
+    if (bookmarked) {
+      batch.set(bookmarkRef, { createdAt: Timestamp.now() });
+    } else {
+      batch.delete(bookmarkRef);
+    }
+    batch.update(doc(db, "snippets", "s1"), { bookmarkCount });
+    return batch.commit();
+  };
+
+  /**
+   * Writes bob's bookmark of s1 without going through the rules
+   */
+  const seedBookmark = () =>
+    testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(
+        doc(context.firestore(), "users", "bob", "bookmarks", "s1"),
+        {
+          createdAt: Timestamp.now(),
+        }
+      );
+    });
+
+  test("users can bookmark a snippet and count it once", async () => {
+    await seedSnippet("s1", buildSnippet("alice", { bookmarkCount: 2 }));
+    await assertFails(setBookmark(asUser("bob"), true, 4));
+    await assertSucceeds(setBookmark(asUser("bob"), true, 3));
+  });
+
+  test("the count can't change without a bookmark", async () => {
+    await seedSnippet("s1", buildSnippet("alice", { bookmarkCount: 2 }));
+    await assertFails(
+      updateDoc(doc(asUser("bob"), "snippets", "s1"), { bookmarkCount: 3 })
+    );
+    await assertFails(
+      setDoc(doc(asUser("bob"), "users", "bob", "bookmarks", "s1"), {
+        createdAt: Timestamp.now(),
+      })
+    );
+  });
+
+  test("users can remove their bookmark and uncount it", async () => {
+    await seedSnippet("s1", buildSnippet("alice", { bookmarkCount: 1 }));
+    await seedBookmark();
+    await assertSucceeds(setBookmark(asUser("bob"), false, 0));
+  });
+
+  test("bookmarks of deleted snippets can be removed", async () => {
+    await seedBookmark();
+    await assertSucceeds(
+      deleteDoc(doc(asUser("bob"), "users", "bob", "bookmarks", "s1"))
+    );
+  });
+
+  test("users can't bookmark a snippet they can't see", async () => {
+    await seedSnippet(
+      "s1",
+      buildSnippet("alice", { visibility: "private", isPublic: false })
+    );
+    await assertFails(setBookmark(asUser("bob"), true, 1));
+  });
+
+  test("bookmarks are private to their user", async () => {
+    await seedBookmark();
+    await assertSucceeds(
+      getDoc(doc(asUser("bob"), "users", "bob", "bookmarks", "s1"))
+    );
+    await assertFails(
+      getDoc(doc(asUser("alice"), "users", "bob", "bookmarks", "s1"))
+    );
+  });
+});
+
+// ============================================
+// RATINGS
+// ============================================
+
+describe("ratings", () => {
+  /**
+   * Writes or withdraws bob's rating of s1 together with the snippet's
+   * totals, as setSnippetRating and deleteSnippetRating do
+   */
+  const setRating = (db, rating, totals) => {
+    const batch = writeBatch(db);
+    const ratingRef = doc(db, "snippets", "s1", "ratings", "bob");
+    if (rating) {
+      batch.set(ratingRef, { userId: "bob", rating, text: "" });
+    } else {
+      batch.delete(ratingRef);
+    }
+    batch.update(doc(db, "snippets", "s1"), totals);
+    return batch.commit();
+  };
+
+  /**
+   * Writes bob's rating of s1 without going through the rules
+   */
+  const seedRating = (rating) =>
+    testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(
+        doc(context.firestore(), "snippets", "s1", "ratings", "bob"),
+        {
+          userId: "bob",
+          rating,
+          text: "",
+        }
+      );
+    });
+
+  const rated = { rating: 4, numRatings: 1, sumRating: 4 };
+
+  test("users can rate a snippet and count their rating", async () => {
+    await seedSnippet("s1", buildSnippet("alice", rated));
+    await assertFails(
+      setRating(asUser("bob"), 2, { rating: 5, numRatings: 2, sumRating: 10 })
+    );
+    await assertSucceeds(
+      setRating(asUser("bob"), 2, { rating: 3, numRatings: 2, sumRating: 6 })
+    );
+  });
+
+  test("users can change their rating without counting it again", async () => {
+    await seedSnippet(
+      "s1",
+      buildSnippet("alice", { rating: 3, numRatings: 2, sumRating: 6 })
+    );
+    await seedRating(2);
+    await assertFails(
+      setRating(asUser("bob"), 5, {
+        rating: 3.67,
+        numRatings: 3,
+        sumRating: 11,
+      })
+    );
+    await assertSucceeds(
+      setRating(asUser("bob"), 5, { rating: 4.5, numRatings: 2, sumRating: 9 })
+    );
+  });
+
+  test("users can withdraw their rating and uncount it", async () => {
+    await seedSnippet(
+      "s1",
+      buildSnippet("alice", { rating: 3, numRatings: 2, sumRating: 6 })
+    );
+    await seedRating(2);
+    await assertSucceeds(
+      setRating(asUser("bob"), null, { rating: 4, numRatings: 1, sumRating: 4 })
+    );
+  });
+
+  test("older snippets without a rating sum can be rated", async () => {
+    await seedSnippet(
+      "s1",
+      buildSnippet("alice", { rating: 4, numRatings: 2 })
+    );
+    await assertSucceeds(
+      setRating(asUser("bob"), 1, { rating: 3, numRatings: 3, sumRating: 9 })
+    );
+  });
+
+  test("the totals can't change without a rating", async () => {
+    await seedSnippet("s1", buildSnippet("alice", rated));
+    await assertFails(
+      updateDoc(doc(asUser("bob"), "snippets", "s1"), {
+        rating: 5,
+        numRatings: 2,
+        sumRating: 10,
+      })
+    );
+    await assertFails(
+      updateDoc(doc(asUser("bob"), "snippets", "s1"), { numRatings: 0 })
+    );
+  });
+
+  test("a rating can't be written or removed without its totals", async () => {
+    await seedSnippet("s1", buildSnippet("alice", rated));
+    const ratingRef = doc(asUser("bob"), "snippets", "s1", "ratings", "bob");
+    await assertFails(
+      setDoc(ratingRef, { userId: "bob", rating: 5, text: "" })
+    );
+
+    await seedRating(1);
+    await assertFails(updateDoc(ratingRef, { rating: 5 }));
+    await assertFails(deleteDoc(ratingRef));
+  });
+
+  test("a rating of a deleted snippet can be removed on its own", async () => {
+    await seedRating(4);
+    await assertSucceeds(
+      deleteDoc(doc(asUser("bob"), "snippets", "s1", "ratings", "bob"))
+    );
+  });
+
+  test("users can't rate a snippet they can't see", async () => {
+    await seedSnippet(
+      "s1",
+      buildSnippet("alice", { visibility: "private", isPublic: false })
+    );
+    await assertFails(
+      setRating(asUser("bob"), 5, { rating: 5, numRatings: 1, sumRating: 5 })
+    );
+    await assertFails(
+      setDoc(doc(asUser("bob"), "snippets", "s1", "ratings", "bob"), {
+        userId: "bob",
+        rating: 5,
+        text: "",
+      })
+    );
+  });
+
+  test("users can only rate as themselves", async () => {
+    await seedSnippet("s1", buildSnippet("alice"));
+    await assertFails(
+      setDoc(doc(asUser("bob"), "snippets", "s1", "ratings", "carol"), {
+        userId: "carol",
+        rating: 1,
+        text: "",
+      })
+    );
+  });
+});
+
+// ============================================
+// SNIPPET COUNTS
+// ============================================
+
+describe("snippet counts", () => {
+  const counts = (total) => ({
+    total,
+    languages: { JavaScript: total },
+    frameworks: {},
+    tags: {},
+  });
+
+  /**
+   * Writes the public counts without going through the rules
+   */
+  const seedCounts = (data) =>
+    testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "stats", "snippets"), data);
+    });
+
+  test("anyone can read the public counts", async () => {
+    await seedCounts({ ...counts(3), countedAt: Timestamp.now() });
+    await assertSucceeds(getDoc(doc(asVisitor(), "stats", "snippets")));
+  });
+
+  test("clients can't write the public counts", async () => {
+    await assertFails(setDoc(doc(asVisitor(), "stats", "snippets"), counts(3)));
+    await assertFails(
+      setDoc(doc(asUser("alice"), "stats", "snippets"), {
+        ...counts(3),
+        countedAt: Timestamp.now(),
+      })
+    );
+
+    await seedCounts({ ...counts(3), countedAt: Timestamp.now() });
+    await assertFails(
+      updateDoc(doc(asUser("alice"), "stats", "snippets"), { total: 4 })
+    );
+  });
+
+  test("users can only read their own counts", async () => {
+    const own = { public: counts(1), private: counts(2) };
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(
+        doc(context.firestore(), "users", "alice", "stats", "snippets"),
+        own
+      );
+    });
+    await assertSucceeds(
+      getDoc(doc(asUser("alice"), "users", "alice", "stats", "snippets"))
+    );
+    await assertFails(
+      getDoc(doc(asUser("bob"), "users", "alice", "stats", "snippets"))
+    );
+    await assertFails(
+      setDoc(doc(asUser("alice"), "users", "alice", "stats", "snippets"), own)
+    );
+  });
+});
+
+// ============================================
+// IMPORTING SNIPPETS
+// ============================================
+
+describe("importing snippets", () => {
+  /**
+   * Writes several of alice's snippets in one batch, each with its first
+   * revision, as importSnippets does
+   */
+  const importBatch = (db, count, fields) => {
+    const batch = writeBatch(db);
+    for (let index = 0; index < count; index++) {
+      const snippetRef = doc(collection(db, "snippets"));
+      batch.set(snippetRef, buildSnippet("alice", fields));
+      batch.set(doc(collection(snippetRef, "revisions")), {
+        editorId: "alice",
+        createdAt: Timestamp.now(),
+      });
+    }
+    return batch.commit();
+  };
+
+  test("a batch of snippets is written with their revisions", async () => {
+    await assertSucceeds(
+      importBatch(asUser("alice"), 10, {
+        visibility: "private",
+        isPublic: false,
+      })
+    );
+    await assertSucceeds(
+      importBatch(asUser("alice"), 10, { visibility: "public", isPublic: true })
+    );
+  });
+
+  test("a batch can't be imported for someone else", async () => {
+    await assertFails(
+      importBatch(asUser("bob"), 2, { visibility: "public", isPublic: true })
+    );
+  });
+});
+
+// ============================================
+// CACHED EXPLANATIONS
+// ============================================
+
+describe("search index", () => {
+  /**
+   * Writes the search index entry of a snippet without going through the
+   * rules, as the Cloud Function does
+   */
+  const seedEntry = (id, fields) =>
+    testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "searchIndex", id), {
+        title: "Hello world",
+        description: "Prints a greeting",
+        tags: ["beginner"],
+        framework: null,
+        language: "JavaScript",
+        files: [
+          { filename: "main.js", language: "JavaScript", code: "hello();" },
+        ],
+        createdAt: Timestamp.now(),
+        ...fields,
+      });
+    });
+
+  test("entries are read like their snippets", async () => {
+    await seedEntry("s1", { isPublic: true, ownerId: "alice" });
+    await seedEntry("s2", { isPublic: false, ownerId: "alice" });
+
+    await assertSucceeds(getDoc(doc(asVisitor(), "searchIndex", "s1")));
+    await assertFails(getDoc(doc(asUser("bob"), "searchIndex", "s2")));
+    await assertSucceeds(getDoc(doc(asUser("alice"), "searchIndex", "s2")));
+  });
+
+  test("searches must only match entries the user may see", async () => {
+    await seedEntry("s1", { isPublic: true, ownerId: "alice" });
+    await assertSucceeds(
+      getDocs(
+        query(
+          collection(asVisitor(), "searchIndex"),
+          where("isPublic", "==", true)
+        )
+      )
+    );
+    await assertFails(getDocs(collection(asUser("bob"), "searchIndex")));
+  });
+
+  test("clients can't write the index", async () => {
+    await seedSnippet("s1", buildSnippet("alice"));
+    await assertFails(
+      setDoc(doc(asUser("alice"), "searchIndex", "s1"), {
+        title: "Hello world",
+        isPublic: true,
+        ownerId: "alice",
+      })
+    );
+  });
+});
+
+describe("cached explanations", () => {
+  const explanation = {
+    explanation: { summary: "Prints a greeting" },
+    promptVersion: 1,
+    snippetId: "s1",
+    generatedAt: Timestamp.now(),
+  };
+
+  test("anyone can read a cached explanation by its key", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(
+        doc(context.firestore(), "explanations", "key1"),
+        explanation
+      );
+    });
+    await assertSucceeds(getDoc(doc(asVisitor(), "explanations", "key1")));
+    await assertFails(getDocs(collection(asVisitor(), "explanations")));
+  });
+
+  test("clients can't write cached explanations", async () => {
+    await seedSnippet("s1", buildSnippet("alice"));
+    await assertFails(
+      setDoc(doc(asUser("bob"), "explanations", "key1"), explanation)
+    );
+    await assertFails(
+      setDoc(doc(asUser("alice"), "explanations", "key1"), explanation)
+    );
+  });
+});